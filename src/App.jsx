@@ -1,50 +1,76 @@
 import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
-import { Play, Pause, Info, Map as MapIcon, ChevronRight, ChevronLeft, Layers, Moon, Sun, Maximize2, Eye, EyeOff, Globe, Github, LayoutGrid, ScatterChart, ChevronDown, ChevronUp } from 'lucide-react';
-import JSZip from 'jszip';
+import { Play, Pause, Info, Map as MapIcon, ChevronRight, ChevronLeft, Layers, Moon, Sun, Maximize2, Eye, EyeOff, Globe, Github, LayoutGrid, ScatterChart, ChevronDown, ChevronUp, TrendingUp, Wind, Search, X, Plus, Check, GitCompareArrows, Download, AlertTriangle, Upload, Landmark, Split, BarChart3, Users, RotateCcw, Palette, Gauge } from 'lucide-react';
+import * as d3 from 'd3';
+import * as topojson from 'topojson-client';
+import CartogramWorker from './cartogram.worker.js?worker';
+import CsvWorker from './csv.worker.js?worker';
+import GifWorker from './gif.worker.js?worker';
 
 /**
- * UTILITY: Script Loader Hook
- * Ensures D3, TopoJSON, and SQL.js are available.
+ * UTILITY: Perceptual Gradient (OKLab)
  */
-const useScript = (src) => {
-    const [status, setStatus] = useState(src ? 'loading' : 'idle');
-    useEffect(() => {
-        if (!src) {
-            setStatus('idle');
-            return;
-        }
-        // Security: validate URL before injecting script
-        try { new URL(src); } catch { setStatus('error'); return; }
-
-        let script = document.querySelector(`script[src="${CSS.escape(src)}"]`);
-        if (!script) {
-            script = document.createElement('script');
-            script.src = src;
-            script.async = true;
-            script.setAttribute('data-status', 'loading');
-            document.body.appendChild(script);
-            const setAttributeFromEvent = (event) => {
-                script.setAttribute('data-status', event.type === 'load' ? 'ready' : 'error');
-                setStatus(event.type === 'load' ? 'ready' : 'error');
-            };
-            script.addEventListener('load', setAttributeFromEvent);
-            script.addEventListener('error', setAttributeFromEvent);
-        } else {
-            setStatus(script.getAttribute('data-status'));
+// sRGB channel (0-255) <-> linear light
+const srgbToLinear = (c) => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+const linearToSrgb = (v) => 255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * v ** (1 / 2.4) - 0.055);
+
+// [r, g, b] (0-255) <-> OKLab [L, a, b] (Björn Ottosson's matrices); out-of-gamut results are clipped
+const rgbToOklab = (rgb) => {
+    const [r, g, b] = rgb.map(srgbToLinear);
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+};
+const oklabToRgb = ([L, a, b]) => {
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ].map(v => Math.round(Math.min(255, linearToSrgb(Math.max(0, v)))));
+};
+
+// Transfer curves for the perceptual gradient: the leader's margin over the runner-up (0 = tie,
+// 1 = unopposed) to the colour's strength. Sigmoid is centred on a 50% top-two share, so close
+// races spread out and landslides saturate.
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+const GRADIENT_CURVES = {
+    linear: { label: 'Linear', apply: (lead) => lead },
+    sqrt: { label: 'Square root', apply: (lead) => Math.sqrt(lead) },
+    sigmoid: { label: 'Sigmoid', apply: (lead) => (logistic(10 * (lead / 2)) - 0.5) / (logistic(5) - 0.5) }
+};
+
+// Vote-share gradient: 'classic' blends the party colours in RGB with a purple pull towards the
+// centre; 'oklab' fades the leader's colour into the centre colour in OKLab by the transfer curve
+const DEFAULT_GRADIENT_STYLE = { space: 'classic', curve: 'linear' };
+
+// Perceptual gradient colour for vote shares (aligned with labs, the groups' OKLab colours).
+// Ties go to the earlier group, as in winner mode.
+const getPerceptualColor = (shares, labs, centerLab, curve) => {
+    let first = 0;
+    let second = -1;
+    shares.forEach((share, i) => {
+        if (share > shares[first]) {
+            second = first;
+            first = i;
+        } else if (i !== first && (second < 0 || share > shares[second])) {
+            second = i;
         }
-        const setStateFromEvent = (event) => {
-            setStatus(event.type === 'load' ? 'ready' : 'error');
-        };
-        script.addEventListener('load', setStateFromEvent);
-        script.addEventListener('error', setStateFromEvent);
-        return () => {
-            if (script) {
-                script.removeEventListener('load', setStateFromEvent);
-                script.removeEventListener('error', setStateFromEvent);
-            }
-        };
-    }, [src]);
-    return status;
+    });
+    const top = shares[first];
+    const runnerUp = second < 0 ? 0 : shares[second];
+    const lead = top + runnerUp > 0 ? (top - runnerUp) / (top + runnerUp) : 0;
+    const t = (GRADIENT_CURVES[curve] || GRADIENT_CURVES.linear).apply(lead);
+    return oklabToRgb(centerLab.map((c, i) => c + (labs[first][i] - c) * t));
 };
 
 /**
@@ -84,164 +110,137 @@ const isInside = (p, p1, p2, p3) => {
     return Math.abs(area - (area1 + area2 + area3)) < 1.0;
 };
 
+// Rasterise the barycentric legend into a 200x240 canvas (2x supersampled 100x120), one corner
+// per display group (see buildPartyGroups). Shared by the on-screen legend and image export.
+// With the perceptual gradient each pixel stands for vote shares (its corner weights, with the
+// centre's weight spread evenly) coloured by getPerceptualColor, exactly as on the map.
+const drawTriangleLegend = (canvas, isDarkMode, mode, groups = DEFAULT_PARTY_GROUPS, centerColor = PALETTES.classic.CENTER, gradientStyle = DEFAULT_GRADIENT_STYLE) => {
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    const width = canvas.width;
+    const height = canvas.height;
+    const styleWidth = 100;
+    const styleHeight = 120;
+
+    // Clear canvas
+    ctx.clearRect(0, 0, width, height);
+    ctx.save();
+    ctx.scale(2, 2); // Supersample
+
+    const effectiveWidth = styleWidth;
+    const effectiveHeight = styleHeight;
+
+    // Draw background rounded rectangle
+    ctx.fillStyle = isDarkMode ? 'rgba(71, 85, 105, 0.8)' : 'rgba(100, 116, 139, 0.8)';
+    ctx.beginPath();
+    ctx.roundRect(0, 0, effectiveWidth, effectiveHeight, 8);
+    ctx.fill();
+
+    // Create image data for gradient - we need to draw this onto a temporary canvas 
+    // because direct pixel manipulation doesn't respect scale() in the same way for putImageData
+    // OR we just map pixels to the scaled coordinates. 
+    // Simpler: Just do pixel manipulation on the full sized buffer (200x240).
+
+    ctx.restore(); // Undo scale for pixel manipulation convenience
+
+    const imgData = ctx.createImageData(width, height);
+    const data = imgData.data;
+
+    // Define the corners (third party top, Rep bottom-right, Dem bottom-left) and center, scaled by 2
+    // for high-DPI. Extra display groups sit between the third-party and Rep corners, turning the
+    // triangle into a regular polygon.
+    const scale = 2;
+    const [demGroup, repGroup, ...otherGroups] = groups;
+    const corners = [...otherGroups, repGroup, demGroup];
+    const positions = corners.length === 3
+        ? [{ x: 50, y: 22 }, { x: 90, y: 92 }, { x: 10, y: 92 }]
+        : corners.map((_, i) => {
+            const angle = -Math.PI / 2 + (i * 2 * Math.PI) / corners.length;
+            return { x: 50 + 34 * Math.cos(angle), y: 58 + 34 * Math.sin(angle) };
+        });
+    const points = corners.map((group, i) => ({ x: positions[i].x * scale, y: positions[i].y * scale, color: group.color, label: group.short }));
+    const center = { x: 50 * scale, y: (corners.length === 3 ? 65 : 58) * scale, color: centerColor };
+
+    // Pre-calculate RGBs (and OKLab colours in group order for the perceptual gradient)
+    const rgbs = points.map(p => hexToRgb(p.color));
+    const cCenter = hexToRgb(center.color);
+    const isPerceptual = mode !== 'winner' && gradientStyle.space === 'oklab';
+    const cornerGroups = corners.map(group => groups.indexOf(group));
+    const labs = groups.map(group => rgbToOklab(hexToRgb(group.color)));
+    const centerLab = rgbToOklab(cCenter);
+
+    // Bounding box optimization
+    const minX = Math.floor(Math.min(...points.map(p => p.x)));
+    const maxX = Math.ceil(Math.max(...points.map(p => p.x)));
+    const minY = Math.floor(Math.min(...points.map(p => p.y)));
+    const maxY = Math.ceil(Math.max(...points.map(p => p.y)));
+
+    const startX = Math.max(0, minX);
+    const endX = Math.min(width, maxX);
+    const startY = Math.max(0, minY);
+    const endY = Math.min(height, maxY);
+
+    // Rasterization Loop: each pixel falls in the wedge between two neighbouring corners and the center
+    for (let y = startY; y < endY; y++) {
+        for (let x = startX; x < endX; x++) {
+            const p = { x, y };
+            const i = points.findIndex((corner, k) => isInside(p, corner, points[(k + 1) % points.length], center));
+            if (i < 0) continue;
+            const j = (i + 1) % points.length;
+            const w = getBarycentric(p, points[i], points[j], center);
+
+            let color;
+            if (mode === 'winner') {
+                // Winner mode: solid corner colours (no purple center)
+                color = w[0] > w[1] ? rgbs[i] : rgbs[j];
+            } else if (isPerceptual) {
+                const shares = groups.map(() => w[2] / groups.length);
+                shares[cornerGroups[i]] += w[0];
+                shares[cornerGroups[j]] += w[1];
+                color = getPerceptualColor(shares, labs, centerLab, gradientStyle.curve);
+            } else {
+                // Gradient mode: smooth interpolation
+                color = [0, 1, 2].map(c => w[0] * rgbs[i][c] + w[1] * rgbs[j][c] + w[2] * cCenter[c]);
+            }
+
+            // Set Pixel Data
+            const index = (y * width + x) * 4;
+            data[index] = color[0];
+            data[index + 1] = color[1];
+            data[index + 2] = color[2];
+            data[index + 3] = 255;
+        }
+    }
+
+    ctx.putImageData(imgData, 0, 0);
+
+    // Draw labels outside each corner
+    ctx.font = 'bold 14px sans-serif';
+    ctx.textAlign = 'center';
+    points.forEach(point => {
+        ctx.fillStyle = point.color;
+        if (points.length === 3) {
+            ctx.fillText(point.label, point.x, point.y + (point.y < center.y ? -7 : 16));
+            return;
+        }
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
+        const length = Math.hypot(dx, dy) || 1;
+        ctx.fillText(point.label, point.x + (dx / length) * 14, point.y + (dy / length) * 14 + 5);
+    });
+};
+
 /**
  * COMPONENT: Triangle Legend with Barycentric Gradient
  */
-const TriangleLegend = ({ isDarkMode, mode }) => {
+const TriangleLegend = ({ isDarkMode, mode, groups = DEFAULT_PARTY_GROUPS, centerColor = PALETTES.classic.CENTER, gradientStyle = DEFAULT_GRADIENT_STYLE }) => {
     const canvasRef = useRef(null);
 
     useEffect(() => {
         const canvas = canvasRef.current;
         if (!canvas) return;
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
-
-        const width = canvas.width;
-        const height = canvas.height;
-        const styleWidth = 100;
-        const styleHeight = 120;
-
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
-        ctx.save();
-        ctx.scale(2, 2); // Supersample
-
-        const effectiveWidth = styleWidth;
-        const effectiveHeight = styleHeight;
-
-        // Draw background rounded rectangle
-        ctx.fillStyle = isDarkMode ? 'rgba(71, 85, 105, 0.8)' : 'rgba(100, 116, 139, 0.8)';
-        ctx.beginPath();
-        ctx.roundRect(0, 0, effectiveWidth, effectiveHeight, 8);
-        ctx.fill();
-
-        // Create image data for gradient - we need to draw this onto a temporary canvas 
-        // because direct pixel manipulation doesn't respect scale() in the same way for putImageData
-        // OR we just map pixels to the scaled coordinates. 
-        // Simpler: Just do pixel manipulation on the full sized buffer (200x240).
-
-        ctx.restore(); // Undo scale for pixel manipulation convenience
-
-        const imgData = ctx.createImageData(width, height);
-        const data = imgData.data;
-
-        // Define triangle points and center (scaled by 2 for high-DPI)
-        const scale = 2;
-        const points = [
-            { x: 50 * scale, y: 22 * scale, color: PARTIES.THIRD.color },
-            { x: 90 * scale, y: 92 * scale, color: PARTIES.REP.color },
-            { x: 10 * scale, y: 92 * scale, color: PARTIES.DEM.color },
-            { x: 50 * scale, y: 65 * scale, color: '#800080' },
-        ];
-
-        // Pre-calculate RGBs
-        const rgbs = points.map(p => hexToRgb(p.color));
-        const [p0, p1, p2, center] = points;
-        const [c0, c1, c2, cCenter] = rgbs;
-
-        // Bounding box optimization
-        const minX = Math.floor(Math.min(p0.x, p1.x, p2.x));
-        const maxX = Math.ceil(Math.max(p0.x, p1.x, p2.x));
-        const minY = Math.floor(Math.min(p0.y, p1.y, p2.y));
-        const maxY = Math.ceil(Math.max(p0.y, p1.y, p2.y));
-
-        const startX = Math.max(0, minX);
-        const endX = Math.min(width, maxX);
-        const startY = Math.max(0, minY);
-        const endY = Math.min(height, maxY);
-
-        // Rasterization Loop - different behavior based on mode
-        if (mode === 'winner') {
-            // Winner mode: 3 solid color regions (no purple center)
-            for (let y = startY; y < endY; y++) {
-                for (let x = startX; x < endX; x++) {
-                    const p = { x, y };
-                    let colorToUse = null;
-
-                    // Determine which sub-triangle and use only the 3 corner colors
-                    if (isInside(p, p0, p1, center)) {
-                        // Top-Right region: use third party or republican
-                        const w = getBarycentric(p, p0, p1, center);
-                        colorToUse = w[0] > w[1] ? c0 : c1;
-                    }
-                    else if (isInside(p, p1, p2, center)) {
-                        // Right-Left region: use republican or democrat
-                        const w = getBarycentric(p, p1, p2, center);
-                        colorToUse = w[0] > w[1] ? c1 : c2;
-                    }
-                    else if (isInside(p, p2, p0, center)) {
-                        // Left-Top region: use democrat or third party
-                        const w = getBarycentric(p, p2, p0, center);
-                        colorToUse = w[0] > w[1] ? c2 : c0;
-                    } else {
-                        continue;
-                    }
-
-                    if (colorToUse) {
-                        const index = (y * width + x) * 4;
-                        data[index] = colorToUse[0];
-                        data[index + 1] = colorToUse[1];
-                        data[index + 2] = colorToUse[2];
-                        data[index + 3] = 255;
-                    }
-                }
-            }
-        } else {
-            // Gradient mode: smooth interpolation
-            for (let y = startY; y < endY; y++) {
-                for (let x = startX; x < endX; x++) {
-                    const p = { x, y };
-                    let w = [0, 0, 0];
-                    let colorSet = [];
-
-                    // Determine which sub-triangle the pixel is in
-                    if (isInside(p, p0, p1, center)) {
-                        w = getBarycentric(p, p0, p1, center);
-                        colorSet = [c0, c1, cCenter];
-                    }
-                    else if (isInside(p, p1, p2, center)) {
-                        w = getBarycentric(p, p1, p2, center);
-                        colorSet = [c1, c2, cCenter];
-                    }
-                    else if (isInside(p, p2, p0, center)) {
-                        w = getBarycentric(p, p2, p0, center);
-                        colorSet = [c2, c0, cCenter];
-                    } else {
-                        continue;
-                    }
-
-                    // Interpolate Color
-                    const r = w[0] * colorSet[0][0] + w[1] * colorSet[1][0] + w[2] * colorSet[2][0];
-                    const g = w[0] * colorSet[0][1] + w[1] * colorSet[1][1] + w[2] * colorSet[2][1];
-                    const b = w[0] * colorSet[0][2] + w[1] * colorSet[1][2] + w[2] * colorSet[2][2];
-
-                    // Set Pixel Data
-                    const index = (y * width + x) * 4;
-                    data[index] = r;
-                    data[index + 1] = g;
-                    data[index + 2] = b;
-                    data[index + 3] = 255;
-                }
-            }
-        }
-
-        ctx.putImageData(imgData, 0, 0);
-
-
-
-        // Draw labels
-        ctx.font = 'bold 14px sans-serif';
-        ctx.textAlign = 'center';
-
-        ctx.fillStyle = '#10b981'; // 3rd party (Emerald)
-        ctx.fillText('3', p0.x, p0.y - 7);
-
-        ctx.fillStyle = '#ff0000'; // Republican
-        ctx.fillText('R', p1.x, p1.y + 16);
-
-        ctx.fillStyle = '#0000ff'; // Democrat
-        ctx.fillText('D', p2.x, p2.y + 16);
-
-    }, [isDarkMode, mode]);
+        drawTriangleLegend(canvas, isDarkMode, mode, groups, centerColor, gradientStyle);
+    }, [isDarkMode, mode, groups, centerColor, gradientStyle]);
 
     return (
         <div className="flex flex-col items-center gap-2">
@@ -252,6 +251,18 @@ const TriangleLegend = ({ isDarkMode, mode }) => {
                 className="drop-shadow-sm"
                 style={{ width: '100px', height: '120px' }}
             />
+            {/* Polygon corners are labelled by initials, so name the groups */}
+            {groups.length > 3 && (
+                <div className="w-[100px] space-y-0.5 text-[9px] font-semibold">
+                    {groups.map(group => (
+                        <div key={group.key} className="flex items-center gap-1">
+                            <span className="shrink-0 w-2 h-2 rounded-sm" style={{ backgroundColor: group.color }}></span>
+                            <span className="font-mono shrink-0">{group.short}</span>
+                            <span className="truncate">{group.name}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
         </div>
     );
 };
@@ -259,7 +270,8 @@ const TriangleLegend = ({ isDarkMode, mode }) => {
 /**
  * CONSTANTS & CONFIG
  */
-const YEARS = [
+// Cycles in the bundled dataset; loaded datasets supply their own (see getDataYears)
+const DEFAULT_YEARS = [
     2000, 2004, 2008, 2012, 2016, 2020, 2024
 ];
 
@@ -270,12 +282,113 @@ const LAYOUTS = {
     SCATTER: 'scatter'
 };
 
+const GRANULARITY = {
+    COUNTY: 'county',
+    STATE: 'state'
+};
+
 const PARTIES = {
     DEM: { name: 'Democrat', color: '#0000ff', darkColor: '#00008b' }, // Pure Blue
     REP: { name: 'Republican', color: '#ff0000', darkColor: '#8b0000' }, // Pure Red
     THIRD: { name: 'Third Party', color: '#10b981', darkColor: '#059669' } // Green (Emerald)
 };
 
+// Minor parties with conventional colours, keyed like the CSV worker's getPartyKey. OTHER holds
+// third-party votes no party breakdown accounts for. Datasets can declare further parties (or
+// override these) in a JSON "parties" object.
+const KNOWN_PARTIES = {
+    LIB: { name: 'Libertarian', color: '#fed105' },
+    GRN: { name: 'Green', color: '#17aa5c' },
+    REF: { name: 'Reform', color: '#6a287e' },
+    CON: { name: 'Constitution', color: '#a356de' },
+    OTHER: { name: 'Other', color: '#94a3b8' }
+};
+
+// Colours for parties given their own display group without a known or declared colour
+const EXTRA_PARTY_COLORS = ['#f97316', '#0ea5e9', '#d946ef', '#a3e635', '#78716c', '#facc15'];
+
+// Colour palettes for the Democratic, Republican and third-party colours and the vote-share
+// gradient's balanced centre. Classic is the original pure blue / red / emerald with a purple
+// centre; the others are colour-blind-safe schemes (Okabe & Ito; Paul Tol's bright and
+// high-contrast sets) with a grey centre instead of red-blue purple.
+const PALETTES = {
+    classic: { name: 'Classic', DEM: PARTIES.DEM.color, REP: PARTIES.REP.color, THIRD: PARTIES.THIRD.color, CENTER: '#800080' },
+    okabeIto: { name: 'Okabe–Ito', DEM: '#0072b2', REP: '#d55e00', THIRD: '#f0e442', CENTER: '#999999' },
+    tolBright: { name: 'Tol Bright', DEM: '#4477aa', REP: '#ee6677', THIRD: '#ccbb44', CENTER: '#bbbbbb' },
+    highContrast: { name: 'High Contrast', DEM: '#004488', REP: '#bb5566', THIRD: '#ddaa33', CENTER: '#dddddd' }
+};
+const PALETTE_SLOTS = [['DEM', 'Democrat'], ['REP', 'Republican'], ['THIRD', 'Third party'], ['CENTER', 'Balanced centre']];
+
+// The palette choice ({ preset, custom }, preset being a PALETTES key or 'custom') is kept in localStorage
+const PALETTE_STORAGE_KEY = 'election-viewer-palette';
+
+// Saved palette choice, or Classic when nothing valid is stored (or storage is unavailable)
+const readPaletteSettings = () => {
+    const settings = { preset: 'classic', custom: { ...PALETTES.classic, name: 'Custom' } };
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(PALETTE_STORAGE_KEY));
+        if (PALETTES[saved?.preset] || saved?.preset === 'custom') settings.preset = saved.preset;
+        PALETTE_SLOTS.forEach(([slot]) => {
+            if (/^#[0-9a-f]{6}$/i.test(saved?.custom?.[slot])) settings.custom[slot] = saved.custom[slot];
+        });
+    } catch {
+        // Storage blocked or corrupt: keep the defaults
+    }
+    return settings;
+};
+
+// Offices a dataset can carry (keys match the CSV worker). Other races keep the worker's
+// slug (e.g. state_senate) and are labelled from it.
+const DEFAULT_OFFICE = 'president';
+const OFFICE_LABELS = {
+    president: 'President',
+    senate: 'Senate',
+    house: 'House',
+    governor: 'Governor'
+};
+
+// Fill for units whose state holds no race for the office in the current cycle (hatch pattern in the map's <defs>)
+const NO_RACE_FILL = 'url(#no-race)';
+
+// Swing mode: a margin shift of this size (20 points) saturates the diverging scale
+const SWING_SCALE_MAX = 0.2;
+const SWING_NEUTRAL_COLOR = '#f5f5f5';
+
+// Shift arrows: length per point of margin shift, and the shaft width range (map pixels)
+const SHIFT_ARROW = {
+    lengthPerPoint: 1.2,
+    maxLength: 36,
+    minWidth: 0.3,
+    maxWidth: 3,
+    angle: Math.PI / 6 // Tilt above horizontal so neighbouring arrows don't overlap end-to-end
+};
+
+// Playback: one pass over the bundled cycles; longer timelines keep the same pace per cycle
+const PLAYBACK_DURATION = 5000;
+
+// Playback recording: selectable frame rates, pause on the final frame, GIF downscale factor
+const RECORDING = { fpsOptions: [10, 15, 20, 25], holdSeconds: 1, gifScale: 0.75 };
+
+// Comparison tray: maximum pinned units and their series colours (chosen to stay clear of party red/blue)
+const MAX_COMPARE = 8;
+const COMPARE_COLORS = ['#f59e0b', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16', '#a16207', '#14b8a6', '#64748b'];
+
+// Colours for the pinned units (id -> colour): units already pinned keep theirs, so removing one
+// doesn't recolour the others, and newly added units take the first free colour
+const assignCompareColors = (ids, previous) => {
+    const colors = Object.fromEntries(ids.filter(id => previous[id]).map(id => [id, previous[id]]));
+    const used = new Set(Object.values(colors));
+    ids.forEach(id => {
+        if (colors[id]) return;
+        colors[id] = COMPARE_COLORS.find(color => !used.has(color));
+        used.add(colors[id]);
+    });
+    return colors;
+};
+
+// Tooltip: third-party candidates below this share of a unit's votes are summed into "others"
+const CANDIDATE_MIN_SHARE = 0.005;
+
 const STATE_FIPS_MAP = {
     "01": "AL", "02": "AK", "04": "AZ", "05": "AR", "06": "CA", "08": "CO", "09": "CT", "10": "DE",
     "11": "DC", "12": "FL", "13": "GA", "15": "HI", "16": "ID", "17": "IL", "18": "IN", "19": "IA",
@@ -287,103 +400,1401 @@ const STATE_FIPS_MAP = {
 };
 
 /**
- * WORKER: Cartogram Layout Calculator
- * Moves expensive D3 force simulation off the main thread.
+ * UTILITY: Election Result Helpers
  */
-const CARTOGRAM_WORKER_CODE = `
-importScripts("https://d3js.org/d3.v7.min.js");
+// Build a result record (votes, shares, winner) from raw vote counts
+const buildResult = (dem, rep, third, total, extra = {}) => {
+    // Calculate two-party vote share (excludes third parties)
+    const twoPartyTotal = dem + rep;
+    const allVotesTotal = dem + rep + third;
+
+    return {
+        demVotes: dem,
+        repVotes: rep,
+        thirdVotes: third,
+        total: total,
+        ...extra,
+        // Use two-party vote for share calculation
+        demShare: twoPartyTotal > 0 ? dem / twoPartyTotal : 0,
+        repShare: twoPartyTotal > 0 ? rep / twoPartyTotal : 0,
+        // Third party share relative to all votes
+        thirdShare: allVotesTotal > 0 ? third / allVotesTotal : 0,
+        winner: dem > rep ? 'DEM' : 'REP'
+    };
+};
 
-let mapPaths = null;
+// Title-case all-caps candidate names ("JOSEPH R BIDEN JR" -> "Joseph R Biden Jr"); mixed case is kept
+const formatCandidateName = (name) => (name === name.toUpperCase()
+    ? name.toLowerCase().replace(/(^|[\s.'-])\p{L}/gu, ch => ch.toUpperCase())
+    : name);
+
+// Combine candidate lists from several units, summing each candidate's votes (largest first).
+// Returns undefined when none of the units has a list.
+const mergeCandidates = (units) => {
+    const lists = units.map(unit => unit.candidates).filter(Boolean);
+    if (lists.length === 0) return undefined;
+    const merged = {};
+    lists.flat().forEach(({ name, party, key, group, votes }) => {
+        const id = `${name}|${party}`;
+        if (!merged[id]) merged[id] = { name, party, key, group, votes: 0 };
+        merged[id].votes += votes;
+    });
+    return Object.values(merged).sort((a, b) => b.votes - a.votes);
+};
 
-self.onmessage = function(e) {
-    const { type, payload } = e.data;
+// Candidate lists and third-party breakdowns (votes by party key) of several units combined, as
+// buildResult extras
+const mergeResultDetails = (units) => {
+    const extra = {};
+    const candidates = mergeCandidates(units);
+    if (candidates) extra.candidates = candidates;
+    units.forEach(unit => Object.entries(unit.thirdParties || {}).forEach(([key, votes]) => {
+        extra.thirdParties = extra.thirdParties || {};
+        extra.thirdParties[key] = (extra.thirdParties[key] || 0) + votes;
+    }));
+    return extra;
+};
 
-    if (type === 'INIT_GEOMETRY') {
-        mapPaths = payload;
-        return;
+// Sum county results into statewide results keyed by two-digit state FIPS
+const aggregateByState = (countyData) => {
+    const stateData = {};
+
+    Object.entries(countyData).forEach(([year, counties]) => {
+        const sums = {};
+        Object.entries(counties).forEach(([fips, county]) => {
+            const stateFips = fips.substring(0, 2);
+            if (!STATE_FIPS_MAP[stateFips]) return;
+
+            if (!sums[stateFips]) sums[stateFips] = { dem: 0, rep: 0, third: 0, total: 0, counties: [] };
+            sums[stateFips].dem += county.demVotes || 0;
+            sums[stateFips].rep += county.repVotes || 0;
+            sums[stateFips].third += county.thirdVotes || 0;
+            sums[stateFips].total += county.total || 0;
+            sums[stateFips].counties.push(county);
+        });
+
+        stateData[year] = {};
+        Object.entries(sums).forEach(([stateFips, sum]) => {
+            stateData[year][stateFips] = buildResult(sum.dem, sum.rep, sum.third, sum.total, mergeResultDetails(sum.counties));
+        });
+    });
+
+    return stateData;
+};
+
+// Interpolate a unit's result between the surrounding election years for continuous time
+const interpolateResult = (dataByYear, fips, tYear) => {
+    // Integer-like keys enumerate in ascending numeric order
+    const years = Object.keys(dataByYear || {}).map(Number);
+    if (years.length === 0) return null;
+
+    const prevYear = years.filter(y => y <= tYear).pop() || years[0];
+    const nextYear = years.find(y => y > tYear) || years[years.length - 1];
+
+    const dataPrev = dataByYear[prevYear]?.[fips];
+    const dataNext = dataByYear[nextYear]?.[fips];
+
+    if (!dataPrev && !dataNext) return null;
+    if (!dataPrev) return dataNext;
+    if (!dataNext) return dataPrev;
+
+    if (prevYear === nextYear) return dataPrev;
+
+    const ratio = (tYear - prevYear) / (nextYear - prevYear);
+
+    // Interpolate raw vote counts
+    const demVotes = dataPrev.demVotes + (dataNext.demVotes - dataPrev.demVotes) * ratio;
+    const repVotes = dataPrev.repVotes + (dataNext.repVotes - dataPrev.repVotes) * ratio;
+    const thirdVotes = (dataPrev.thirdVotes || 0) + ((dataNext.thirdVotes || 0) - (dataPrev.thirdVotes || 0)) * ratio;
+    const total = demVotes + repVotes + thirdVotes;
+    const twoPartyTotal = demVotes + repVotes;
+
+    // Third-party breakdown, each party interpolated from zero where a cycle lacks it
+    let thirdParties;
+    if (dataPrev.thirdParties || dataNext.thirdParties) {
+        thirdParties = {};
+        new Set([...Object.keys(dataPrev.thirdParties || {}), ...Object.keys(dataNext.thirdParties || {})]).forEach(key => {
+            const from = dataPrev.thirdParties?.[key] || 0;
+            thirdParties[key] = from + ((dataNext.thirdParties?.[key] || 0) - from) * ratio;
+        });
     }
 
-    if (type === 'CALCULATE_YEAR') {
-        const { year, electionDataForYear } = payload;
-        
-        if (!mapPaths || !self.d3) {
-            self.postMessage({ type: 'ERROR', year, error: 'Dependencies not loaded' });
-            return;
+    return {
+        ...dataPrev,
+        demVotes,
+        repVotes,
+        thirdVotes,
+        total,
+        demShare: twoPartyTotal > 0 ? demVotes / twoPartyTotal : 0,
+        repShare: twoPartyTotal > 0 ? repVotes / twoPartyTotal : 0,
+        thirdShare: total > 0 ? thirdVotes / total : 0,
+        winner: repVotes > demVotes ? 'REP' : 'DEM',
+        candidates: ratio < 0.5 ? dataPrev.candidates : dataNext.candidates,
+        thirdParties
+    };
+};
+
+/**
+ * UTILITY: Parties & Display Groups
+ */
+// Name and colour for a party key: the dataset's declaration, then KNOWN_PARTIES, then the name
+// the CSV worker read from the file with a colour from EXTRA_PARTY_COLORS (by position)
+const getPartyStyle = (key, partyInfo, index = 0) => {
+    const declared = partyInfo.declarations[key] || {};
+    const known = KNOWN_PARTIES[key] || {};
+    const color = d3.color(declared.color || known.color || '')?.formatHex();
+    return {
+        name: declared.name || known.name || partyInfo.names[key] || key,
+        color: color || EXTRA_PARTY_COLORS[index % EXTRA_PARTY_COLORS.length]
+    };
+};
+
+// Short corner label for the legend: initials of the name, parenthesised notes dropped ("Ross Perot (Independent)" -> "RP")
+const getGroupShortLabel = (name) => name.replace(/\(.*?\)/g, '').trim().split(/\s+/).slice(0, 2).map(word => word[0] || '').join('').toUpperCase() || '?';
+
+// Display groups for the party colour modes: Dem, Rep and Third Party always, plus any party split
+// into its own group. parties is [{ key, name, color }] for the dataset's third parties (largest
+// first); a party goes to the group chosen by the user (groupChoice: party key -> group key), else
+// the one its declaration names, else Third Party. A group key other than DEM/REP/THIRD is the key of
+// the party it was split from; pointing at a party that is not split falls back to Third Party.
+// groupStyles renames or recolours the Third Party and split groups; the three main groups take
+// their colours from the palette. Returns { groups, groupOf } where groups is
+// [{ key, name, short, color, parties }] and groupOf maps party keys to indexes.
+const buildPartyGroups = (parties, declarations = {}, groupChoice = {}, groupStyles = {}, palette = PALETTES.classic) => {
+    const targetOf = (key) => groupChoice[key] || declarations[key]?.group || 'THIRD';
+    const split = parties.filter(party => targetOf(party.key) === party.key);
+    const groups = [
+        ...['DEM', 'REP', 'THIRD'].map(key => ({ key, name: PARTIES[key].name, color: palette[key] })),
+        ...split.map(({ key, name, color }) => ({ key, name, color }))
+    ].map(group => {
+        const style = group.key === 'DEM' || group.key === 'REP' ? {} : groupStyles[group.key] || {};
+        const name = style.name || group.name;
+        return { ...group, name, short: { DEM: 'D', REP: 'R', THIRD: '3' }[group.key] || getGroupShortLabel(name), color: style.color || group.color, parties: [] };
+    });
+
+    const groupOf = {};
+    const assign = (partyKey, groupKey) => {
+        const index = groups.findIndex(group => group.key === groupKey);
+        groupOf[partyKey] = index < 0 ? 2 : index;
+        groups[groupOf[partyKey]].parties.push(partyKey);
+    };
+    assign('DEM', 'DEM');
+    assign('REP', 'REP');
+    parties.forEach(party => assign(party.key, targetOf(party.key)));
+    if (groupOf.OTHER === undefined) groupOf.OTHER = 2;
+    return { groups, groupOf };
+};
+
+// Dem / Rep / Third Party: the grouping when no party breakdown or choices apply
+const DEFAULT_PARTY_GROUPS = buildPartyGroups([]).groups;
+
+// A result's votes per display group (aligned with groups). Third-party votes without a party
+// breakdown, and parties the grouping doesn't know, count towards the OTHER party's group.
+const getGroupVotes = (result, { groups, groupOf }) => {
+    const votes = groups.map(() => 0);
+    votes[groupOf.DEM] += result.demVotes || 0;
+    votes[groupOf.REP] += result.repVotes || 0;
+    let listed = 0;
+    Object.entries(result.thirdParties || {}).forEach(([key, value]) => {
+        votes[groupOf[key] ?? groupOf.OTHER] += value;
+        listed += value;
+    });
+    votes[groupOf.OTHER] += Math.max(0, (result.thirdVotes || 0) - listed);
+    return votes;
+};
+
+// Two-party margin, positive when Republicans lead
+const getTwoPartyMargin = (result) => (result.repShare || 0) - (result.demShare || 0);
+
+// Format a two-party margin as "R+4.2" / "D+1.3"
+const formatMargin = (margin) => {
+    if (Math.abs(margin) < 0.0005) return 'Even';
+    return `${margin > 0 ? 'R' : 'D'}+${(Math.abs(margin) * 100).toFixed(1)}`;
+};
+
+// Signed percentage with one decimal ("+12.4%" / "−3.0%")
+const formatChangePct = (value) => `${value >= 0 ? '+' : '−'}${Math.abs(value * 100).toFixed(1)}%`;
+
+// Change in two-party margin and turnout between two results
+const calculateSwing = (fromResult, toResult) => {
+    if (!fromResult || !toResult) return null;
+    const marginFrom = getTwoPartyMargin(fromResult);
+    const marginTo = getTwoPartyMargin(toResult);
+    const voteChange = (toResult.total || 0) - (fromResult.total || 0);
+
+    return {
+        marginFrom,
+        marginTo,
+        marginShift: marginTo - marginFrom,
+        voteChange,
+        voteChangePct: fromResult.total > 0 ? voteChange / fromResult.total : 0
+    };
+};
+
+// Diverging swing colour: the palette's Dem colour through a neutral midpoint to its Rep colour
+const getSwingColor = (marginShift, palette = PALETTES.classic) => {
+    const t = Math.max(-1, Math.min(1, marginShift / SWING_SCALE_MAX));
+    const neutral = hexToRgb(SWING_NEUTRAL_COLOR);
+    const end = hexToRgb(t < 0 ? palette.DEM : palette.REP);
+    const w = Math.abs(t);
+
+    const r = neutral[0] + (end[0] - neutral[0]) * w;
+    const g = neutral[1] + (end[1] - neutral[1]) * w;
+    const b = neutral[2] + (end[2] - neutral[2]) * w;
+    return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+};
+
+// Filled arrow polygon from (x, y) along (dx, dy): a shaft of the given width plus a head
+const buildArrowPath = (x, y, dx, dy, width) => {
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return '';
+
+    const ux = dx / length;
+    const uy = dy / length;
+    const nx = -uy;
+    const ny = ux;
+
+    const headLength = Math.min(length * 0.5, width * 2 + 2);
+    const headHalfWidth = width + 1;
+    const halfWidth = width / 2;
+    const bx = x + ux * (length - headLength);
+    const by = y + uy * (length - headLength);
+
+    const points = [
+        [x + nx * halfWidth, y + ny * halfWidth],
+        [bx + nx * halfWidth, by + ny * halfWidth],
+        [bx + nx * headHalfWidth, by + ny * headHalfWidth],
+        [x + dx, y + dy],
+        [bx - nx * headHalfWidth, by - ny * headHalfWidth],
+        [bx - nx * halfWidth, by - ny * halfWidth],
+        [x - nx * halfWidth, y - ny * halfWidth]
+    ];
+    return `M${points.map(p => `${p[0].toFixed(1)},${p[1].toFixed(1)}`).join('L')}Z`;
+};
+
+/**
+ * UTILITY: FIPS Crosswalk
+ * Election returns and the county topology don't always use the same units. Codes that moved
+ * are re-keyed, town-level codes roll up into their county, and units with no one-to-one match
+ * are merged on both sides (votes summed, shapes dissolved) into a single display unit.
+ */
+const FIPS_CROSSWALK = {
+    // Renamed or absorbed units: votes are added to the target code
+    moves: {
+        '46113': { to: '46102', note: 'Shannon County, SD was renamed Oglala Lakota County (2015)' },
+        '02270': { to: '02158', note: 'Wade Hampton Census Area, AK was renamed Kusilvak (2015)' },
+        '12025': { to: '12086', note: 'Dade County, FL was renamed Miami-Dade County (1997)' },
+        '51515': { to: '51019', note: 'Bedford city, VA became part of Bedford County (2013)' },
+        '51560': { to: '51005', note: 'Clifton Forge, VA became part of Alleghany County (2001)' },
+        '51780': { to: '51083', note: 'South Boston, VA became part of Halifax County (1995)' },
+        '2938000': { to: '29095', note: 'Kansas City, MO reports separately from the rest of Jackson County' }
+    },
+    // Ten-digit county subdivision (town) codes, e.g. Rhode Island in 2024
+    subdivisionNote: 'Town-level results were rolled up into their county',
+    // Many-to-many units. Active for a whole dataset once any code matches `trigger` (always when
+    // omitted), so every cycle shares one geometry: all data codes matching `data` are summed into
+    // `id` and the topology units matching `topology` are dissolved into its shape.
+    merges: [
+        {
+            id: '02000',
+            name: 'Alaska (statewide)',
+            data: /^02/,
+            topology: /^02/,
+            trigger: /^020(0[1-9]|1[0-2])$/, // House districts 1-12 share no codes with boroughs
+            note: 'Alaska reports by state house district, which do not align with its boroughs'
+        },
+        {
+            id: '09000',
+            name: 'Connecticut (statewide)',
+            data: /^09/,
+            topology: /^09/,
+            trigger: /^091[1-9]0$/,
+            note: "Connecticut's planning regions (used from 2022) do not nest in its former counties"
+        },
+        {
+            id: '15009',
+            name: 'Maui + Kalawao',
+            data: /^1500[59]$/,
+            topology: /^1500[59]$/,
+            note: 'Kalawao County, HI votes with Maui County'
+        }
+    ]
+};
+
+// Merges that apply to one or more datasets: triggered by a code in any year, or already merged
+const getActiveMerges = (...datasets) => FIPS_CROSSWALK.merges.filter(merge => !merge.trigger || datasets.some(data =>
+    Object.values(data).some(units => Object.keys(units).some(fips => fips === merge.id || merge.trigger.test(fips)))));
+
+// Re-key results (year -> fips -> result) onto topology units. Units that end up sharing a code
+// are summed, candidate by candidate where the results list candidates.
+// Returns { data, log } where log lists each rule applied: [{ note, mappings: ['from → to'], years }].
+const applyFipsCrosswalk = (data, merges = getActiveMerges(data)) => {
+    const log = {};
+    const resolve = (fips) => {
+        const move = FIPS_CROSSWALK.moves[fips];
+        let target = move ? move.to : fips;
+        let note = move ? move.note : null;
+        if (!move && fips.length === 10) {
+            target = fips.slice(0, 5);
+            note = FIPS_CROSSWALK.subdivisionNote;
+        }
+        const merge = merges.find(m => m.data.test(target));
+        if (merge && target !== merge.id) {
+            target = merge.id;
+            note = merge.note;
         }
+        return { target, note };
+    };
 
-        try {
-            // 1. Calculate Scale Factor
-            let totalVotes = 0;
-            let totalArea = 0;
-            for (let i = 0; i < mapPaths.length; i++) {
-                const p = mapPaths[i];
-                const votes = electionDataForYear[p.id]?.total || 0;
-                totalVotes += votes;
-                totalArea += p.area;
+    const result = {};
+    Object.entries(data).forEach(([year, units]) => {
+        const groups = {};
+        Object.entries(units).forEach(([fips, unit]) => {
+            const { target, note } = resolve(fips);
+            (groups[target] = groups[target] || []).push(unit);
+            if (note) {
+                const entry = log[note] = log[note] || { note, mappings: new Set(), years: new Set() };
+                entry.mappings.add(`${fips} → ${target}`);
+                entry.years.add(+year);
             }
-            
-            const scaleFactor = totalVotes > 0 ? totalArea / totalVotes : 0;
-            if (scaleFactor === 0) {
-                 self.postMessage({ type: 'RESULT', year, positions: null });
-                 return;
+        });
+
+        result[year] = {};
+        Object.entries(groups).forEach(([fips, group]) => {
+            if (group.length === 1) {
+                result[year][fips] = group[0];
+                return;
             }
+            const sum = (key) => group.reduce((total, unit) => total + (unit[key] || 0), 0);
+            result[year][fips] = buildResult(sum('demVotes'), sum('repVotes'), sum('thirdVotes'), sum('total'), mergeResultDetails(group));
+        });
+    });
 
-            // 2. Create nodes
-            const nodes = mapPaths.map(p => {
-                const data = electionDataForYear[p.id];
-                const targetArea = (data?.total || 0) * scaleFactor;
-                const r = Math.sqrt(Math.max(0.1, targetArea) / Math.PI);
+    return {
+        data: result,
+        log: Object.values(log).map(entry => ({
+            note: entry.note,
+            mappings: [...entry.mappings],
+            years: [...entry.years].sort((a, b) => a - b)
+        }))
+    };
+};
 
-                return {
-                    id: p.id,
-                    x: p.centroid[0],
-                    y: p.centroid[1],
-                    rx: p.centroid[0],
-                    ry: p.centroid[1],
-                    r: r
-                };
+// Crosswalk every office of a dataset (office -> year -> fips) with one set of merges so all
+// offices are drawn on the same units. Logs from each office are combined per rule.
+const applyOfficeCrosswalk = (officeData, merges = getActiveMerges(...Object.values(officeData))) => {
+    const data = {};
+    const log = {};
+    Object.entries(officeData).forEach(([office, results]) => {
+        const crosswalked = applyFipsCrosswalk(results, merges);
+        data[office] = crosswalked.data;
+        crosswalked.log.forEach(entry => {
+            const combined = log[entry.note] = log[entry.note] || { note: entry.note, mappings: new Set(), years: new Set() };
+            entry.mappings.forEach(mapping => combined.mappings.add(mapping));
+            entry.years.forEach(y => combined.years.add(y));
+        });
+    });
+
+    return {
+        data,
+        log: Object.values(log).map(entry => ({
+            note: entry.note,
+            mappings: [...entry.mappings],
+            years: [...entry.years].sort((a, b) => a - b)
+        }))
+    };
+};
+
+/**
+ * UTILITY: Place Search
+ */
+// Lowercase, strip accents and punctuation ("Doña Ana" -> "dona ana")
+const normalizeSearchText = (text) => text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Levenshtein distance, used to tolerate small typos
+const editDistance = (a, b) => {
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+};
+
+// Match quality of a query against a name (lower is better, null for no match)
+const fuzzyScore = (text, query) => {
+    if (text === query) return 0;
+    if (text.startsWith(query)) return 1;
+    if (text.split(' ').some(word => word.startsWith(query))) return 2;
+    if (text.includes(query)) return 3;
+
+    // Subsequence: every query character appears in order ("mrcpa" -> "maricopa")
+    let from = 0;
+    let gaps = 0;
+    for (const ch of query) {
+        const found = text.indexOf(ch, from);
+        if (found < 0) {
+            gaps = -1;
+            break;
+        }
+        gaps += found - from;
+        from = found + 1;
+    }
+    if (gaps >= 0 && gaps <= query.length) return 4 + gaps / query.length;
+
+    // Typos: compare against the same-length prefix of the name
+    if (query.length >= 4) {
+        const distance = editDistance(text.substring(0, query.length), query);
+        if (distance <= Math.floor(query.length / 4)) return 5 + distance;
+    }
+    return null;
+};
+
+// Search an index of { id, label, name, abbr } entries by name, "Name, ST" or FIPS code
+const searchPlaces = (index, rawQuery, limit = 8) => {
+    const query = normalizeSearchText(rawQuery);
+    if (!query) return [];
+
+    // FIPS lookup: "4013" and "04013" both find Maricopa
+    if (/^\d+$/.test(query)) {
+        const padded = query.length > 2 ? query.padStart(5, '0') : query.padStart(2, '0');
+        return index
+            .filter(entry => entry.id === padded || entry.id.startsWith(query))
+            .sort((a, b) => (a.id === padded ? -1 : b.id === padded ? 1 : a.id.localeCompare(b.id)))
+            .slice(0, limit);
+    }
+
+    // Optional state filter: "maricopa, az" or "maricopa az"
+    let namePart = query;
+    let statePart = null;
+    const comma = rawQuery.lastIndexOf(',');
+    const tokens = query.split(' ');
+    if (comma >= 0) {
+        namePart = normalizeSearchText(rawQuery.substring(0, comma));
+        statePart = normalizeSearchText(rawQuery.substring(comma + 1)) || null;
+    } else if (tokens.length > 1 && Object.values(STATE_FIPS_MAP).includes(tokens[tokens.length - 1].toUpperCase())) {
+        namePart = tokens.slice(0, -1).join(' ');
+        statePart = tokens[tokens.length - 1];
+    }
+
+    const results = [];
+    index.forEach(entry => {
+        if (statePart && !(entry.abbr || '').startsWith(statePart)) return;
+        const score = namePart ? fuzzyScore(entry.name, namePart) : 0;
+        if (score === null) return;
+        results.push({ entry, score });
+    });
+
+    return results
+        .sort((a, b) => a.score - b.score || a.entry.label.localeCompare(b.entry.label))
+        .slice(0, limit)
+        .map(r => r.entry);
+};
+
+/**
+ * UTILITY: Scatter Axes
+ * Metrics the Vote Spectrum can plot. Each reads a unit's result, its result in the previous cycle
+ * (for changes), in split-ticket mode the comparison office's result, and the unit's FIPS (for
+ * covariates); null leaves the unit out. Partisan metrics run from Democratic (low) to Republican
+ * (high) and get D / R markers at the axis ends.
+ */
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const SCATTER_METRICS = {
+    share: { label: 'Rep share (two-party)', value: (r) => r.repShare, domain: [0, 1], format: formatPercent, partisan: true },
+    shift: { label: 'Margin change', value: (r, prev) => (prev ? getTwoPartyMargin(r) - getTwoPartyMargin(prev) : null), symmetric: true, format: formatMargin, partisan: true },
+    votes: { label: 'Total votes', value: (r) => (r.total > 0 ? r.total : null), log: true, format: d3.format('.2~s') },
+    growth: { label: 'Vote growth', value: (r, prev) => (prev?.total > 0 ? r.total / prev.total - 1 : null), symmetric: true, format: formatChangePct },
+    third: { label: 'Third-party share', value: (r) => r.thirdShare, format: formatPercent }
+};
+
+// Y-axis default: the original spectrum, spreading larger units farther from a central X axis
+const SCATTER_SPREAD = 'spread';
+const DEFAULT_SCATTER_AXES = { x: 'share', y: SCATTER_SPREAD };
+
+// Plot margins inside the map viewBox (room for tick labels and axis titles)
+const SCATTER_PADDING = { x: 50, y: 60 };
+
+// Metric for an axis key: a built-in metric, the split-ticket comparison office's Rep share
+// ('split'), a numeric column from the loaded data ('col:<name>') or a covariate ('cov:<name>')
+const getScatterMetric = (key, splitOffice, covariates) => {
+    if (SCATTER_METRICS[key]) return SCATTER_METRICS[key];
+    if (key === 'split' && splitOffice) {
+        return { label: `${getOfficeLabel(splitOffice)} Rep share`, value: (r, prev, split) => split?.repShare ?? null, domain: [0, 1], format: formatPercent, partisan: true };
+    }
+    if (key.startsWith('col:')) {
+        const column = key.slice(4);
+        return { label: column, value: (r) => r.extraColumns?.[column] ?? null, format: d3.format('.3~s') };
+    }
+    if (key.startsWith('cov:') && covariates) {
+        const column = key.slice(4);
+        return { label: column, value: (r, prev, split, id) => covariates.values[id]?.[column] ?? null, format: d3.format('.3~s') };
+    }
+    return null;
+};
+
+// Scale for a metric over the values of every cycle, so positions stay comparable through playback.
+// Without a fixed domain the 1st-99th percentiles are used so a few outliers don't squash the rest.
+const buildScatterScale = (metric, values, range) => {
+    let domain = metric.domain;
+    if (!domain) {
+        const sorted = values.filter(v => Number.isFinite(v) && (!metric.log || v > 0)).sort(d3.ascending);
+        if (metric.symmetric) {
+            const extent = d3.quantile(sorted.map(Math.abs).sort(d3.ascending), 0.99) || 1;
+            domain = [-extent, extent];
+        } else if (sorted.length > 0) {
+            domain = [d3.quantile(sorted, metric.log ? 0 : 0.01), d3.quantile(sorted, metric.log ? 1 : 0.99)];
+        }
+        if (!domain || domain[0] === domain[1]) domain = domain ? [domain[0] - 1, domain[1] + 1] : [0, 1];
+        if (metric.log && domain[0] <= 0) domain = [1, Math.max(10, domain[1])];
+    }
+    const scale = (metric.log ? d3.scaleLog() : d3.scaleLinear()).domain(domain).range(range).clamp(true);
+    return metric.domain ? scale : scale.nice();
+};
+
+/**
+ * UTILITY: Covariates
+ * County or state variables (median income, education, urbanicity...) loaded from a local file
+ * and joined by FIPS. Shape: { label, columns: [name], values: { fips: { name: number } }, report }.
+ */
+const COVARIATE_INTERPOLATOR = d3.interpolateViridis;
+const COVARIATE_GRADIENT = `linear-gradient(to right, ${d3.range(0, 1.01, 0.25).map(t => COVARIATE_INTERPOLATOR(t)).join(', ')})`;
+const formatCovariate = d3.format(',.4~r');
+
+// Population column used to weight covariates when the crosswalk merges counties
+const COVARIATE_POPULATION = /^(total[_\s]?)?pop(ulation)?([_\s]?\d{4})?$/i;
+
+// Re-key covariates (fips -> { column: value }) onto the map's units with the FIPS crosswalk. Moved
+// codes take their current code (a file listing both keeps the current one). The counties of each
+// active merge are combined weighted by the file's population column, which is itself summed,
+// unless the file already has the merged code; merges it can do neither for are listed in
+// `unmerged`. Returns { values, unmerged: [merge name] }.
+const applyCovariateCrosswalk = (values, columns, merges) => {
+    const result = {};
+    Object.entries(values).forEach(([fips, row]) => {
+        const move = FIPS_CROSSWALK.moves[fips];
+        if (!move) {
+            result[fips] = row;
+        } else if (!result[move.to] && !values[move.to]) {
+            result[move.to] = row;
+        }
+    });
+
+    const populationColumn = columns.find(column => COVARIATE_POPULATION.test(column));
+    const unmerged = [];
+    merges.forEach(merge => {
+        const own = result[merge.id];
+        const members = Object.keys(result).filter(fips => fips.length === 5 && fips !== merge.id && merge.topology.test(fips));
+        const rows = members.map(fips => result[fips]).filter(row => row[populationColumn] > 0);
+        members.forEach(fips => { delete result[fips]; });
+
+        if (own) {
+            result[merge.id] = own;
+        } else if (rows.length > 0) {
+            const population = d3.sum(rows, row => row[populationColumn]);
+            const merged = { [populationColumn]: population };
+            columns.forEach(column => {
+                if (column === populationColumn) return;
+                const withValue = rows.filter(row => row[column] !== undefined);
+                const weight = d3.sum(withValue, row => row[populationColumn]);
+                if (weight > 0) merged[column] = d3.sum(withValue, row => row[column] * row[populationColumn]) / weight;
+            });
+            result[merge.id] = merged;
+        } else if (members.length > 0) {
+            unmerged.push(merge.name);
+        }
+    });
+    return { values: result, unmerged };
+};
+
+// Colour scale for one covariate column over the units at a granularity (two-digit state
+// or five-digit county FIPS), using the same outlier-trimmed domain as the scatter axes
+const buildCovariateScale = (covariates, column, granularity) => {
+    const idLength = granularity === GRANULARITY.STATE ? 2 : 5;
+    const values = Object.entries(covariates.values)
+        .filter(([id, row]) => id.length === idLength && row[column] !== undefined)
+        .map(([, row]) => row[column]);
+    if (values.length === 0) return null;
+    const scale = buildScatterScale({}, values, [0, 1]);
+    return { column, domain: scale.domain(), color: (value) => COVARIATE_INTERPOLATOR(scale(value)) };
+};
+
+/**
+ * UTILITY: URL State (Deep Links)
+ * View state lives in the query string so a link reopens exactly the same view, e.g.
+ * ?year=2020&layout=scatter&pop=50000-500000&view=2.4,-812.5,-603.1&hover=13121&compare=42017,42029,42045
+ */
+const URL_DEFAULTS = {
+    year: DEFAULT_YEARS[0],
+    mode: 'gradient',
+    layout: LAYOUTS.GEO,
+    granularity: GRANULARITY.COUNTY,
+    swing: { from: DEFAULT_YEARS[DEFAULT_YEARS.length - 2], to: DEFAULT_YEARS[DEFAULT_YEARS.length - 1] },
+    view: { k: 1, x: 0, y: 0 },
+    borders: false,
+    arrows: false,
+    office: DEFAULT_OFFICE,
+    axes: DEFAULT_SCATTER_AXES,
+    gradient: DEFAULT_GRADIENT_STYLE
+};
+
+const COLOR_MODES = ['winner', 'gradient', 'swing', 'split', 'covariate'];
+
+// Parse the query string into view state, falling back to defaults for missing or invalid values
+const readUrlState = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    const state = { ...URL_DEFAULTS, dark: null, pop: null, hover: null, compare: [], split: null };
+
+    const year = parseFloat(params.get('year'));
+    if (Number.isFinite(year)) state.year = Math.min(DEFAULT_YEARS[DEFAULT_YEARS.length - 1], Math.max(DEFAULT_YEARS[0], year));
+
+    if (COLOR_MODES.includes(params.get('mode'))) state.mode = params.get('mode');
+    if (Object.values(LAYOUTS).includes(params.get('layout'))) state.layout = params.get('layout');
+    if (Object.values(GRANULARITY).includes(params.get('level'))) state.granularity = params.get('level');
+    if (/^[a-z0-9_]+$/.test(params.get('office') || '')) state.office = params.get('office');
+    if (/^[a-z0-9_]+$/.test(params.get('split') || '')) state.split = params.get('split');
+    // Scatter axis keys are checked against the loaded data's metrics once it arrives
+    state.axes = { x: params.get('xaxis') || URL_DEFAULTS.axes.x, y: params.get('yaxis') || URL_DEFAULTS.axes.y };
+    // Perceptual vote-share gradient, e.g. "oklab-sqrt"
+    const [gradientSpace, gradientCurve] = (params.get('blend') || '').split('-');
+    if (gradientSpace === 'oklab') state.gradient = { space: 'oklab', curve: GRADIENT_CURVES[gradientCurve] ? gradientCurve : 'linear' };
+
+    const swing = (params.get('swing') || '').split('-').map(Number);
+    if (swing.length === 2 && swing.every(y => DEFAULT_YEARS.includes(y))) state.swing = { from: swing[0], to: swing[1] };
+
+    const view = (params.get('view') || '').split(',').map(Number);
+    if (view.length === 3 && view.every(Number.isFinite)) {
+        state.view = { k: Math.min(3.75, Math.max(0.5, view[0])), x: view[1], y: view[2] };
+    }
+
+    const pop = (params.get('pop') || '').split('-').map(Number);
+    if (pop.length === 2 && pop.every(v => Number.isFinite(v) && v >= 0) && pop[0] < pop[1]) state.pop = pop;
+
+    if (params.get('theme') === 'dark') state.dark = true;
+    if (params.get('theme') === 'light') state.dark = false;
+    state.borders = params.get('borders') === '1';
+    state.arrows = params.get('arrows') === '1';
+
+    const hover = params.get('hover');
+    if (/^\d{2}(\d{3})?$/.test(hover || '')) state.hover = hover;
+
+    const compare = (params.get('compare') || '').split(',').filter(id => /^\d{2}(\d{3})?$/.test(id));
+    state.compare = [...new Set(compare)].slice(0, MAX_COMPARE);
+
+    return state;
+};
+
+// Serialise view state to a query string, omitting defaults. Pan/zoom and hover are left out
+// when `includeTransient` is false so callers can tell navigational changes apart.
+const buildUrlQuery = (state, includeTransient = true) => {
+    const params = new URLSearchParams();
+    params.set('year', String(Math.round(state.year * 10) / 10));
+    if (state.mode !== URL_DEFAULTS.mode) params.set('mode', state.mode);
+    if (state.mode === 'swing') params.set('swing', `${state.swing.from}-${state.swing.to}`);
+    if (state.mode === 'split' && state.split) params.set('split', state.split);
+    if (state.axes.x !== URL_DEFAULTS.axes.x) params.set('xaxis', state.axes.x);
+    if (state.axes.y !== URL_DEFAULTS.axes.y) params.set('yaxis', state.axes.y);
+    if (state.gradient.space === 'oklab') params.set('blend', `oklab-${state.gradient.curve}`);
+    if (state.layout !== URL_DEFAULTS.layout) params.set('layout', state.layout);
+    if (state.granularity !== URL_DEFAULTS.granularity) params.set('level', state.granularity);
+    if (state.office !== URL_DEFAULTS.office) params.set('office', state.office);
+    if (state.pop) params.set('pop', `${Math.round(state.pop[0])}-${Math.round(state.pop[1])}`);
+    params.set('theme', state.dark ? 'dark' : 'light');
+    if (state.borders) params.set('borders', '1');
+    if (state.arrows) params.set('arrows', '1');
+    if (state.compare?.length) params.set('compare', state.compare.join(','));
+
+    if (includeTransient) {
+        const { k, x, y } = state.view;
+        if (k !== 1 || x !== 0 || y !== 0) params.set('view', [k.toFixed(2), x.toFixed(1), y.toFixed(1)].join(','));
+        if (state.hover) params.set('hover', state.hover);
+    }
+
+    // Keep the view triple readable instead of percent-encoding its commas
+    return `?${params.toString().replace(/%2C/g, ',')}`;
+};
+
+/**
+ * UTILITY: Canvas Map Renderer
+ * An alternative to rendering every unit as a React <path>/<circle>: fills are drawn into a
+ * <canvas> under the SVG (which keeps axes, borders, arrows and highlights), from Path2D objects
+ * cached per granularity. Hover and clicks go through a grid index over the units' bounding boxes.
+ */
+// Renderer choice: 'auto' picks the canvas on slow devices (see isSlowDevice) or when SVG playback
+// drops frames; kept in localStorage like the palette
+const RENDERERS = {
+    auto: 'Auto',
+    svg: 'SVG',
+    canvas: 'Canvas'
+};
+const RENDERER_STORAGE_KEY = 'election-viewer-renderer';
+const RENDERER_SLOW_FRAME_MS = 50; // Median SVG playback frame time that switches 'auto' to the canvas
+const RENDERER_SAMPLE_FRAMES = 30;
+const HIT_GRID_SIZE = 20; // Hit-test index cell size (map units)
+
+const readRendererSetting = () => {
+    try {
+        const saved = window.localStorage.getItem(RENDERER_STORAGE_KEY);
+        return RENDERERS[saved] ? saved : 'auto';
+    } catch {
+        return 'auto';
+    }
+};
+
+// Few cores or little memory (deviceMemory is Chromium-only): start on the canvas
+const isSlowDevice = () => (navigator.hardwareConcurrency || 8) <= 4 || (navigator.deviceMemory || 8) <= 4;
+
+// How a unit is drawn in the current layout: a circle at its layout position, its map path, or
+// nothing (filtered out of the Spectrum). Matches the SVG renderer's mapContent.
+const getUnitShape = (pathItem, layoutMode, layoutPositions) => {
+    if (layoutMode !== LAYOUTS.GEO && layoutPositions) {
+        if (layoutPositions[pathItem.id]) return { circle: layoutPositions[pathItem.id] };
+        if (layoutMode === LAYOUTS.SCATTER) return null;
+    }
+    return { path: true };
+};
+
+// Uniform grid over unit bounding boxes; each cell lists units in drawing order
+const buildUnitIndex = (mapPaths, layoutMode, layoutPositions) => {
+    const cells = new Map();
+    mapPaths.forEach(pathItem => {
+        const shape = getUnitShape(pathItem, layoutMode, layoutPositions);
+        if (!shape) return;
+        const [[x0, y0], [x1, y1]] = shape.circle
+            ? [[shape.circle.x - shape.circle.r, shape.circle.y - shape.circle.r], [shape.circle.x + shape.circle.r, shape.circle.y + shape.circle.r]]
+            : pathItem.bounds;
+        for (let cx = Math.floor(x0 / HIT_GRID_SIZE); cx <= Math.floor(x1 / HIT_GRID_SIZE); cx++) {
+            for (let cy = Math.floor(y0 / HIT_GRID_SIZE); cy <= Math.floor(y1 / HIT_GRID_SIZE); cy++) {
+                const key = `${cx},${cy}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push({ pathItem, shape });
+            }
+        }
+    });
+    return cells;
+};
+
+// Topmost unit under a map-space point; ctx is only used for isPointInPath with an identity transform
+const hitTestUnits = (cells, paths2d, ctx, x, y) => {
+    const candidates = cells.get(`${Math.floor(x / HIT_GRID_SIZE)},${Math.floor(y / HIT_GRID_SIZE)}`) || [];
+    for (let i = candidates.length - 1; i >= 0; i--) {
+        const { pathItem, shape } = candidates[i];
+        if (shape.circle) {
+            if (Math.hypot(x - shape.circle.x, y - shape.circle.y) <= shape.circle.r) return pathItem;
+        } else {
+            const [[x0, y0], [x1, y1]] = pathItem.bounds;
+            if (x >= x0 && x <= x1 && y >= y0 && y <= y1 && ctx.isPointInPath(paths2d.get(pathItem.id), x, y)) return pathItem;
+        }
+    }
+    return null;
+};
+
+// Canvas version of the "no race" hatch pattern in the map's <defs> (built once per theme)
+const createNoRacePattern = (isDarkMode) => {
+    const tile = document.createElement('canvas');
+    tile.width = 4;
+    tile.height = 4;
+    const tileCtx = tile.getContext('2d');
+    tileCtx.fillStyle = isDarkMode ? '#1e293b' : '#e5e7eb';
+    tileCtx.fillRect(0, 0, 4, 4);
+    tileCtx.strokeStyle = isDarkMode ? '#475569' : '#9ca3af';
+    tileCtx.lineWidth = 1.5;
+    tileCtx.beginPath();
+    tileCtx.moveTo(0, 0);
+    tileCtx.lineTo(0, 4);
+    tileCtx.stroke();
+    const pattern = tileCtx.createPattern(tile, 'repeat');
+    pattern.setTransform(new DOMMatrix().rotate(45));
+    return pattern;
+};
+
+// Draw the unit fills. The canvas covers the map container; svgElement's screen CTM maps the
+// viewBox onto it exactly as the browser lays out the SVG, and viewState pans/zooms within it.
+const drawCanvasMap = (canvas, svgElement, { mapPaths, paths2d, noRacePattern, layoutMode, layoutPositions, getColor, showBorders, isDarkMode, viewState }) => {
+    const rect = canvas.getBoundingClientRect();
+    const ctm = svgElement.getScreenCTM();
+    if (!ctm || rect.width === 0) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const pixelWidth = Math.round(rect.width * dpr);
+    const pixelHeight = Math.round(rect.height * dpr);
+    if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(dpr * ctm.a, dpr * ctm.b, dpr * ctm.c, dpr * ctm.d, dpr * (ctm.e - rect.left), dpr * (ctm.f - rect.top));
+    ctx.transform(viewState.k, 0, 0, viewState.k, viewState.x, viewState.y);
+
+    const stroke = isDarkMode ? '#334155' : '#cbd5e1';
+    mapPaths.forEach(pathItem => {
+        const shape = getUnitShape(pathItem, layoutMode, layoutPositions);
+        if (!shape) return;
+        const fill = getColor(pathItem.id);
+        ctx.fillStyle = fill === NO_RACE_FILL ? noRacePattern : fill;
+
+        // Circles move every playback tick, so they're traced straight onto the context rather than
+        // allocated as Path2D objects; map paths come from the cache
+        if (shape.circle) {
+            ctx.beginPath();
+            ctx.arc(shape.circle.x, shape.circle.y, shape.circle.r, 0, 2 * Math.PI);
+            ctx.fill();
+        } else {
+            ctx.fill(paths2d.get(pathItem.id));
+        }
+        if (showBorders) {
+            ctx.strokeStyle = stroke;
+            ctx.lineWidth = shape.circle ? 0.5 / shape.circle.r : 0.5;
+            if (shape.circle) {
+                ctx.stroke();
+            } else {
+                ctx.stroke(paths2d.get(pathItem.id));
+            }
+        }
+    });
+};
+
+// SVG markup for the canvas-drawn fills, so exports and recordings look the same with either renderer
+const buildUnitMarkup = ({ mapPaths, layoutMode, layoutPositions, getColor, showBorders, isDarkMode }) => {
+    const stroke = showBorders ? (isDarkMode ? '#334155' : '#cbd5e1') : 'none';
+    return mapPaths.map(pathItem => {
+        const shape = getUnitShape(pathItem, layoutMode, layoutPositions);
+        if (!shape) return '';
+        const fill = getColor(pathItem.id);
+        if (shape.circle) {
+            const { x, y, r } = shape.circle;
+            return `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="${r.toFixed(2)}" fill="${fill}" stroke="${stroke}" stroke-width="${showBorders ? 0.5 / r : 0}"/>`;
+        }
+        return `<path d="${pathItem.d}" fill="${fill}" stroke="${stroke}" stroke-width="0.5"/>`;
+    }).join('');
+};
+
+/**
+ * UTILITY: View Export (SVG / PNG)
+ * The live map SVG is cloned with its current pan/zoom baked into a transform attribute,
+ * then framed with a caption and legend so the file stands on its own.
+ */
+const EXPORT_LAYOUT = { header: 64, footer: 28, legendWidth: 100, legendHeight: 120, margin: 16 };
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Escape text for inclusion in SVG markup
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[ch]));
+
+// Trigger a browser download for a Blob
+const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Legend markup: the canvas triangle (or polygon, for more than three party groups) legend as an
+// embedded PNG, or the swing / split-ticket / covariate scale as native SVG
+const buildExportLegend = ({ mode, isDarkMode, swingYears, splitOffices, covariateScale, partyGroups, palette = PALETTES.classic, gradientStyle }) => {
+    const { legendWidth, legendHeight } = EXPORT_LAYOUT;
+    const textColor = isDarkMode ? '#94a3b8' : '#64748b';
+    if (mode === 'covariate' && covariateScale) {
+        const [low, high] = covariateScale.domain;
+        return [
+            '<defs><linearGradient id="export-covariate-scale">',
+            d3.range(0, 1.01, 0.25).map(t => `<stop offset="${t}" stop-color="${COVARIATE_INTERPOLATOR(t)}"/>`).join(''),
+            '</linearGradient></defs>',
+            `<rect y="${legendHeight - 44}" width="${legendWidth}" height="10" rx="5" fill="url(#export-covariate-scale)"/>`,
+            `<text y="${legendHeight - 22}" font-size="9" fill="${textColor}">${escapeXml(formatCovariate(low))}</text>`,
+            `<text x="${legendWidth}" y="${legendHeight - 22}" text-anchor="end" font-size="9" fill="${textColor}">${escapeXml(formatCovariate(high))}</text>`,
+            `<text x="${legendWidth / 2}" y="${legendHeight - 6}" text-anchor="middle" font-size="9" fill="${textColor}">${escapeXml(covariateScale.column.toUpperCase())}</text>`
+        ].join('');
+    }
+    if (mode !== 'swing' && mode !== 'split') {
+        const canvas = document.createElement('canvas');
+        canvas.width = legendWidth * 2;
+        canvas.height = legendHeight * 2;
+        drawTriangleLegend(canvas, isDarkMode, mode, partyGroups, palette.CENTER, gradientStyle);
+        // Name the polygon's corners in a key to its left
+        const key = partyGroups?.length > 3
+            ? partyGroups.map((group, i) => `<text x="-8" y="${legendHeight - (partyGroups.length - i - 1) * 12 - 4}" text-anchor="end" font-size="9" font-weight="bold" fill="${group.color}">${escapeXml(`${group.short} ${group.name}`)}</text>`).join('')
+            : '';
+        return `${key}<image width="${legendWidth}" height="${legendHeight}" xlink:href="${canvas.toDataURL('image/png')}"/>`;
+    }
+
+    return [
+        '<defs><linearGradient id="export-swing-scale">',
+        `<stop offset="0" stop-color="${palette.DEM}"/><stop offset="0.5" stop-color="${SWING_NEUTRAL_COLOR}"/><stop offset="1" stop-color="${palette.REP}"/>`,
+        '</linearGradient></defs>',
+        `<text x="${legendWidth / 2}" y="${legendHeight - 52}" text-anchor="middle" font-size="10" font-weight="bold" fill="${textColor}">${mode === 'split'
+            ? escapeXml(`${getOfficeLabel(splitOffices[0])} − ${getOfficeLabel(splitOffices[1])}`)
+            : `${swingYears.from} → ${swingYears.to}`}</text>`,
+        `<rect y="${legendHeight - 44}" width="${legendWidth}" height="10" rx="5" fill="url(#export-swing-scale)"/>`,
+        `<text y="${legendHeight - 22}" font-size="9" fill="${palette.DEM}">${formatMargin(-SWING_SCALE_MAX)}</text>`,
+        `<text x="${legendWidth}" y="${legendHeight - 22}" text-anchor="end" font-size="9" fill="${palette.REP}">${formatMargin(SWING_SCALE_MAX)}</text>`,
+        `<text x="${legendWidth / 2}" y="${legendHeight - 6}" text-anchor="middle" font-size="9" fill="${textColor}">${mode === 'split' ? 'MARGIN GAP' : 'MARGIN SHIFT'}</text>`
+    ].join('');
+};
+
+// Build a standalone SVG document from the live map element
+const buildExportSvg = (svgElement, { width, height, viewState, isDarkMode, mode, swingYears, splitOffices, covariateScale, partyGroups, palette, gradientStyle, unitMarkup, title, subtitle, source }) => {
+    const { header, footer, legendWidth, legendHeight, margin } = EXPORT_LAYOUT;
+    const totalHeight = header + height + footer;
+    const background = isDarkMode ? '#020617' : '#e2e8f0';
+    const titleColor = isDarkMode ? '#f8fafc' : '#0f172a';
+    const mutedColor = isDarkMode ? '#94a3b8' : '#475569';
+
+    // Clone the map, replacing the CSS pan/zoom transform with an SVG transform attribute
+    // and dropping class names (Tailwind classes mean nothing outside the app)
+    const clone = svgElement.cloneNode(true);
+    const viewport = clone.querySelector('g');
+    if (viewport) {
+        viewport.removeAttribute('style');
+        viewport.setAttribute('transform', `translate(${viewState.x} ${viewState.y}) scale(${viewState.k})`);
+    }
+    clone.querySelectorAll('[class]').forEach(el => el.removeAttribute('class'));
+    let mapMarkup = new XMLSerializer().serializeToString(viewport || clone);
+    // With the canvas renderer the unit fills aren't in the SVG: add them under everything else
+    if (unitMarkup) mapMarkup = mapMarkup.replace('</defs>', `</defs>${unitMarkup}`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="${SVG_NS}" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" font-family="Inter, Helvetica, Arial, sans-serif">`,
+        `<rect width="${width}" height="${totalHeight}" fill="${background}"/>`,
+        `<text x="${margin}" y="${margin + 18}" font-size="22" font-weight="bold" fill="${titleColor}">${escapeXml(title)}</text>`,
+        `<text x="${margin}" y="${margin + 38}" font-size="12" fill="${mutedColor}">${escapeXml(subtitle)}</text>`,
+        `<svg x="0" y="${header}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" overflow="hidden">${mapMarkup}</svg>`,
+        `<g transform="translate(${width - legendWidth - margin} ${header + height - legendHeight - margin})">${buildExportLegend({ mode, isDarkMode, swingYears, splitOffices, covariateScale, partyGroups, palette, gradientStyle })}</g>`,
+        `<text x="${margin}" y="${totalHeight - 10}" font-size="10" fill="${mutedColor}">${escapeXml(source)}</text>`,
+        '</svg>'
+    ].join('\n');
+};
+
+// Serialise rows to RFC 4180 CSV (fields quoted only when they contain commas, quotes or newlines)
+const toCsv = (rows, columns) => {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(col => escape(row[col])).join(','))].join('\r\n');
+};
+
+// Decode an SVG document into an Image element
+const loadSvgImage = (svgMarkup) => new Promise((resolve, reject) => {
+    const blobUrl = URL.createObjectURL(new Blob([svgMarkup], { type: 'image/svg+xml;charset=utf-8' }));
+    const img = new Image();
+    img.onload = () => {
+        URL.revokeObjectURL(blobUrl);
+        resolve(img);
+    };
+    img.onerror = () => {
+        URL.revokeObjectURL(blobUrl);
+        reject(new Error('Could not render SVG'));
+    };
+    img.src = blobUrl;
+});
+
+// Render an SVG document to a PNG Blob at `scale` times its size via an offscreen canvas
+const rasterizeSvg = (svgMarkup, scale = 3) => loadSvgImage(svgMarkup).then(img => new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    // Draw at the destination size so the vector image is rasterised at full resolution
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+}));
+
+// Burn the year and a cycle progress bar into a recorded frame (drawn in unscaled export coordinates)
+const drawRecordingCaption = (ctx, frameYear, { width, height, isDarkMode, years }) => {
+    const { header, margin } = EXPORT_LAYOUT;
+    const textColor = isDarkMode ? '#f8fafc' : '#0f172a';
+    const trackColor = isDarkMode ? 'rgba(148, 163, 184, 0.35)' : 'rgba(71, 85, 105, 0.25)';
+    const progress = getYearFraction(years, frameYear);
+    const barY = header + height - margin;
+    const barWidth = width * 0.4;
+
+    ctx.save();
+    ctx.font = 'bold 44px Inter, Helvetica, Arial, sans-serif';
+    ctx.fillStyle = textColor;
+    ctx.fillText(String(Math.floor(frameYear)), margin, barY - 14);
+
+    ctx.fillStyle = trackColor;
+    ctx.fillRect(margin, barY, barWidth, 4);
+    ctx.fillStyle = textColor;
+    ctx.fillRect(margin, barY, barWidth * progress, 4);
+    years.forEach(y => {
+        const x = margin + getYearFraction(years, y) * barWidth;
+        ctx.fillRect(x - 1, barY - 3, 2, 10);
+    });
+    ctx.restore();
+};
+
+// Resolve after a few animation frames, once React has committed and painted a state change
+const waitForPaint = (frames = 3) => new Promise(resolve => {
+    const step = (remaining) => requestAnimationFrame(() => (remaining > 1 ? step(remaining - 1) : resolve()));
+    step(frames);
+});
+
+// Real-time WebM recording support (MediaRecorder on a canvas stream)
+const getWebmMimeType = () => {
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+    return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type)) || null;
+};
+
+// Send one job to a fresh CSV worker and resolve with its reply (the buffer is transferred)
+const runCsvWorker = (type, payload) => new Promise((resolve, reject) => {
+    const worker = new CsvWorker();
+    worker.onmessage = (e) => {
+        if (e.data.type === 'PROGRESS') return;
+        worker.terminate();
+        if (e.data.type === 'ERROR') {
+            reject(new Error(e.data.error));
+        } else {
+            resolve(e.data);
+        }
+    };
+    worker.onerror = (e) => {
+        worker.terminate();
+        reject(new Error(e.message || 'CSV worker failed'));
+    };
+    worker.postMessage({ type, payload }, [payload.buffer]);
+});
+
+// Parse an election dataset ('csv', 'zip' or 'json' ArrayBuffer) in the CSV worker. Without a
+// column mapping the bundled dataset's headers are required.
+// Resolves with { data: { office: { year: { fips: { dem, rep, third, total, candidates?, ... } } } }, report },
+// where candidates is [{ name, party, group, votes }] (every candidate for long-format files).
+const parseElectionCsv = (buffer, format, mapping = null) =>
+    runCsvWorker('PARSE', { buffer, format, mapping }).then(({ data, report }) => ({ data, report }));
+
+// Read a dataset's header and first rows. Resolves with { columns, rows, mapping } where
+// mapping is the worker's best guess at which column feeds each field.
+const previewElectionFile = (buffer, format) =>
+    runCsvWorker('PREVIEW', { buffer, format }).then(({ columns, rows, mapping }) => ({ columns, rows, mapping }));
+
+// Read a covariate file: numeric columns keyed by FIPS. Resolves with { values, report }.
+const parseCovariateFile = (buffer, format) =>
+    runCsvWorker('COVARIATES', { buffer, format }).then(({ values, report }) => ({ values, report }));
+
+// Convert parsed rows into the per-office, per-year result objects the visualizer works with
+const toElectionResults = (data) => {
+    const results = {};
+    Object.entries(data).forEach(([office, byYear]) => {
+        results[office] = {};
+        Object.entries(byYear).forEach(([year, rows]) => {
+            results[office][year] = {};
+            Object.entries(rows).forEach(([fips, r]) => {
+                const extra = {};
+                if (r.candidates) extra.candidates = r.candidates;
+                if (r.thirdParties) extra.thirdParties = r.thirdParties;
+                if (r.extraColumns) extra.extraColumns = r.extraColumns;
+                results[office][year][fips] = buildResult(r.dem, r.rep, r.third, r.total, extra);
             });
+        });
+    });
+    return results;
+};
+
+// Attribution for the bundled dataset (loaded files are credited by file name)
+const BUNDLED_DATA_SOURCE = {
+    label: 'MIT Election Data & Science Lab',
+    url: 'https://dataverse.harvard.edu/dataset.xhtml?persistentId=doi:10.7910/DVN/VOQCHQ',
+    citation: 'Data: MIT Election Data and Science Lab (MEDSL), County Presidential Election Returns, doi:10.7910/DVN/VOQCHQ'
+};
+
+// Fields offered in the column-mapping dialog (keys match the CSV worker's mapping). Fields with a
+// layout apply only to files with one column per party ('wide') or one row per candidate ('long').
+const IMPORT_FIELDS = [
+    { key: 'year', label: 'Year', required: true },
+    { key: 'office', label: 'Office', hint: 'e.g. President, US Senate' },
+    { key: 'county_fips', label: 'County FIPS', required: true },
+    { key: 'dem_votes', label: 'Democratic votes', required: true, layout: 'wide' },
+    { key: 'rep_votes', label: 'Republican votes', required: true, layout: 'wide' },
+    { key: 'third_votes', label: 'Third-party votes', hint: 'optional', layout: 'wide' },
+    { key: 'total_votes', label: 'Total votes', hint: 'sum of parties if blank', layout: 'wide' },
+    { key: 'third_party_1', label: 'Top third-party candidate', hint: 'NAME|PARTY|VOTES', layout: 'wide' },
+    { key: 'third_party_2', label: 'Second third-party candidate', hint: 'NAME|PARTY|VOTES', layout: 'wide' },
+    { key: 'party', label: 'Party', required: true, hint: 'e.g. DEMOCRAT, GREEN', layout: 'long' },
+    { key: 'candidate_votes', label: 'Candidate votes', required: true, layout: 'long' },
+    { key: 'candidate', label: 'Candidate name', hint: 'optional', layout: 'long' },
+    { key: 'mode', label: 'Vote mode', hint: 'TOTAL rows used if present', layout: 'long' }
+];
+const IMPORT_LAYOUTS = [['wide', 'One column per party'], ['long', 'One row per candidate']];
+
+// Dataset format from a file name: zipped CSV, JSON, or plain CSV (the default)
+const getDatasetFormat = (fileName) => {
+    const name = fileName.toLowerCase();
+    if (name.endsWith('.zip')) return 'zip';
+    if (name.endsWith('.json')) return 'json';
+    return 'csv';
+};
+
+// Display name for an office key ("state_senate" -> "State Senate")
+const getOfficeLabel = (office) => OFFICE_LABELS[office]
+    || office.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+// Offices in a dataset: the common ones in OFFICE_LABELS order, then any others alphabetically
+const getDataOffices = (officeData) => {
+    const known = Object.keys(OFFICE_LABELS);
+    const rank = (office) => (known.includes(office) ? known.indexOf(office) : known.length);
+    return Object.keys(officeData || {}).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+};
+
+// Offices contested in every state each cycle: a state missing from a cycle is missing data, not "no race"
+const EVERY_STATE_OFFICES = ['president', 'house'];
+
+// States holding an office's races in each cycle (byYear: year -> Set of state FIPS, all: every state
+// seen). Staggered offices (Senate classes, off-year governors) skip some states in some cycles.
+const getRaceStates = (data, office) => {
+    const byYear = {};
+    const all = new Set();
+    if (EVERY_STATE_OFFICES.includes(office)) return { byYear, all, isStaggered: false };
+    Object.entries(data || {}).forEach(([y, units]) => {
+        byYear[y] = new Set(Object.keys(units).map(fips => fips.slice(0, 2)));
+        byYear[y].forEach(stateFips => all.add(stateFips));
+    });
+    const isStaggered = Object.values(byYear).some(states => states.size < all.size);
+    return { byYear, all, isStaggered };
+};
+
+// Keep the swing cycles if a timeline has both, otherwise compare its last two cycles
+const fitSwingYears = (swing, years) => (years.includes(swing.from) && years.includes(swing.to)
+    ? swing
+    : { from: years[Math.max(0, years.length - 2)], to: years[years.length - 1] });
+
+// Sorted election years present in a dataset, falling back to the bundled cycles before data loads
+const getDataYears = (data) => {
+    const years = Object.keys(data || {}).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+    return years.length > 0 ? years : DEFAULT_YEARS;
+};
+
+// Position of a year along the timeline (0-1), spaced by date so irregular gaps stay
+// proportional. A single-cycle timeline sits in the middle.
+const getYearFraction = (years, y) => {
+    const span = years[years.length - 1] - years[0];
+    return span > 0 ? (y - years[0]) / span : 0.5;
+};
+
+// Years to label on a timeline `width` units wide: the first and last cycles, plus any
+// in between at least `minGap` units from the previous label
+const getYearLabels = (years, width, minGap) => {
+    const xOf = (y) => getYearFraction(years, y) * width;
+    const labels = [];
+    years.forEach(y => {
+        if (labels.length === 0 || xOf(y) - xOf(labels[labels.length - 1]) >= minGap) labels.push(y);
+    });
+    const last = years[years.length - 1];
+    if (labels[labels.length - 1] !== last) {
+        // Make room for the last cycle by dropping a label that would overlap it
+        if (labels.length > 1 && xOf(last) - xOf(labels[labels.length - 1]) < minGap) labels.pop();
+        labels.push(last);
+    }
+    return labels;
+};
+
+// Playback length for a timeline, scaled by its number of cycles
+const getPlaybackDuration = (years) =>
+    PLAYBACK_DURATION * Math.max(1, (years.length - 1) / (DEFAULT_YEARS.length - 1));
+
+// Largest single-unit vote total across all years, rounded up for the population slider
+const getMaxVotes = (data) => {
+    // Provide a default if no data
+    if (Object.keys(data).length === 0) return 10000;
+
+    let maxVotes = 0;
+    Object.values(data).forEach(yearData => {
+        Object.values(yearData).forEach(unit => {
+            if (unit.total > maxVotes) maxVotes = unit.total;
+        });
+    });
+
+    // Round up to nearest nice number
+    return Math.ceil(maxVotes / 10000) * 10000;
+};
 
-            // 3. Run simulation
-            const simulation = self.d3.forceSimulation(nodes)
-                .force("x", self.d3.forceX(d => d.rx).strength(0.45))
-                .force("y", self.d3.forceY(d => d.ry).strength(0.45))
-                .force("collide", self.d3.forceCollide(d => d.r + 0.5).strength(1).iterations(3))
-                .stop();
-
-            // Run ticks (150 matches main thread logic)
-            for (let i = 0; i < 150; ++i) simulation.tick();
-
-            // 4. Format positions
-            const positions = {};
-            for (let i = 0; i < nodes.length; i++) {
-                const n = nodes[i];
-                positions[n.id] = { x: n.x, y: n.y, r: n.r };
+/**
+ * ELECTORAL COLLEGE
+ * Electors per state for each census apportionment. The 2000 election was still held
+ * under the 1990 apportionment; 2004-2008 use 2000, 2012-2020 use 2010, 2024 uses 2020.
+ */
+const ELECTORAL_VOTES = {
+    1990: {
+        AL: 9, AK: 3, AZ: 8, AR: 6, CA: 54, CO: 8, CT: 8, DE: 3, DC: 3, FL: 25, GA: 13, HI: 4, ID: 4,
+        IL: 22, IN: 12, IA: 7, KS: 6, KY: 8, LA: 9, ME: 4, MD: 10, MA: 12, MI: 18, MN: 10, MS: 7, MO: 11,
+        MT: 3, NE: 5, NV: 4, NH: 4, NJ: 15, NM: 5, NY: 33, NC: 14, ND: 3, OH: 21, OK: 8, OR: 7, PA: 23,
+        RI: 4, SC: 8, SD: 3, TN: 11, TX: 32, UT: 5, VT: 3, VA: 13, WA: 11, WV: 5, WI: 11, WY: 3
+    },
+    2000: {
+        AL: 9, AK: 3, AZ: 10, AR: 6, CA: 55, CO: 9, CT: 7, DE: 3, DC: 3, FL: 27, GA: 15, HI: 4, ID: 4,
+        IL: 21, IN: 11, IA: 7, KS: 6, KY: 8, LA: 9, ME: 4, MD: 10, MA: 12, MI: 17, MN: 10, MS: 6, MO: 11,
+        MT: 3, NE: 5, NV: 5, NH: 4, NJ: 15, NM: 5, NY: 31, NC: 15, ND: 3, OH: 20, OK: 7, OR: 7, PA: 21,
+        RI: 4, SC: 8, SD: 3, TN: 11, TX: 34, UT: 5, VT: 3, VA: 13, WA: 11, WV: 5, WI: 10, WY: 3
+    },
+    2010: {
+        AL: 9, AK: 3, AZ: 11, AR: 6, CA: 55, CO: 9, CT: 7, DE: 3, DC: 3, FL: 29, GA: 16, HI: 4, ID: 4,
+        IL: 20, IN: 11, IA: 6, KS: 6, KY: 8, LA: 8, ME: 4, MD: 10, MA: 11, MI: 16, MN: 10, MS: 6, MO: 10,
+        MT: 3, NE: 5, NV: 6, NH: 4, NJ: 14, NM: 5, NY: 29, NC: 15, ND: 3, OH: 18, OK: 7, OR: 7, PA: 20,
+        RI: 4, SC: 9, SD: 3, TN: 11, TX: 38, UT: 6, VT: 3, VA: 13, WA: 12, WV: 5, WI: 10, WY: 3
+    },
+    2020: {
+        AL: 9, AK: 3, AZ: 11, AR: 6, CA: 54, CO: 10, CT: 7, DE: 3, DC: 3, FL: 30, GA: 16, HI: 4, ID: 4,
+        IL: 19, IN: 11, IA: 6, KS: 6, KY: 8, LA: 8, ME: 4, MD: 10, MA: 11, MI: 15, MN: 10, MS: 6, MO: 10,
+        MT: 4, NE: 5, NV: 6, NH: 4, NJ: 14, NM: 5, NY: 28, NC: 16, ND: 3, OH: 17, OK: 7, OR: 8, PA: 19,
+        RI: 4, SC: 9, SD: 3, TN: 11, TX: 40, UT: 6, VT: 3, VA: 13, WA: 12, WV: 4, WI: 10, WY: 3
+    }
+};
+
+// Maine and Nebraska award two electors statewide and one per congressional district.
+// District results are estimated from county totals: counties split between districts are
+// weighted by their approximate share, and the `remainder` district takes everything else.
+const DISTRICT_SPLITS = {
+    '23': [
+        { name: 'ME-1', counties: { '23005': 1, '23011': 0.5, '23013': 1, '23015': 1, '23023': 1, '23031': 1 } },
+        { name: 'ME-2', remainder: true }
+    ],
+    '31': [
+        {
+            name: 'NE-1', counties: {
+                '31021': 1, '31023': 1, '31025': 1, '31037': 1, '31039': 1, '31043': 1, '31051': 1, '31053': 1,
+                '31109': 1, '31119': 1, '31131': 1, '31153': 0.5, '31155': 1, '31159': 1, '31167': 1, '31173': 1, '31177': 1
+            }
+        },
+        { name: 'NE-2', counties: { '31055': 1, '31153': 0.5 } },
+        { name: 'NE-3', remainder: true }
+    ]
+};
+
+// Census whose apportionment governs a given election year
+const getApportionment = (electionYear) => {
+    const censusYear = Math.floor((Math.floor(electionYear) - 2) / 10) * 10;
+    const censuses = Object.keys(ELECTORAL_VOTES).map(Number);
+    const census = censuses.filter(c => c <= censusYear).pop() || censuses[0];
+    return ELECTORAL_VOTES[census];
+};
+
+// Party with the most votes (third parties can carry a state outright)
+const getPluralityWinner = (result) => {
+    if (!result) return null;
+    const dem = result.demVotes || 0;
+    const rep = result.repVotes || 0;
+    const third = result.thirdVotes || 0;
+    if (dem + rep + third === 0) return null;
+    if (third > dem && third > rep) return 'THIRD';
+    return dem >= rep ? 'DEM' : 'REP';
+};
+
+// Estimate district winners in a split-elector state from its county results
+const getDistrictWinners = (countyData, stateFips, districts, tYear) => {
+    const sums = districts.map(() => ({ demVotes: 0, repVotes: 0, thirdVotes: 0 }));
+    const remainderIndex = districts.findIndex(d => d.remainder);
+    const years = getDataYears(countyData);
+    const cycle = years.filter(y => y <= tYear).pop() || years[0];
+
+    Object.keys(countyData[cycle] || {}).forEach(fips => {
+        if (!fips.startsWith(stateFips)) return;
+        const county = interpolateResult(countyData, fips, tYear);
+        if (!county) return;
+
+        let assigned = 0;
+        districts.forEach((district, i) => {
+            const weight = district.counties?.[fips] || 0;
+            if (weight === 0) return;
+            assigned += weight;
+            sums[i].demVotes += county.demVotes * weight;
+            sums[i].repVotes += county.repVotes * weight;
+            sums[i].thirdVotes += (county.thirdVotes || 0) * weight;
+        });
+
+        const rest = 1 - assigned;
+        if (rest > 0 && remainderIndex >= 0) {
+            sums[remainderIndex].demVotes += county.demVotes * rest;
+            sums[remainderIndex].repVotes += county.repVotes * rest;
+            sums[remainderIndex].thirdVotes += (county.thirdVotes || 0) * rest;
+        }
+    });
+
+    return districts.map((district, i) => ({ name: district.name, winner: getPluralityWinner(sums[i]) }));
+};
+
+// Award electors for every state: winner-take-all, except the Maine/Nebraska district splits
+const calculateElectoralCollege = (countyData, stateData, tYear) => {
+    const apportionment = getApportionment(tYear);
+    const totals = { DEM: 0, REP: 0, THIRD: 0 };
+    const states = {};
+    let totalElectors = 0;
+
+    Object.entries(STATE_FIPS_MAP).forEach(([stateFips, abbr]) => {
+        const electors = apportionment[abbr];
+        if (!electors) return; // Territories have no electors
+
+        totalElectors += electors;
+        const winner = getPluralityWinner(interpolateResult(stateData, stateFips, tYear));
+        const awards = { DEM: 0, REP: 0, THIRD: 0 };
+        let districts = [];
+
+        if (winner) {
+            const split = DISTRICT_SPLITS[stateFips];
+            if (split) {
+                districts = getDistrictWinners(countyData, stateFips, split, tYear);
+                awards[winner] += electors - districts.length;
+                districts.forEach(d => { if (d.winner) awards[d.winner] += 1; });
+            } else {
+                awards[winner] = electors;
             }
-
-            self.postMessage({ type: 'RESULT', year, positions });
-            
-        } catch (err) {
-            self.postMessage({ type: 'ERROR', year, error: err.message });
         }
-    }
-};
-`;
 
+        Object.keys(totals).forEach(party => { totals[party] += awards[party]; });
+        states[stateFips] = { electors, winner, awards, districts };
+    });
+
+    return {
+        totals,
+        states,
+        totalElectors,
+        majority: Math.floor(totalElectors / 2) + 1
+    };
+};
 
 /**
  * MAIN COMPONENT
  */
 export default function ElectionVisualizer() {
-    const d3Status = useScript('https://d3js.org/d3.v7.min.js');
-    const topoStatus = useScript('https://unpkg.com/topojson-client@3');
     const [dataStatus, setDataStatus] = useState('idle'); // idle, loading, ready, error
+    const [dataReport, setDataReport] = useState(null); // Data-quality report from the CSV parser (or { error })
+    const [isReportOpen, setIsReportOpen] = useState(false);
+    const [dataSource, setDataSource] = useState(BUNDLED_DATA_SOURCE); // { label, url, citation } shown in the title card and exports
+    const [importState, setImportState] = useState(null); // User file awaiting column mapping: { file, format, columns, rows, mapping, overlay, status, error }
+    const [isDragOver, setIsDragOver] = useState(false);
+    const fileInputRef = useRef(null);
+    const covariateInputRef = useRef(null);
+    const [covariateError, setCovariateError] = useState(null);
+
+    // View state restored from the URL on load (see readUrlState)
+    const initialUrlState = useRef(null);
+    if (!initialUrlState.current) initialUrlState.current = readUrlState();
+    const urlState = initialUrlState.current;
 
     const [topology, setTopology] = useState(null);
-    const [year, setYear] = useState(YEARS[0]);
-    const [mode, setMode] = useState('gradient');
-    const [layoutMode, setLayoutMode] = useState(LAYOUTS.GEO);
+    const [year, setYear] = useState(urlState.year);
+    const [mode, setMode] = useState(urlState.mode);
+    const [gradientStyle, setGradientStyle] = useState(urlState.gradient); // { space: 'classic'|'oklab', curve }
+    const [swingYears, setSwingYears] = useState(urlState.swing);
+    const [layoutMode, setLayoutMode] = useState(urlState.layout);
+    const [granularity, setGranularity] = useState(urlState.granularity);
     const [isDarkMode, setIsDarkMode] = useState(() => {
+        if (urlState.dark !== null) return urlState.dark;
         if (typeof window !== 'undefined' && window.matchMedia) {
             return window.matchMedia('(prefers-color-scheme: dark)').matches;
         }
@@ -392,7 +1803,23 @@ export default function ElectionVisualizer() {
     const [isPlaying, setIsPlaying] = useState(false);
     const [hovered, setHovered] = useState(null);
     const [tooltipPos, setTooltipPos] = useState({ x: 0, y: 0 });
-    const [showBorders, setShowBorders] = useState(false);
+    const [showBorders, setShowBorders] = useState(urlState.borders);
+    const [showShiftArrows, setShowShiftArrows] = useState(urlState.arrows);
+    const [pinnedId, setPinnedId] = useState(null); // Tooltip kept open after a search or deep link
+    const [selectedId, setSelectedId] = useState(null); // Unit shown in the details panel (set by clicking)
+    // Units pinned to the comparison tray (shift-click) and the colour each was given when added.
+    // setCompareIds takes a list or an updater, like a state setter, and keeps the colours in step.
+    const [compare, setCompare] = useState(() => ({ ids: urlState.compare, colors: assignCompareColors(urlState.compare, {}) }));
+    const { ids: compareIds, colors: compareColors } = compare;
+    const setCompareIds = useCallback((next) => setCompare(prev => {
+        const ids = typeof next === 'function' ? next(prev.ids) : next;
+        return ids === prev.ids ? prev : { ids, colors: assignCompareColors(ids, prev.colors) };
+    }), []);
+    const [isTrayCollapsed, setIsTrayCollapsed] = useState(false);
+    const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [recording, setRecording] = useState(null); // Playback recording progress { format, rendered, encoded, total }
+    const [recordFps, setRecordFps] = useState(15);
     const [isScrubbing, setIsScrubbing] = useState(false);
 
     const [isMobile, setIsMobile] = useState(false);
@@ -410,20 +1837,151 @@ export default function ElectionVisualizer() {
         document.documentElement.style.colorScheme = isDarkMode ? 'only dark' : 'only light';
     }, [isDarkMode]);
     const [layoutPositions, setLayoutPositions] = useState(null);
-    const [viewState, setViewState] = useState({ k: 1, x: 0, y: 0 });
+    const [viewState, setViewState] = useState(urlState.view);
     const [isDragging, setIsDragging] = useState(false);
     const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
 
 
-    const [cacheProgress, setCacheProgress] = useState({ count: 1, total: YEARS.length });
-    const [electionData, setElectionData] = useState({});
+    const [cacheProgress, setCacheProgress] = useState({ count: 1, total: DEFAULT_YEARS.length });
+    const [officeData, setOfficeData] = useState({}); // office -> year -> fips -> result
+    const [office, setOffice] = useState(urlState.office);
+
+    // Results for the displayed office, and the offices the switcher offers
+    const electionData = useMemo(() => officeData[office] || {}, [officeData, office]);
+    const offices = useMemo(() => getDataOffices(officeData), [officeData]);
+
+    // Election cycles for the displayed office (the slider, playback and layout caches run over these;
+    // Senate, House and Governor timelines include midterms)
+    const years = useMemo(() => getDataYears(electionData), [electionData]);
+
+    // States holding the office's races in each cycle. A state with races in some cycles but not
+    // others (Senate classes, off-year governors) has "no race" rather than missing data.
+    const raceStates = useMemo(() => getRaceStates(electionData, office), [electionData, office]);
+
+    // Split-ticket mode compares the displayed office with a second one in the same year
+    // (the URL's choice if the data has it, otherwise the first other office)
+    const [splitChoice, setSplitChoice] = useState(urlState.split);
+    const splitOffice = splitChoice && splitChoice !== office && officeData[splitChoice]
+        ? splitChoice
+        : (offices.find(o => o !== office) || null);
+    const splitRaceStates = useMemo(() => getRaceStates(officeData[splitOffice], splitOffice), [officeData, splitOffice]);
+
+    const [scatterAxes, setScatterAxes] = useState(urlState.axes); // Spectrum axis metric keys { x, y }
+
+    // Crosswalk merges in the loaded data, across all offices (their counties are drawn as one dissolved shape)
+    const activeMergeIds = useMemo(() => getActiveMerges(...Object.values(officeData)).map(merge => merge.id).join(','), [officeData]);
+
+    // Covariates joined by FIPS (see UTILITY: Covariates), re-keyed onto the map's units through the
+    // same crosswalk as the results; the column the covariate colour mode shows, and the Sorted
+    // Grid's sort key ('votes' or 'cov:<name>')
+    const [covariateFile, setCovariates] = useState(null);
+    const covariates = useMemo(() => {
+        if (!covariateFile) return null;
+        const merges = FIPS_CROSSWALK.merges.filter(merge => activeMergeIds.split(',').includes(merge.id));
+        return { ...covariateFile, ...applyCovariateCrosswalk(covariateFile.values, covariateFile.columns, merges) };
+    }, [covariateFile, activeMergeIds]);
+    const [covariateChoice, setCovariateChoice] = useState(null);
+    const [gridSort, setGridSort] = useState('votes');
+    const covariateColumn = covariates
+        ? (covariates.columns.includes(covariateChoice) ? covariateChoice : covariates.columns[0])
+        : null;
+
+    // Party display groups for the winner and vote-share modes (see UTILITY: Parties & Display Groups):
+    // party names and declarations read from the loaded datasets, the user's party -> group choices,
+    // and renamed or recoloured groups
+    const [partyInfo, setPartyInfo] = useState({ names: {}, declarations: {} });
+    const [partyGroupChoice, setPartyGroupChoice] = useState({});
+    const [groupStyleChoice, setGroupStyleChoice] = useState({});
+    const [isPartiesOpen, setIsPartiesOpen] = useState(false);
+
+    // Colour palette (see PALETTES): a preset or the user's custom colours, saved in localStorage
+    const [paletteSettings, setPaletteSettings] = useState(readPaletteSettings);
+    const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+    const palette = paletteSettings.preset === 'custom' ? paletteSettings.custom : PALETTES[paletteSettings.preset];
+    const marginColor = (margin) => (margin > 0 ? palette.REP : margin < 0 ? palette.DEM : undefined); // Text colour for a two-party margin
+    useEffect(() => {
+        try {
+            window.localStorage.setItem(PALETTE_STORAGE_KEY, JSON.stringify(paletteSettings));
+        } catch {
+            // Storage unavailable (private mode): the choice lasts for this session only
+        }
+    }, [paletteSettings]);
+
+    // Map renderer (see RENDERERS): SVG elements, or the canvas for smoother playback on slow machines
+    const [rendererSetting, setRendererSetting] = useState(readRendererSetting);
+    const [isAutoCanvas, setIsAutoCanvas] = useState(isSlowDevice);
+    const isCanvas = rendererSetting === 'canvas' || (rendererSetting === 'auto' && isAutoCanvas);
+    useEffect(() => {
+        try {
+            window.localStorage.setItem(RENDERER_STORAGE_KEY, rendererSetting);
+        } catch {
+            // Storage unavailable: the choice lasts for this session only
+        }
+    }, [rendererSetting]);
+
+    // Third parties in the displayed office's results with their vote totals over all cycles (largest first)
+    const partyList = useMemo(() => {
+        const votes = {};
+        Object.values(electionData).forEach(units => Object.values(units).forEach(result => {
+            let listed = 0;
+            Object.entries(result.thirdParties || {}).forEach(([key, value]) => {
+                votes[key] = (votes[key] || 0) + value;
+                listed += value;
+            });
+            if ((result.thirdVotes || 0) > listed) votes.OTHER = (votes.OTHER || 0) + result.thirdVotes - listed;
+        }));
+        return Object.entries(votes)
+            .sort((a, b) => b[1] - a[1])
+            .map(([key, total], index) => ({ key, votes: total, ...getPartyStyle(key, partyInfo, index) }));
+    }, [electionData, partyInfo]);
+
+    const partyGroups = useMemo(
+        () => buildPartyGroups(partyList, partyInfo.declarations, partyGroupChoice, groupStyleChoice, palette),
+        [partyList, partyInfo, partyGroupChoice, groupStyleChoice, palette]
+    );
+
+    // Statewide totals summed from the county results
+    const stateElectionData = useMemo(() => aggregateByState(electionData), [electionData]);
+
+    // Results for the active granularity (counties or states)
+    const viewData = granularity === GRANULARITY.STATE ? stateElectionData : electionData;
+
+    // The split-ticket comparison office at the active granularity
+    const splitViewData = useMemo(() => {
+        const data = officeData[splitOffice] || {};
+        return granularity === GRANULARITY.STATE ? aggregateByState(data) : data;
+    }, [officeData, splitOffice, granularity]);
+
+    // Colour scale for the covariate colour mode at the active granularity
+    const covariateScale = useMemo(
+        () => (covariateColumn ? buildCovariateScale(covariates, covariateColumn, granularity) : null),
+        [covariates, covariateColumn, granularity]
+    );
+
+    // Metrics offered for the Spectrum axes: built-ins, the split-ticket office, numeric data columns, then covariates
+    const scatterMetricOptions = useMemo(() => {
+        const columns = new Set();
+        Object.values(viewData).forEach(units => Object.values(units).forEach(result => {
+            if (result.extraColumns) Object.keys(result.extraColumns).forEach(column => columns.add(column));
+        }));
+        return [
+            ...Object.keys(SCATTER_METRICS),
+            ...(splitOffice ? ['split'] : []),
+            ...[...columns].sort().map(column => `col:${column}`),
+            ...(covariates ? covariates.columns.map(column => `cov:${column}`) : [])
+        ].map(key => ({ key, label: getScatterMetric(key, splitOffice, covariates).label }));
+    }, [viewData, splitOffice, covariates]);
 
     const mapRef = useRef(null);
     const svgRef = useRef(null);
+    const canvasRef = useRef(null); // Unit fills when the canvas renderer is on
     const cartogramCache = useRef({});
     const gridCache = useRef({});
     const scatterCache = useRef({});
     const touchRef = useRef({ dist: null });
+    const flyAnimationRef = useRef(null);
+    const pointerDownRef = useRef(null); // Where a press started, to tell clicks from drags
+    const recordCancelRef = useRef(false);
 
     // Animation Ref
     const animationRef = useRef(null);
@@ -431,8 +1989,8 @@ export default function ElectionVisualizer() {
 
     // Spectrum/Scatter Filter State
     const [globalMaxVotes, setGlobalMaxVotes] = useState(1000000);
-    const [popFilter, setPopFilter] = useState({ min: 0, max: 1000000 });
-    const [uiPopRange, setUiPopRange] = useState([0, 1000000]); // [min, max]
+    const [popFilter, setPopFilter] = useState(urlState.pop ? { min: urlState.pop[0], max: urlState.pop[1] } : { min: 0, max: 1000000 });
+    const [uiPopRange, setUiPopRange] = useState(urlState.pop || [0, 1000000]); // [min, max]
     const [isGeneratingScatter, setIsGeneratingScatter] = useState(false);
     const [scatterProgress, setScatterProgress] = useState({ count: 0, total: 0 });
     const scatterDebounceRef = useRef(null);
@@ -441,60 +1999,80 @@ export default function ElectionVisualizer() {
     const [isLayoutMenuOpen, setIsLayoutMenuOpen] = useState(false);
 
     // Helper: Get Interpolated Data for continuous time
-    const getInterpolatedData = useCallback((fips, tYear) => {
-        const years = Object.keys(electionData);
-        if (!electionData || years.length === 0) return null;
-
-        const prevYear = YEARS.filter(y => y <= tYear).pop() || YEARS[0];
-        const nextYear = YEARS.find(y => y > tYear) || YEARS[YEARS.length - 1];
-
-        const dataPrev = electionData[prevYear]?.[fips];
-        const dataNext = electionData[nextYear]?.[fips];
+    const getInterpolatedData = useCallback((fips, tYear) => interpolateResult(viewData, fips, tYear), [viewData]);
+
+    // Helper: Margin shift between the two selected swing cycles
+    const getSwingData = useCallback((fips) => {
+        return calculateSwing(viewData[swingYears.from]?.[fips], viewData[swingYears.to]?.[fips]);
+    }, [viewData, swingYears]);
+
+    // Helper: Split-ticket gap for the current (interpolated) year: displayed office margin minus
+    // the comparison office's margin (positive = the displayed office ran more Republican)
+    const getSplitData = useCallback((fips) => {
+        const result = interpolateResult(viewData, fips, year);
+        const splitResult = interpolateResult(splitViewData, fips, year);
+        if (!result || !splitResult) return null;
+        const margin = getTwoPartyMargin(result);
+        const splitMargin = getTwoPartyMargin(splitResult);
+        return { margin, splitMargin, gap: margin - splitMargin };
+    }, [viewData, splitViewData, year]);
+
+    // Helper: Margin shift since the previous cycle, interpolated between cycles for continuous time
+    const getShiftVector = useCallback((fips, tYear) => {
+        const shiftAt = (cycle) => {
+            const index = years.indexOf(cycle);
+            if (index <= 0) return { marginShift: 0, voteChange: 0 }; // First cycle has nothing to compare
+            return calculateSwing(viewData[years[index - 1]]?.[fips], viewData[cycle]?.[fips]);
+        };
 
-        if (!dataPrev && !dataNext) return null;
-        if (!dataPrev) return dataNext;
-        if (!dataNext) return dataPrev;
+        const prevYear = years.filter(y => y <= tYear).pop() || years[0];
+        const nextYear = years.find(y => y > tYear) || years[years.length - 1];
 
-        if (prevYear === nextYear) return dataPrev;
+        const shiftPrev = shiftAt(prevYear);
+        const shiftNext = shiftAt(nextYear);
+        if (!shiftPrev || !shiftNext || prevYear === nextYear) return shiftPrev || shiftNext;
 
         const ratio = (tYear - prevYear) / (nextYear - prevYear);
-
-        // Interpolate raw vote counts
-        const demVotes = dataPrev.demVotes + (dataNext.demVotes - dataPrev.demVotes) * ratio;
-        const repVotes = dataPrev.repVotes + (dataNext.repVotes - dataPrev.repVotes) * ratio;
-        const thirdVotes = (dataPrev.thirdVotes || 0) + ((dataNext.thirdVotes || 0) - (dataPrev.thirdVotes || 0)) * ratio;
-        const total = demVotes + repVotes + thirdVotes;
-        const twoPartyTotal = demVotes + repVotes;
-
         return {
-            ...dataPrev,
-            demVotes,
-            repVotes,
-            thirdVotes,
-            total,
-            demShare: twoPartyTotal > 0 ? demVotes / twoPartyTotal : 0,
-            repShare: twoPartyTotal > 0 ? repVotes / twoPartyTotal : 0,
-            thirdShare: total > 0 ? thirdVotes / total : 0,
-            winner: repVotes > demVotes ? 'REP' : 'DEM',
-            thirdParty1: ratio < 0.5 ? dataPrev.thirdParty1 : dataNext.thirdParty1,
-            thirdParty2: ratio < 0.5 ? dataPrev.thirdParty2 : dataNext.thirdParty2
+            marginShift: shiftPrev.marginShift + (shiftNext.marginShift - shiftPrev.marginShift) * ratio,
+            voteChange: shiftPrev.voteChange + (shiftNext.voteChange - shiftPrev.voteChange) * ratio
         };
-    }, [electionData]);
+    }, [viewData, years]);
+
+    // Largest cycle-to-cycle vote change, used to normalise shift arrow thickness
+    const maxVoteChange = useMemo(() => {
+        let maxChange = 1;
+        years.forEach((y, i) => {
+            if (i === 0 || !viewData[y]) return;
+            Object.entries(viewData[y]).forEach(([fips, result]) => {
+                const prev = viewData[years[i - 1]]?.[fips];
+                if (prev) maxChange = Math.max(maxChange, Math.abs(result.total - prev.total));
+            });
+        });
+        return maxChange;
+    }, [viewData, years]);
+
+    // Electoral College tally for the current (interpolated) year (presidential races only)
+    const electoralCollege = useMemo(
+        () => (office === 'president'
+            ? calculateElectoralCollege(electionData, stateElectionData, year)
+            : { totals: { DEM: 0, REP: 0, THIRD: 0 }, states: {}, totalElectors: 0, majority: 0 }),
+        [office, electionData, stateElectionData, year]
+    );
 
-    // 1. Initialize Map
+    // 1. Initialize Map (us-atlas county topology, served from public/)
     useEffect(() => {
-        if (d3Status !== 'ready' || topoStatus !== 'ready') return;
         const controller = new AbortController();
-        fetch('https://cdn.jsdelivr.net/npm/us-atlas@3/counties-10m.json', { signal: controller.signal })
+        fetch('/counties-10m.json', { signal: controller.signal })
             .then(response => response.json())
             .then(us => setTopology(us))
             .catch(err => { if (err.name !== 'AbortError') console.error('Failed to load topology:', err); });
         return () => controller.abort();
-    }, [d3Status, topoStatus]);
+    }, []);
 
     // 2. Load CSV Data (Optimized - Zipped)
     useEffect(() => {
-        if (d3Status === 'ready' && dataStatus === 'idle') {
+        if (dataStatus === 'idle') {
             setDataStatus('loading');
 
             const dataUrl = '/election_data.csv.zip';
@@ -506,115 +2084,42 @@ export default function ElectionVisualizer() {
                     }
                     return response.arrayBuffer();
                 })
-                .then(buffer => {
-                    return JSZip.loadAsync(buffer);
-                })
-                .then(zip => {
-                    // Find the CSV file inside. Filter out macOS metadata files.
-                    const csvFilename = Object.keys(zip.files).find(name =>
-                        name.endsWith('.csv') && !name.includes('__MACOSX') && !name.split('/').pop().startsWith('.')
-                    ) || Object.keys(zip.files).find(name => !name.endsWith('/')); // Fallback to first non-directory file
-
-                    if (!csvFilename) {
-                        throw new Error('No CSV file found in the zip archive');
-                    }
-
-                    return zip.file(csvFilename).async("string");
-                })
-                .then(csvText => {
-                    // Parse CSV manually
-                    const lines = csvText.trim().split('\n');
-                    const allData = {};
-
-                    for (let i = 1; i < lines.length; i++) {
-                        // Handle simple CSV parsing, handling basic quotes
-                        // We assume standard format: "year","fips",dem,rep,third,total
-                        // Note: A robust regex parser would be safer for complex CSVs, but this works for the known format
-                        // We'll just strip all quotes from values for simplicity as we know the structure
-                        const values = lines[i].split(',').map(v => v.replace(/"/g, '').trim());
-
-                        if (values.length < 6) continue;
-
-                        const year = +values[0];
-                        const fips = values[1].padStart(5, '0');
-                        const dem = +values[2];
-                        const rep = +values[3];
-                        const third = +values[4];
-                        const total = +values[5];
-
-
-
-                        // Parse third-party candidates (format: "NAME|PARTY|VOTES")
-                        const third1Raw = values[6] ? values[6].replace(/"/g, '') : '';
-                        const third2Raw = values[7] ? values[7].replace(/"/g, '') : '';
-
-                        const parseThirdParty = (raw) => {
-                            if (!raw) return null;
-                            const parts = raw.split('|');
-                            if (parts.length !== 3) return null;
-                            return {
-                                name: parts[0],
-                                party: parts[1],
-                                votes: +parts[2]
-                            };
-                        };
-
-                        const thirdParty1 = parseThirdParty(third1Raw);
-                        const thirdParty2 = parseThirdParty(third2Raw);
-
-                        // Calculate two-party vote share (excludes third parties)
-                        const twoPartyTotal = dem + rep;
-                        const allVotesTotal = dem + rep + third;
-
-                        if (!allData[year]) allData[year] = {};
-                        allData[year][fips] = {
-                            demVotes: dem,
-                            repVotes: rep,
-                            thirdVotes: third,
-                            total: total,
-                            thirdParty1: thirdParty1,
-                            thirdParty2: thirdParty2,
-                            // Use two-party vote for share calculation
-                            demShare: twoPartyTotal > 0 ? dem / twoPartyTotal : 0,
-                            repShare: twoPartyTotal > 0 ? rep / twoPartyTotal : 0,
-                            // Third party share relative to all votes
-                            thirdShare: allVotesTotal > 0 ? third / allVotesTotal : 0,
-                            winner: dem > rep ? 'DEM' : 'REP'
-                        };
-                    }
-
-
-                    let calculatedMaxVotes = 0;
-                    // Provide a default if no data
-                    if (Object.keys(allData).length === 0) calculatedMaxVotes = 10000;
-
-                    // Calculate Global Max Votes for Slider Scale
-                    Object.values(allData).forEach(yearData => {
-                        Object.values(yearData).forEach(county => {
-                            if (county.total > calculatedMaxVotes) calculatedMaxVotes = county.total;
-                        });
-                    });
-
-                    // Round up to nearest nice number
-                    calculatedMaxVotes = Math.ceil(calculatedMaxVotes / 10000) * 10000;
-
-                    setElectionData(allData);
+                .then(buffer => parseElectionCsv(buffer, 'zip'))
+                .then(({ data, report }) => {
+                    const { data: allData, log } = applyOfficeCrosswalk(toElectionResults(data));
+                    setDataReport({ ...report, crosswalk: log });
+                    setPartyInfo({ names: report.partyNames, declarations: report.partyDeclarations });
+
+                    // Office from the URL if the data has it, otherwise the first available
+                    const { granularity: initialGranularity, pop: initialPop, office: initialOffice } = initialUrlState.current;
+                    const shownOffice = allData[initialOffice] ? initialOffice : getDataOffices(allData)[0];
+                    const shownData = allData[shownOffice] || {};
+
+                    // Calculate Global Max Votes for Slider Scale (for the granularity restored from the URL)
+                    const calculatedMaxVotes = getMaxVotes(initialGranularity === GRANULARITY.STATE ? aggregateByState(shownData) : shownData);
+                    const initialRange = initialPop
+                        ? [Math.min(initialPop[0], calculatedMaxVotes), Math.min(initialPop[1], calculatedMaxVotes)]
+                        : [0, calculatedMaxVotes];
+
+                    setOfficeData(allData);
+                    setOffice(shownOffice);
                     setGlobalMaxVotes(calculatedMaxVotes);
-                    setPopFilter({ min: 0, max: calculatedMaxVotes });
-                    setUiPopRange([0, calculatedMaxVotes]);
+                    setPopFilter({ min: initialRange[0], max: initialRange[1] });
+                    setUiPopRange(initialRange);
                     setDataStatus('ready');
                 })
                 .catch(err => {
                     console.error('Failed to load election data:', err.message);
+                    setDataReport({ error: err.message });
                     setDataStatus('error');
                 });
         }
-    }, [d3Status, dataStatus]);
+    }, [dataStatus]);
 
     // Playback Loop (Continuous) - Time Based
     useEffect(() => {
         let animationId;
-        if (isPlaying && Object.keys(electionData).length > 0) {  // eslint-disable-line
+        if (isPlaying && years.length > 1 && Object.keys(electionData).length > 0) {  // eslint-disable-line
 
             // Reset start time if just started
             // We want to continue from current year, so we reverse calculate start time
@@ -623,14 +2128,14 @@ export default function ElectionVisualizer() {
             // Elapsed = Progress * Duration
             // StartTime = Now - Elapsed
 
-            const totalDuration = 5000; // 5 seconds
-            const yearRange = YEARS[YEARS.length - 1] - YEARS[0];
+            const totalDuration = getPlaybackDuration(years);
+            const yearRange = years[years.length - 1] - years[0];
 
             const startLoop = (timestamp) => {
                 if (!lastTimeRef.current) lastTimeRef.current = timestamp;
 
                 // Calculate conceptual start time based on current year to allow resuming
-                const currentProgress = (year - YEARS[0]) / yearRange;
+                const currentProgress = (year - years[0]) / yearRange;
                 const elapsedAlready = currentProgress * totalDuration;
 
                 // If we are starting fresh/paused, we set the 'anchor' generic start time
@@ -642,7 +2147,7 @@ export default function ElectionVisualizer() {
                     const elapsed = now - animationRef.current;
                     const progress = (elapsed % totalDuration) / totalDuration;
 
-                    const newYear = YEARS[0] + progress * yearRange;
+                    const newYear = years[0] + progress * yearRange;
                     setYear(newYear);
 
                     animationId = requestAnimationFrame(loop);
@@ -660,12 +2165,12 @@ export default function ElectionVisualizer() {
             setYear(currentYear => {
                 // only snap if we are not scrubbing
                 if (isScrubbing) return currentYear;
-                const nearest = YEARS.reduce((prev, curr) => Math.abs(curr - currentYear) < Math.abs(prev - currentYear) ? curr : prev);
+                const nearest = years.reduce((prev, curr) => Math.abs(curr - currentYear) < Math.abs(prev - currentYear) ? curr : prev);
                 return nearest;
             });
         }
         return () => cancelAnimationFrame(animationId);
-    }, [isPlaying, electionData]);
+    }, [isPlaying, electionData, years]);
 
     // Dimensions
     const width = 960;
@@ -673,15 +2178,28 @@ export default function ElectionVisualizer() {
 
 
 
-    // Memoize Map Geometry + Centroids + Areas for Cartogram
-    const mapPaths = useMemo(() => {
-        if (!topology || !window.d3 || !window.topojson) return null;
+    // Memoize Map Geometry + Centroids + Areas for Cartogram (counties and states)
+    const geometry = useMemo(() => {
+        if (!topology) return null;
 
-        const geojson = window.topojson.feature(topology, topology.objects.counties);
-        const projection = window.d3.geoAlbersUsa().scale(1000).translate([width / 2, height / 2]);
-        const pathGenerator = window.d3.geoPath().projection(projection);
+        const projection = d3.geoAlbersUsa().scale(1000).translate([width / 2, height / 2]);
+        const pathGenerator = d3.geoPath().projection(projection);
 
-        return geojson.features.map(feature => {
+        // Replace the counties of each active merge with their dissolved outline
+        const merges = FIPS_CROSSWALK.merges.filter(merge => activeMergeIds.split(',').includes(merge.id));
+        const countyGeometries = topology.objects.counties.geometries;
+        const counties = {
+            type: 'GeometryCollection',
+            geometries: countyGeometries.filter(g => !merges.some(merge => merge.topology.test(g.id)))
+        };
+        const mergedFeatures = merges.map(merge => ({
+            type: 'Feature',
+            id: merge.id,
+            properties: { name: merge.name },
+            geometry: topojson.merge(topology, countyGeometries.filter(g => merge.topology.test(g.id)))
+        }));
+
+        const projectFeatures = (features) => features.map(feature => {
             const d = pathGenerator(feature);
             if (!d) return null;
 
@@ -694,10 +2212,44 @@ export default function ElectionVisualizer() {
                 d,
                 feature,
                 centroid,
+                bounds: pathGenerator.bounds(feature),
                 area: area || 0.1 // Prevent divide by zero
             };
         }).filter(Boolean);
-    }, [topology]);
+
+        return {
+            [GRANULARITY.COUNTY]: projectFeatures([...topojson.feature(topology, counties).features, ...mergedFeatures]),
+            [GRANULARITY.STATE]: projectFeatures(topojson.feature(topology, topology.objects.states).features)
+        };
+    }, [topology, activeMergeIds]);
+
+    // Join diagnostic: data codes with no county shape, and drawn counties missing data, with the years affected
+    const unmatchedUnits = useMemo(() => {
+        if (!geometry || Object.keys(electionData).length === 0) return null;
+        const counties = geometry[GRANULARITY.COUNTY];
+        const countyIds = new Set(counties.map(p => p.id));
+        const dataOnly = {};
+        const mapOnly = {};
+        years.forEach(y => {
+            const units = electionData[y] || {};
+            Object.keys(units).forEach(fips => {
+                if (!countyIds.has(fips)) (dataOnly[fips] = dataOnly[fips] || []).push(y);
+            });
+            counties.forEach(p => {
+                const stateFips = p.id.slice(0, 2);
+                const isNoRace = raceStates.all.has(stateFips) && !raceStates.byYear[y].has(stateFips);
+                if (!units[p.id] && !isNoRace) (mapOnly[p.id] = mapOnly[p.id] || []).push(y);
+            });
+        });
+        const nameOf = Object.fromEntries(counties.map(p => [p.id, p.feature.properties.name]));
+        return {
+            dataOnly: Object.entries(dataOnly).map(([fips, missingYears]) => ({ fips, years: missingYears })).sort((a, b) => a.fips.localeCompare(b.fips)),
+            mapOnly: Object.entries(mapOnly).map(([fips, missingYears]) => ({ fips, name: nameOf[fips], years: missingYears })).sort((a, b) => a.fips.localeCompare(b.fips))
+        };
+    }, [geometry, electionData, years, raceStates]);
+
+    // Paths for the active granularity
+    const mapPaths = geometry ? geometry[granularity] : null;
 
     // Calculate Global Scale Factor (Votes -> PixelArea)
     // We want Sum(Votes * Factor) = Sum(OriginalPixelArea)
@@ -707,13 +2259,13 @@ export default function ElectionVisualizer() {
     // Helper: Calculate Cartogram Layout for a specific year
     // This allows us to pre-calculate layouts in the background
     const calculateLayout = useCallback((targetYear) => {
-        if (!mapPaths || !electionData[targetYear] || !window.d3) return null;
+        if (!mapPaths || !viewData[targetYear]) return null;
 
         // 1. Calculate Scale Factor for this specific year
         let totalVotes = 0;
         let totalArea = 0;
         mapPaths.forEach(p => {
-            const votes = electionData[targetYear][p.id]?.total || 0;
+            const votes = viewData[targetYear][p.id]?.total || 0;
             totalVotes += votes;
             totalArea += p.area;
         });
@@ -722,7 +2274,7 @@ export default function ElectionVisualizer() {
 
         // 2. Create nodes
         const nodes = mapPaths.map(p => {
-            const data = electionData[targetYear][p.id];
+            const data = viewData[targetYear][p.id];
             const targetArea = (data?.total || 0) * scaleFactor;
             // Radius estimation: Area = pi * r^2  => r = sqrt(Area / pi)
             const r = Math.sqrt(Math.max(0.1, targetArea) / Math.PI);
@@ -738,10 +2290,10 @@ export default function ElectionVisualizer() {
         });
 
         // 3. Run simulation
-        const simulation = window.d3.forceSimulation(nodes)
-            .force("x", window.d3.forceX(d => d.rx).strength(0.85))
-            .force("y", window.d3.forceY(d => d.ry).strength(0.85))
-            .force("collide", window.d3.forceCollide(d => d.r + 0.5).strength(1).iterations(3))
+        const simulation = d3.forceSimulation(nodes)
+            .force("x", d3.forceX(d => d.rx).strength(0.85))
+            .force("y", d3.forceY(d => d.ry).strength(0.85))
+            .force("collide", d3.forceCollide(d => d.r + 0.5).strength(1).iterations(3))
             .stop();
 
         // Run ticks (150 is a good balance for quality/speed)
@@ -754,17 +2306,18 @@ export default function ElectionVisualizer() {
         });
 
         return positions;
-    }, [mapPaths, electionData]);
+    }, [mapPaths, viewData]);
 
-    // Helper: Calculate Grid Layout (Arrange by Votes)
+    // Helper: Calculate Grid Layout (Arrange by Votes, or by a covariate)
     const calculateGridLayout = useCallback((targetYear) => {
-        if (!mapPaths || !electionData[targetYear]) return null;
+        if (!mapPaths || !viewData[targetYear]) return null;
+        const sortColumn = covariates && gridSort.startsWith('cov:') && covariates.columns.includes(gridSort.slice(4)) ? gridSort.slice(4) : null;
 
         // 1. Calculate Scale Factor (Uses same logic as Cartogram for consistency)
         let totalVotes = 0;
         let totalArea = 0;
         mapPaths.forEach(p => {
-            const votes = electionData[targetYear][p.id]?.total || 0;
+            const votes = viewData[targetYear][p.id]?.total || 0;
             totalVotes += votes;
             totalArea += p.area;
         });
@@ -773,18 +2326,26 @@ export default function ElectionVisualizer() {
 
         // 2. Create nodes
         const nodes = mapPaths.map(p => {
-            const data = electionData[targetYear][p.id];
+            const data = viewData[targetYear][p.id];
             const targetArea = (data?.total || 0) * scaleFactor;
             const r = Math.sqrt(Math.max(0.1, targetArea) / Math.PI);
             return {
                 id: p.id,
                 r: r,
-                votes: data?.total || 0
+                votes: data?.total || 0,
+                sortValue: sortColumn ? covariates.values[p.id]?.[sortColumn] ?? null : null
             };
         });
 
-        // 3. Sort by votes descending
-        nodes.sort((a, b) => b.votes - a.votes);
+        // 3. Sort by votes descending, or by the covariate descending (units without a value last, by votes)
+        nodes.sort((a, b) => {
+            if (a.sortValue !== b.sortValue) {
+                if (a.sortValue === null) return 1;
+                if (b.sortValue === null) return -1;
+                return b.sortValue - a.sortValue;
+            }
+            return b.votes - a.votes;
+        });
 
         // 4. Calculate grid dimensions (4:3 Aspect Ratio)
         const totalCircleArea = nodes.reduce((sum, n) => sum + Math.PI * n.r * n.r, 0);
@@ -843,17 +2404,58 @@ export default function ElectionVisualizer() {
         });
 
         return positions;
-    }, [mapPaths, electionData]);
-
-
-
+    }, [mapPaths, viewData, covariates, gridSort]);
+
+
+
+
+    // Scatter axes: the user's choice, falling back to the defaults when a metric isn't available
+    // (e.g. a column from a replaced dataset). In split-ticket mode the spread Y axis becomes the
+    // comparison office's Rep share.
+    const scatterAxisKeys = useMemo(() => {
+        const isAvailable = (key) => scatterMetricOptions.some(option => option.key === key);
+        const x = isAvailable(scatterAxes.x) ? scatterAxes.x : DEFAULT_SCATTER_AXES.x;
+        let y = scatterAxes.y === SCATTER_SPREAD || isAvailable(scatterAxes.y) ? scatterAxes.y : DEFAULT_SCATTER_AXES.y;
+        if (y === SCATTER_SPREAD && mode === 'split' && splitOffice) y = 'split';
+        return { x, y };
+    }, [scatterAxes, scatterMetricOptions, mode, splitOffice]);
+
+    // Metric value for one unit in one cycle (null when it can't be computed)
+    const getScatterValue = useCallback((metric, fips, targetYear) => {
+        const result = viewData[targetYear]?.[fips];
+        if (!result) return null;
+        const index = years.indexOf(Number(targetYear));
+        const prev = index > 0 ? viewData[years[index - 1]]?.[fips] : null;
+        const value = metric.value(result, prev, splitViewData[targetYear]?.[fips], fips);
+        return Number.isFinite(value) ? value : null;
+    }, [viewData, splitViewData, years]);
+
+    // Metrics and scales for both axes, built over every cycle while the Spectrum is shown
+    const scatterScales = useMemo(() => {
+        if (layoutMode !== LAYOUTS.SCATTER || !mapPaths) return null;
+        const build = (key, range) => {
+            if (key === SCATTER_SPREAD) return null;
+            const metric = getScatterMetric(key, splitOffice, covariates);
+            const values = [];
+            years.forEach(y => mapPaths.forEach(p => {
+                const value = getScatterValue(metric, p.id, y);
+                if (value !== null) values.push(value);
+            }));
+            return { key, metric, scale: buildScatterScale(metric, values, range) };
+        };
+        return {
+            x: build(scatterAxisKeys.x, [SCATTER_PADDING.x, width - SCATTER_PADDING.x]),
+            y: build(scatterAxisKeys.y, [height - SCATTER_PADDING.y, SCATTER_PADDING.y])
+        };
+    }, [layoutMode, mapPaths, years, scatterAxisKeys, splitOffice, covariates, getScatterValue, width, height]);
 
-    // Helper: Calculate Scatter Layout (Dem vs Rep Axis)
+    // Helper: Calculate Scatter Layout (chosen metric on X; chosen metric or the vote spread on Y)
     // Modified to accept optional filter range, otherwise uses state
     const calculateScatterLayout = useCallback((targetYear, customFilter = null) => {
-        if (!mapPaths || !electionData[targetYear] || !window.d3) return null;
+        if (!mapPaths || !viewData[targetYear] || !scatterScales) return null;
 
         const range = customFilter || popFilter;
+        const { x: xAxis, y: yAxis } = scatterScales;
 
         // 1. Calculate Scale Factor for radii
         let totalVotes = 0;
@@ -861,16 +2463,20 @@ export default function ElectionVisualizer() {
         let maxVotes = 0;
         const nodes = [];
 
-        // Pre-filter mapPaths to only include those in range
-        const activePaths = mapPaths.filter(p => {
-            const votes = electionData[targetYear][p.id]?.total || 0;
-            return votes >= range.min && votes <= range.max;
+        // Pre-filter mapPaths to units in range with a value for each plotted metric
+        const activePaths = [];
+        mapPaths.forEach(p => {
+            const votes = viewData[targetYear][p.id]?.total || 0;
+            if (votes < range.min || votes > range.max) return;
+            const xValue = getScatterValue(xAxis.metric, p.id, targetYear);
+            const yValue = yAxis ? getScatterValue(yAxis.metric, p.id, targetYear) : 0;
+            if (xValue === null || yValue === null) return;
+            activePaths.push({ p, votes, xValue, yValue });
         });
 
         if (activePaths.length === 0) return {};
 
-        activePaths.forEach(p => {
-            const votes = electionData[targetYear][p.id]?.total || 0;
+        activePaths.forEach(({ p, votes }) => {
             totalVotes += votes;
             totalArea += p.area;
             if (votes > maxVotes) maxVotes = votes;
@@ -889,40 +2495,35 @@ export default function ElectionVisualizer() {
         if (scaleFactor === 0) return null;
 
         // 2. Prepare Nodes
-        const W = width;
         const H = height;
-        const PADDING_X = 50;
         const CENTER_Y = H / 2;
         const MAX_Y_SPREAD = (H / 2) - 80;
 
-        activePaths.forEach((p, index) => {
-            const data = electionData[targetYear][p.id];
-            const votes = data?.total || 0;
-
-            // Double Check (redundant but safe)
-            if (votes < range.min || votes > range.max) return;
-
+        activePaths.forEach(({ p, votes, xValue, yValue }) => {
             const r = Math.sqrt(Math.max(0.1, votes * scaleFactor) / Math.PI);
 
-            // X Position: Vote Share (two-party ratio)
-            const twoParty = (data?.demVotes || 0) + (data?.repVotes || 0);
-            const xRatio = twoParty > 0 ? (data.repVotes / twoParty) : 0.5;
-            const targetX = PADDING_X + xRatio * (W - 2 * PADDING_X);
-
-            // Y Position: Distance from axis based on vote count
-            // Smaller votes -> Closer to axis (0). Larger -> Farther (1).
-            // Use local maxVotes for distribution spread within the view
-            const normVotes = maxVotes > 0 ? Math.max(0, Math.min(1, votes / maxVotes)) : 0;
-            const distFactor = Math.sqrt(normVotes);
-
-            // Use consistent side assignment based on county ID (not index)
-            // Simple hash: sum of character codes in the FIPS ID
-            let hash = 0;
-            for (let i = 0; i < p.id.length; i++) {
-                hash += p.id.charCodeAt(i);
+            // X Position: the chosen metric
+            const targetX = xAxis.scale(xValue);
+
+            let targetY;
+            if (yAxis) {
+                targetY = yAxis.scale(yValue);
+            } else {
+                // Y Position: Distance from axis based on vote count
+                // Smaller votes -> Closer to axis (0). Larger -> Farther (1).
+                // Use local maxVotes for distribution spread within the view
+                const normVotes = maxVotes > 0 ? Math.max(0, Math.min(1, votes / maxVotes)) : 0;
+                const distFactor = Math.sqrt(normVotes);
+
+                // Use consistent side assignment based on county ID (not index)
+                // Simple hash: sum of character codes in the FIPS ID
+                let hash = 0;
+                for (let i = 0; i < p.id.length; i++) {
+                    hash += p.id.charCodeAt(i);
+                }
+                const side = (hash % 2 === 0) ? 1 : -1;
+                targetY = CENTER_Y + side * (distFactor * MAX_Y_SPREAD);
             }
-            const side = (hash % 2 === 0) ? 1 : -1;
-            const targetY = CENTER_Y + side * (distFactor * MAX_Y_SPREAD);
 
             nodes.push({
                 id: p.id,
@@ -937,10 +2538,10 @@ export default function ElectionVisualizer() {
 
         // 3. Run Force Simulation Synchronously
         // We use d3-force to resolve collisions and pull towards targets
-        const simulation = window.d3.forceSimulation(nodes)
-            .force("x", window.d3.forceX(d => d.targetX).strength(2.0)) // High strength to keep vote share accurate
-            .force("y", window.d3.forceY(d => d.targetY).strength(0.5)) // Medium strength for Y distribution
-            .force("collide", window.d3.forceCollide(d => d.r + 0.5).strength(1).iterations(2))
+        const simulation = d3.forceSimulation(nodes)
+            .force("x", d3.forceX(d => d.targetX).strength(2.0)) // High strength to keep the X value accurate
+            .force("y", d3.forceY(d => d.targetY).strength(yAxis ? 2.0 : 0.5)) // Medium strength for the vote spread, high for a metric
+            .force("collide", d3.forceCollide(d => d.r + 0.5).strength(1).iterations(2))
             .stop();
 
         // Run ticks manually
@@ -957,17 +2558,16 @@ export default function ElectionVisualizer() {
         });
 
         return positions;
-    }, [mapPaths, electionData, popFilter, width, height]);
+    }, [mapPaths, viewData, scatterScales, getScatterValue, popFilter, height]);
 
     // Regenerate Scatter Cache Routine
     const regenerateScatterCache = useCallback((range) => {
         setIsGeneratingScatter(true);
-        setScatterProgress({ count: 0, total: YEARS.length });
+        setScatterProgress({ count: 0, total: years.length });
 
         // Clear existing cache
         scatterCache.current = {};
 
-        const years = [...YEARS];
         let index = 0;
         let cancelled = false;
 
@@ -981,7 +2581,7 @@ export default function ElectionVisualizer() {
             if (cancelled) return;
             if (index >= years.length) {
                 setIsGeneratingScatter(false);
-                const nearestYear = YEARS.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
+                const nearestYear = years.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
                 const layout = scatterCache.current[nearestYear];
                 if (layout) setLayoutPositions(layout);
                 return;
@@ -1002,7 +2602,40 @@ export default function ElectionVisualizer() {
         };
 
         setTimeout(processNext, 50);
-    }, [calculateScatterLayout, year]);
+    }, [calculateScatterLayout, year, years]);
+
+    // New axis metrics or scale domains (or split-ticket mode changing the Y axis) move every unit:
+    // drop cached layouts so the scatter initialisation below rebuilds them. Leaving the Spectrum
+    // (no scales) keeps them for when it is reopened, unless they were still being generated.
+    const scatterScalesKey = scatterScales
+        ? ['x', 'y'].map(axis => {
+            const scale = scatterScales[axis];
+            return scale ? `${scale.key}:${scale.metric.label}:${scale.scale.domain().join(',')}` : SCATTER_SPREAD;
+        }).join('|')
+        : null;
+    const scatterScalesKeyRef = useRef(null);
+    useEffect(() => {
+        if (scatterScalesKey ? scatterScalesKey === scatterScalesKeyRef.current : !isGeneratingScatter) return;
+        scatterScalesKeyRef.current = scatterScalesKey;
+        if (scatterCache._cancelRegeneration) scatterCache._cancelRegeneration();
+        scatterCache.current = {};
+        setIsGeneratingScatter(false);
+    }, [scatterScalesKey, isGeneratingScatter]);
+
+    // A new grid sort order (or covariate file) reorders every unit
+    useEffect(() => {
+        gridCache.current = {};
+    }, [calculateGridLayout]);
+
+    // Split-ticket mode needs a second office; fall back to vote share when the data has only one
+    useEffect(() => {
+        if (mode === 'split' && offices.length === 1) setMode('gradient');
+    }, [mode, offices]);
+
+    // Covariate colouring needs a covariate file
+    useEffect(() => {
+        if (mode === 'covariate' && !covariates) setMode('gradient');
+    }, [mode, covariates]);
 
     // Slider Change Handler (Debounced)
     const handlePopSliderChange = useCallback((newRange) => {
@@ -1026,13 +2659,155 @@ export default function ElectionVisualizer() {
         };
     }, []);
 
+    // Drop every cached layout and unit selection (the geometry or data behind them changed)
+    const clearLayoutCaches = useCallback(() => {
+        if (scatterDebounceRef.current) clearTimeout(scatterDebounceRef.current);
+        if (scatterCache._cancelRegeneration) scatterCache._cancelRegeneration();
+        cartogramCache.current = {};
+        gridCache.current = {};
+        scatterCache.current = {};
+        setIsGeneratingScatter(false);
+        setLayoutPositions(null);
+        setHovered(null);
+        setPinnedId(null);
+        setSelectedId(null);
+        setCompareIds([]);
+    }, [setCompareIds]);
+
+    // Switch between county and state results, dropping layouts cached for the other geometry.
+    // An explicit population range (e.g. from the URL) replaces the default full range.
+    const handleGranularityChange = useCallback((nextGranularity, popRange = null) => {
+        if (nextGranularity === granularity) return;
+
+        clearLayoutCaches();
+
+        // Statewide totals are orders of magnitude larger, so rescale the population slider
+        const maxVotes = getMaxVotes(nextGranularity === GRANULARITY.STATE ? stateElectionData : electionData);
+        const range = popRange ? [Math.min(popRange[0], maxVotes), Math.min(popRange[1], maxVotes)] : [0, maxVotes];
+        setGlobalMaxVotes(maxVotes);
+        setPopFilter({ min: range[0], max: range[1] });
+        setUiPopRange(range);
+        setGranularity(nextGranularity);
+    }, [granularity, electionData, stateElectionData, clearLayoutCaches]);
+
+    // Show another office's results. Layouts and the population scale are rebuilt for it, and the
+    // playback effect snaps the year to its nearest cycle (e.g. a midterm for Senate or House).
+    const handleOfficeChange = useCallback((nextOffice, popRange = null) => {
+        if (nextOffice === office || !officeData[nextOffice]) return;
+
+        const nextData = officeData[nextOffice];
+        setIsPlaying(false);
+        clearLayoutCaches();
+        const maxVotes = getMaxVotes(granularity === GRANULARITY.STATE ? aggregateByState(nextData) : nextData);
+        const range = popRange ? [Math.min(popRange[0], maxVotes), Math.min(popRange[1], maxVotes)] : [0, maxVotes];
+        setGlobalMaxVotes(maxVotes);
+        setPopFilter({ min: range[0], max: range[1] });
+        setUiPopRange(range);
+        setSwingYears(prev => fitSwingYears(prev, getDataYears(nextData)));
+        setOffice(nextOffice);
+    }, [office, officeData, granularity, clearLayoutCaches]);
+
+    // Replace the loaded results with a user dataset, or overlay it (its office/year/FIPS rows win),
+    // then rescale the population slider and keep the year and swing cycles inside the new range
+    // Both datasets are crosswalked with the union of their merges so overlaid rows line up.
+    // Returns the crosswalk log for the data-quality report.
+    const applyDataset = useCallback((results, overlay) => {
+        const datasets = overlay ? [...Object.values(officeData), ...Object.values(results)] : Object.values(results);
+        const merges = getActiveMerges(...datasets);
+        const incoming = applyOfficeCrosswalk(results, merges);
+        const nextOfficeData = overlay ? { ...applyOfficeCrosswalk(officeData, merges).data } : {};
+        Object.entries(incoming.data).forEach(([nextOffice, byYear]) => {
+            const merged = overlay ? { ...nextOfficeData[nextOffice] } : {};
+            Object.entries(byYear).forEach(([y, rows]) => {
+                merged[y] = { ...merged[y], ...rows };
+            });
+            nextOfficeData[nextOffice] = merged;
+        });
+
+        // Stay on the current office if the new data has it
+        const shownOffice = nextOfficeData[office] ? office : getDataOffices(nextOfficeData)[0];
+        const nextData = nextOfficeData[shownOffice];
+        const nextYears = getDataYears(nextData);
+
+        setIsPlaying(false);
+        clearLayoutCaches();
+        const maxVotes = getMaxVotes(granularity === GRANULARITY.STATE ? aggregateByState(nextData) : nextData);
+        setGlobalMaxVotes(maxVotes);
+        setPopFilter({ min: 0, max: maxVotes });
+        setUiPopRange([0, maxVotes]);
+        setYear(prev => Math.min(nextYears[nextYears.length - 1], Math.max(nextYears[0], prev)));
+        setSwingYears(prev => fitSwingYears(prev, nextYears));
+        setOfficeData(nextOfficeData);
+        setOffice(shownOffice);
+        return incoming.log;
+    }, [officeData, office, granularity, clearLayoutCaches]);
+
+    // Read a dropped or chosen file's header and open the column-mapping dialog
+    const openDatasetFile = (file) => {
+        if (!file || recording) return;
+        const format = getDatasetFormat(file.name);
+        setImportState({ file, format, columns: [], rows: [], mapping: null, overlay: false, status: 'reading', error: null });
+        file.arrayBuffer()
+            .then(buffer => previewElectionFile(buffer, format))
+            .then(preview => setImportState(prev => (prev?.file === file ? { ...prev, ...preview, status: 'mapping' } : prev)))
+            .catch(err => setImportState(prev => (prev?.file === file ? { ...prev, status: 'mapping', error: err.message } : prev)));
+    };
+
+    // Read a covariate file and join it onto the map (replacing any earlier one)
+    const openCovariateFile = (file) => {
+        if (!file || recording) return;
+        setCovariateError(null);
+        file.arrayBuffer()
+            .then(buffer => parseCovariateFile(buffer, getDatasetFormat(file.name)))
+            .then(({ values, report }) => {
+                setCovariates({ label: file.name, columns: report.columns, values, report });
+                setCovariateChoice(report.columns[0]);
+            })
+            .catch(err => setCovariateError(`${file.name}: ${err.message}`));
+    };
+
+    // A column feeds one field at most, so choosing it for a field drops it from the other-party columns
+    const updateImportMapping = (key, value) => {
+        setImportState(prev => {
+            const mapping = { ...prev.mapping, [key]: value };
+            if (key !== 'other_votes') mapping.other_votes = mapping.other_votes.filter(col => col !== value);
+            return { ...prev, mapping };
+        });
+    };
+
+    // Parse the whole file with the chosen mapping and load it into the visualizer
+    const confirmImport = () => {
+        const { file, format, mapping, overlay } = importState;
+        setImportState(prev => ({ ...prev, status: 'parsing', error: null }));
+        file.arrayBuffer()
+            .then(buffer => parseElectionCsv(buffer, format, mapping))
+            .then(({ data, report }) => {
+                if (report.rowsLoaded === 0) {
+                    const firstIssue = Object.values(report.issues)[0];
+                    throw new Error(`No rows could be loaded${firstIssue ? ` (${firstIssue.label.toLowerCase()}: ${firstIssue.samples[0]?.detail})` : ''}. Check the column mapping.`);
+                }
+                const crosswalk = applyDataset(toElectionResults(data), overlay);
+                setDataReport({ ...report, crosswalk });
+                setPartyInfo(prev => (overlay
+                    ? { names: { ...report.partyNames, ...prev.names }, declarations: { ...prev.declarations, ...report.partyDeclarations } }
+                    : { names: report.partyNames, declarations: report.partyDeclarations }));
+                setDataSource(prev => (overlay
+                    ? { label: `${prev.label} + ${file.name}`, url: prev.url, citation: `${prev.citation}; ${file.name}` }
+                    : { label: file.name, url: null, citation: `Data: ${file.name}` }));
+                setImportState(null);
+            })
+            .catch(err => setImportState(prev => (prev ? { ...prev, status: 'mapping', error: err.message } : prev)));
+    };
+
     // Initialize Scatter Cache when entering scatter mode for the first time
     useEffect(() => {
+        // Wait for data: a deep link can open straight into the Spectrum layout
+        if (Object.keys(viewData).length === 0) return;
         if (layoutMode === LAYOUTS.SCATTER && Object.keys(scatterCache.current).length === 0 && !isGeneratingScatter) {
             // Generate initial cache with current filter
             regenerateScatterCache(popFilter);
         }
-    }, [layoutMode, regenerateScatterCache, popFilter, isGeneratingScatter]);
+    }, [layoutMode, regenerateScatterCache, popFilter, isGeneratingScatter, viewData]);
 
     // Helper: Interpolate layout positions between two years
     const interpolateLayoutPositions = useCallback((prevYearPos, nextYearPos, ratio) => {
@@ -1070,7 +2845,7 @@ export default function ElectionVisualizer() {
             // For other modes, calculate if not cached
             if (cacheRef.current[targetYear]) {
                 return cacheRef.current[targetYear];
-            } else if (mapPaths && electionData[targetYear]) {
+            } else if (mapPaths && viewData[targetYear]) {
                 const layout = calculateFunc(targetYear);
                 if (layout) {
                     cacheRef.current[targetYear] = layout;
@@ -1088,8 +2863,8 @@ export default function ElectionVisualizer() {
             }
 
             // Interpolate between election years for smooth animation
-            const prevYear = YEARS.filter(y => y <= year).pop() || YEARS[0];
-            const nextYear = YEARS.find(y => y > year) || YEARS[YEARS.length - 1];
+            const prevYear = years.filter(y => y <= year).pop() || years[0];
+            const nextYear = years.find(y => y > year) || years[years.length - 1];
             const ratio = prevYear === nextYear ? 0 : (year - prevYear) / (nextYear - prevYear);
 
             const prevLayout = getLayoutForYear(prevYear, scatterCache, calculateScatterLayout);
@@ -1102,14 +2877,14 @@ export default function ElectionVisualizer() {
             }
         } else if (layoutMode === LAYOUTS.GRID) {
             // Use nearest year (no interpolation)
-            const nearestYear = YEARS.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
+            const nearestYear = years.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
             const layout = getLayoutForYear(nearestYear, gridCache, calculateGridLayout);
             if (layout) {
                 setLayoutPositions(layout);
             }
         } else if (layoutMode === LAYOUTS.CARTOGRAM) {
             // Use nearest year (no interpolation)
-            const nearestYear = YEARS.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
+            const nearestYear = years.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
             const layout = getLayoutForYear(nearestYear, cartogramCache, calculateLayout);
             if (layout) {
                 setLayoutPositions(layout);
@@ -1117,23 +2892,23 @@ export default function ElectionVisualizer() {
         } else {
             setLayoutPositions(null);
         }
-    }, [layoutMode, year, mapPaths, electionData, calculateLayout, calculateGridLayout, calculateScatterLayout, interpolateLayoutPositions, isGeneratingScatter]);
+    }, [layoutMode, year, mapPaths, viewData, calculateLayout, calculateGridLayout, calculateScatterLayout, interpolateLayoutPositions, isGeneratingScatter, years]);
 
     // Background Calculation Effect using Web Workers
     useEffect(() => {
-        if (layoutMode !== LAYOUTS.CARTOGRAM || !mapPaths || !window.d3 || Object.keys(electionData).length === 0) return;
+        if (layoutMode !== LAYOUTS.CARTOGRAM || !mapPaths || Object.keys(viewData).length === 0) return;
 
-        const yearsToProcess = YEARS.filter(y => !cartogramCache.current[y]);
+        const yearsToProcess = years.filter(y => !cartogramCache.current[y]);
 
         if (yearsToProcess.length === 0) {
-            setCacheProgress({ count: YEARS.length, total: YEARS.length });
+            setCacheProgress({ count: years.length, total: years.length });
             return;
         }
 
         // Initialize progress display
         // Force 0 immediately if starting fresh to ensure UI feedback
-        const initialCompleted = YEARS.length - yearsToProcess.length;
-        setCacheProgress({ count: initialCompleted, total: YEARS.length });
+        const initialCompleted = years.length - yearsToProcess.length;
+        setCacheProgress({ count: initialCompleted, total: years.length });
 
         // Prepare simplified geometry for transfer (avoid circular refs or huge unnecessary data)
         const simplifiedMapPaths = mapPaths.map(p => ({
@@ -1142,10 +2917,6 @@ export default function ElectionVisualizer() {
             area: p.area
         }));
 
-        // create blob URL for the worker
-        const blob = new Blob([CARTOGRAM_WORKER_CODE], { type: "application/javascript" });
-        const workerUrl = URL.createObjectURL(blob);
-
         // Determine concurrency: Use hardware concurrency if available, cap at 6, min 2
         // We want to leave the main thread free but use available cores
         const concurrency = typeof navigator !== 'undefined' ? (navigator.hardwareConcurrency || 4) : 2;
@@ -1158,7 +2929,7 @@ export default function ElectionVisualizer() {
 
         // Function to create and manage a worker
         const startWorker = () => {
-            const worker = new Worker(workerUrl);
+            const worker = new CartogramWorker();
 
             // Initialize geometry once per worker
             worker.postMessage({ type: 'INIT_GEOMETRY', payload: simplifiedMapPaths });
@@ -1173,7 +2944,7 @@ export default function ElectionVisualizer() {
                         cartogramCache.current[resultYear] = positions;
 
                         // Live update if viewing this year (or nearest)
-                        const nearestYear = YEARS.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
+                        const nearestYear = years.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
                         if (resultYear === nearestYear && layoutMode === LAYOUTS.CARTOGRAM) {
                             setLayoutPositions(positions);
                         }
@@ -1183,7 +2954,7 @@ export default function ElectionVisualizer() {
                     completedJobs++;
                     setCacheProgress(prev => ({
                         ...prev,
-                        count: Math.min(YEARS.length, initialCompleted + completedJobs)
+                        count: Math.min(years.length, initialCompleted + completedJobs)
                     }));
 
                     // Pick next job
@@ -1206,7 +2977,7 @@ export default function ElectionVisualizer() {
                 setCacheProgress(prev => ({
                     ...prev,
                     // Force progress to avoid 0 stuck
-                    count: Math.min(YEARS.length, initialCompleted + completedJobs)
+                    count: Math.min(years.length, initialCompleted + completedJobs)
                 }));
                 // Try next job
                 if (jobIndex < yearsToProcess.length) dispatchJob(worker);
@@ -1226,7 +2997,7 @@ export default function ElectionVisualizer() {
                 type: 'CALCULATE_YEAR',
                 payload: {
                     year: targetYear,
-                    electionDataForYear: electionData[targetYear]
+                    electionDataForYear: viewData[targetYear]
                 }
             });
         };
@@ -1242,69 +3013,186 @@ export default function ElectionVisualizer() {
         return () => {
             isCancelled = true;
             workers.forEach(w => w.terminate());
-            URL.revokeObjectURL(workerUrl);
         };
-    }, [layoutMode, mapPaths, electionData]); // Updated dependency to layoutMode
+    }, [layoutMode, mapPaths, viewData, years]); // Updated dependency to layoutMode
+
+    // Pre-compute display group RGB values for gradient mode (avoid d3.rgb calls per-county per-frame)
+    const partyRgbs = useMemo(() => ({
+        groups: partyGroups.groups.map(group => d3.rgb(group.color)),
+        center: d3.rgb(palette.CENTER),
+        labs: partyGroups.groups.map(group => rgbToOklab(hexToRgb(group.color))),
+        centerLab: rgbToOklab(hexToRgb(palette.CENTER)),
+    }), [partyGroups, palette]);
+
+    // Cycle the map is snapped to for "no race" checks while playback interpolates between cycles
+    const currentCycle = useMemo(
+        () => years.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev),
+        [years, year]
+    );
 
-    // Pre-compute party RGB values for gradient mode (avoid d3.rgb calls per-county per-frame)
-    const partyRgbs = useMemo(() => {
-        if (!window.d3) return null;
-        return {
-            dem: window.d3.rgb(PARTIES.DEM.color),
-            rep: window.d3.rgb(PARTIES.REP.color),
-            third: window.d3.rgb(PARTIES.THIRD.color),
-            center: window.d3.rgb('#800080'),
-        };
-    }, [d3Status]);
+    // Races missing from the view as [{ office, year }]: the unit's state has no race for the office in
+    // the current cycle (both cycles in swing mode, and for the comparison office in split-ticket mode)
+    const getNoRaces = useCallback((fips) => {
+        const stateFips = String(fips).slice(0, 2);
+        const checks = mode === 'swing'
+            ? [[office, raceStates, swingYears.from], [office, raceStates, swingYears.to]]
+            : [[office, raceStates, currentCycle]];
+        if (mode === 'split' && splitOffice) checks.push([splitOffice, splitRaceStates, currentCycle]);
+        return checks
+            .filter(([, states, y]) => states.all.has(stateFips) && !states.byYear[y]?.has(stateFips))
+            .map(([raceOffice, , y]) => ({ office: raceOffice, year: y }));
+    }, [office, splitOffice, raceStates, splitRaceStates, mode, swingYears, currentCycle]);
 
     const getColor = useCallback((fips) => {
+        // Covariate value on the sequential scale (independent of which races were held)
+        if (mode === 'covariate') {
+            const value = covariateScale ? covariates.values[fips]?.[covariateScale.column] : undefined;
+            return value !== undefined ? covariateScale.color(value) : (isDarkMode ? '#1e293b' : '#e5e7eb');
+        }
+
+        if (getNoRaces(fips).length > 0) return NO_RACE_FILL;
+
+        if (mode === 'swing') {
+            const swing = getSwingData(fips);
+            return swing ? getSwingColor(swing.marginShift, palette) : (isDarkMode ? '#1e293b' : '#e5e7eb');
+        }
+
+        // Split-ticket gap on the swing scale
+        if (mode === 'split') {
+            const split = getSplitData(fips);
+            return split ? getSwingColor(split.gap, palette) : (isDarkMode ? '#1e293b' : '#e5e7eb');
+        }
+
         const data = getInterpolatedData(fips, year);
         if (!data) return isDarkMode ? '#1e293b' : '#e5e7eb';
 
-        const dem = data.demVotes || 0;
-        const rep = data.repVotes || 0;
-        const third = data.thirdVotes || 0;
-        const total = dem + rep + third;
+        const votes = getGroupVotes(data, partyGroups);
+        const total = votes.reduce((sum, groupVotes) => sum + groupVotes, 0);
 
         if (total === 0) return isDarkMode ? '#1e293b' : '#e5e7eb';
 
-        const demWeight = dem / total;
-        const repWeight = rep / total;
-        const thirdWeight = third / total;
+        const weights = votes.map(groupVotes => groupVotes / total);
 
         if (mode === 'winner') {
-            if (demWeight > repWeight && demWeight > thirdWeight) {
-                return PARTIES.DEM.color;
-            } else if (repWeight > demWeight && repWeight > thirdWeight) {
-                return PARTIES.REP.color;
-            } else if (thirdWeight > demWeight && thirdWeight > repWeight) {
-                return PARTIES.THIRD.color;
-            }
-            return demWeight >= repWeight
-                ? PARTIES.DEM.color
-                : PARTIES.REP.color;
-        } else {
-            if (partyRgbs) {
-                const centerDistance = Math.abs(demWeight - 0.333) + Math.abs(repWeight - 0.333) + Math.abs(thirdWeight - 0.333);
-                const centerWeight = Math.max(0, 1 - (centerDistance * 1.5));
-
-                let r = partyRgbs.dem.r * demWeight + partyRgbs.rep.r * repWeight + partyRgbs.third.r * thirdWeight;
-                let g = partyRgbs.dem.g * demWeight + partyRgbs.rep.g * repWeight + partyRgbs.third.g * thirdWeight;
-                let b = partyRgbs.dem.b * demWeight + partyRgbs.rep.b * repWeight + partyRgbs.third.b * thirdWeight;
-
-                if (centerWeight > 0) {
-                    r = r * (1 - centerWeight) + partyRgbs.center.r * centerWeight;
-                    g = g * (1 - centerWeight) + partyRgbs.center.g * centerWeight;
-                    b = b * (1 - centerWeight) + partyRgbs.center.b * centerWeight;
-                }
+            // Largest group; ties go to the earlier group (Dem, then Rep, then Third Party)
+            let winner = 0;
+            weights.forEach((weight, i) => {
+                if (weight > weights[winner]) winner = i;
+            });
+            return partyGroups.groups[winner].color;
+        }
+
+        if (gradientStyle.space === 'oklab') {
+            const [r, g, b] = getPerceptualColor(weights, partyRgbs.labs, partyRgbs.centerLab, gradientStyle.curve);
+            return `rgb(${r}, ${g}, ${b})`;
+        }
 
-                return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+        // Blend the group colours by vote share, pulled towards purple when no group dominates
+        const evenShare = 1 / weights.length;
+        const centerDistance = weights.reduce((sum, weight) => sum + Math.abs(weight - evenShare), 0);
+        const centerWeight = Math.max(0, 1 - (centerDistance * 1.5));
+
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        partyRgbs.groups.forEach((rgb, i) => {
+            r += rgb.r * weights[i];
+            g += rgb.g * weights[i];
+            b += rgb.b * weights[i];
+        });
+
+        if (centerWeight > 0) {
+            r = r * (1 - centerWeight) + partyRgbs.center.r * centerWeight;
+            g = g * (1 - centerWeight) + partyRgbs.center.g * centerWeight;
+            b = b * (1 - centerWeight) + partyRgbs.center.b * centerWeight;
+        }
+
+        return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+    }, [getInterpolatedData, getSwingData, getSplitData, getNoRaces, covariates, covariateScale, year, mode, gradientStyle, palette, partyGroups, partyRgbs]);
+
+    // Canvas renderer: Path2D objects cached per granularity, the hatch pattern per theme, and
+    // everything a frame needs
+    const unitPaths2d = useMemo(
+        () => (isCanvas && mapPaths ? new Map(mapPaths.map(p => [p.id, new Path2D(p.d)])) : null),
+        [isCanvas, mapPaths]
+    );
+    const noRacePattern = useMemo(() => (isCanvas ? createNoRacePattern(isDarkMode) : null), [isCanvas, isDarkMode]);
+    const canvasScene = useMemo(
+        () => (unitPaths2d ? { mapPaths, paths2d: unitPaths2d, noRacePattern, layoutMode, layoutPositions, getColor, showBorders, isDarkMode } : null),
+        [unitPaths2d, noRacePattern, mapPaths, layoutMode, layoutPositions, getColor, showBorders, isDarkMode]
+    );
+    const canvasSceneRef = useRef(canvasScene);
+    useEffect(() => { canvasSceneRef.current = canvasScene; }, [canvasScene]);
+
+    // Redraw once per animation frame on any change, and when the window resizes the SVG
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const svg = svgRef.current;
+        if (!canvasScene || !canvas || !svg) return;
+
+        const draw = () => drawCanvasMap(canvas, svg, { ...canvasScene, viewState });
+        const frame = requestAnimationFrame(draw);
+        window.addEventListener('resize', draw);
+        return () => {
+            cancelAnimationFrame(frame);
+            window.removeEventListener('resize', draw);
+        };
+    }, [canvasScene, viewState]);
+
+    // 'auto' renderer: if SVG playback is dropping frames, switch to the canvas for the rest of the session
+    useEffect(() => {
+        if (!isPlaying || isCanvas || rendererSetting !== 'auto') return;
+
+        const frameTimes = [];
+        let last = null;
+        let frame;
+        const sample = (now) => {
+            if (last !== null) frameTimes.push(now - last);
+            last = now;
+            if (frameTimes.length < RENDERER_SAMPLE_FRAMES) {
+                frame = requestAnimationFrame(sample);
+            } else if (d3.median(frameTimes) > RENDERER_SLOW_FRAME_MS) {
+                setIsAutoCanvas(true);
             }
-            return demWeight > repWeight
-                ? PARTIES.DEM.color
-                : PARTIES.REP.color;
+        };
+        frame = requestAnimationFrame(sample);
+        return () => cancelAnimationFrame(frame);
+    }, [isPlaying, isCanvas, rendererSetting]);
+
+    // Unit under a screen point when the canvas renderer is on. The grid index is rebuilt lazily,
+    // only when the layout has moved since the last hit test.
+    const unitIndexRef = useRef({ mapPaths: null, layoutMode: null, layoutPositions: null, cells: null, ctx: null });
+    const hitTestCanvas = (clientX, clientY) => {
+        const scene = canvasSceneRef.current;
+        const svg = svgRef.current;
+        if (!scene || !svg) return null;
+
+        const index = unitIndexRef.current;
+        if (index.mapPaths !== scene.mapPaths || index.layoutMode !== scene.layoutMode || index.layoutPositions !== scene.layoutPositions) {
+            unitIndexRef.current = {
+                mapPaths: scene.mapPaths,
+                layoutMode: scene.layoutMode,
+                layoutPositions: scene.layoutPositions,
+                cells: buildUnitIndex(scene.mapPaths, scene.layoutMode, scene.layoutPositions),
+                ctx: index.ctx || document.createElement('canvas').getContext('2d')
+            };
+        }
+
+        const pt = svg.createSVGPoint();
+        pt.x = clientX;
+        pt.y = clientY;
+        let cursorPoint;
+        try {
+            cursorPoint = pt.matrixTransform(svg.getScreenCTM().inverse());
+        } catch (err) {
+            return null; // Screen CTM might not be ready
         }
-    }, [getInterpolatedData, year, mode, partyRgbs]);
+        const { cells, ctx } = unitIndexRef.current;
+        return hitTestUnits(cells, scene.paths2d, ctx, (cursorPoint.x - viewState.x) / viewState.k, (cursorPoint.y - viewState.y) / viewState.k);
+    };
+
+    // Unit fills for exports and recordings when the canvas draws them (the SVG holds them otherwise)
+    const getExportUnitMarkup = () => (canvasSceneRef.current ? buildUnitMarkup(canvasSceneRef.current) : null);
 
     // Non-passive wheel listener for global scroll blocking and zooming
     useEffect(() => {
@@ -1313,6 +3201,7 @@ export default function ElectionVisualizer() {
 
         const handleGlobalWheel = (e) => {
             e.preventDefault(); // Disable default scrolling everywhere
+            cancelAnimationFrame(flyAnimationRef.current);
 
             const svg = svgRef.current;
             if (!svg) return;
@@ -1357,54 +3246,674 @@ export default function ElectionVisualizer() {
             window.removeEventListener('wheel', handleGlobalWheel);
             document.body.style.overflow = '';
         };
-    }, [svgRef]);
+    }, [svgRef]);
+
+    const handleMouseDown = (e) => {
+        cancelAnimationFrame(flyAnimationRef.current);
+        pointerDownRef.current = { x: e.clientX, y: e.clientY, id: e.target.dataset?.id || hitTestCanvas(e.clientX, e.clientY)?.id || null };
+        e.target.setPointerCapture(e.pointerId);
+        setIsDragging(true);
+        setDragStart({ x: e.clientX - viewState.x, y: e.clientY - viewState.y });
+    };
+
+    const handleMouseDrag = (e) => {
+        if (!isDragging) {
+            if (isCanvas) handleCanvasHover(e);
+            return;
+        }
+        setViewState(prev => ({
+            ...prev,
+            x: e.clientX - dragStart.x,
+            y: e.clientY - dragStart.y
+        }));
+    };
+
+    // Canvas renderer hover: the unit under the pointer stands in for the SVG elements' enter/leave events
+    const handleCanvasHover = (e) => {
+        const pathItem = hitTestCanvas(e.clientX, e.clientY);
+        if (pathItem?.id === hovered?.id) return;
+        if (pathItem) {
+            handleMouseMove(e, pathItem.feature);
+        } else {
+            setHovered(null);
+        }
+    };
+
+    const handleMouseUp = (e) => {
+        setIsDragging(false);
+        e.target.releasePointerCapture(e.pointerId);
+
+        // A press that didn't move is a click: select the unit under it (clicking it again deselects),
+        // or with Shift held, add it to / remove it from the comparison tray
+        const down = pointerDownRef.current;
+        pointerDownRef.current = null;
+        if (down && down.id && Math.hypot(e.clientX - down.x, e.clientY - down.y) < 5) {
+            if (e.shiftKey) {
+                toggleCompare(down.id);
+            } else {
+                setSelectedId(prev => (prev === down.id ? null : down.id));
+            }
+        }
+    };
+
+    const toggleCompare = (id) => {
+        setCompareIds(prev => {
+            if (prev.includes(id)) return prev.filter(x => x !== id);
+            if (prev.length >= MAX_COMPARE) return prev;
+            return [...prev, id];
+        });
+        setIsTrayCollapsed(false);
+    };
+
+    // Optimization: Use ref for viewState to avoid re-creating handleMouseMove on every frame
+    const viewStateRef = useRef(viewState);
+    useEffect(() => { viewStateRef.current = viewState; }, [viewState]);
+
+    const handleMouseMove = useCallback((e, feature) => {
+        if (!electionData || !svgRef.current || !feature) return;
+
+        const pathItem = mapPaths?.find(p => p.id === feature.id);
+        if (!pathItem) return;
+
+        let mx = pathItem.centroid[0];
+        let my = pathItem.centroid[1];
+
+        if (layoutMode !== LAYOUTS.GEO && layoutPositions && layoutPositions[feature.id]) {
+            const pos = layoutPositions[feature.id];
+            mx = pos.x;
+            my = pos.y;
+        }
+
+        setHovered({
+            id: feature.id,
+            name: feature.properties.name || `County ${feature.id}`,
+            mx,
+            my
+        });
+    }, [electionData, mapPaths, layoutMode, layoutPositions]);
+
+    // Map-space anchor (centroid or layout position) of a unit in the current layout
+    const getUnitAnchor = useCallback((id) => {
+        const pathItem = mapPaths?.find(p => p.id === id);
+        if (!pathItem) return null;
+
+        const pos = layoutMode !== LAYOUTS.GEO && layoutPositions ? layoutPositions[id] : null;
+        if (pos) return { x: pos.x, y: pos.y, extent: pos.r * 2, feature: pathItem.feature };
+
+        const [[x0, y0], [x1, y1]] = pathItem.bounds;
+        return { x: pathItem.centroid[0], y: pathItem.centroid[1], extent: Math.max(x1 - x0, y1 - y0), feature: pathItem.feature };
+    }, [mapPaths, layoutMode, layoutPositions]);
+
+    // Pinned tooltip target, following the unit as layouts and years change
+    const pinnedTarget = useMemo(() => {
+        const anchor = pinnedId ? getUnitAnchor(pinnedId) : null;
+        if (!anchor) return null;
+        return {
+            id: pinnedId,
+            name: anchor.feature.properties.name || `County ${pinnedId}`,
+            mx: anchor.x,
+            my: anchor.y
+        };
+    }, [pinnedId, getUnitAnchor]);
+
+    const tooltipTarget = hovered || pinnedTarget;
+
+    // Animate pan/zoom to centre a unit, zooming so it fills a comfortable part of the view
+    const flyTo = useCallback((id) => {
+        const anchor = getUnitAnchor(id);
+        if (!anchor) return;
+
+        const start = viewStateRef.current;
+        const targetK = Math.min(3.75, Math.max(1, Math.min(width, height) / (Math.max(anchor.extent, 1) * 6)));
+        // Interpolate the view centre (in map space) rather than the translation, so the zoom doesn't swing
+        const startCx = (width / 2 - start.x) / start.k;
+        const startCy = (height / 2 - start.y) / start.k;
+        const startTime = performance.now();
+        const duration = 750;
+
+        cancelAnimationFrame(flyAnimationRef.current);
+        const step = (now) => {
+            const t = Math.min(1, (now - startTime) / duration);
+            const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+            const k = start.k + (targetK - start.k) * eased;
+            const cx = startCx + (anchor.x - startCx) * eased;
+            const cy = startCy + (anchor.y - startCy) * eased;
+            setViewState({ k, x: width / 2 - cx * k, y: height / 2 - cy * k });
+            flyAnimationRef.current = t < 1 ? requestAnimationFrame(step) : null;
+        };
+        flyAnimationRef.current = requestAnimationFrame(step);
+    }, [getUnitAnchor]);
+
+    // Stop any fly-to animation on unmount
+    useEffect(() => () => cancelAnimationFrame(flyAnimationRef.current), []);
+
+    // Search Index: "Maricopa, AZ" for counties, "Arizona" for states
+    const [searchQuery, setSearchQuery] = useState('');
+    const [isSearchOpen, setIsSearchOpen] = useState(false);
+    const [searchCursor, setSearchCursor] = useState(0);
+
+    const searchIndex = useMemo(() => {
+        if (!mapPaths) return [];
+        return mapPaths.map(p => {
+            const id = String(p.id);
+            const abbr = STATE_FIPS_MAP[id.substring(0, 2)] || '';
+            const name = p.feature.properties.name || `County ${id}`;
+            const isCounty = granularity === GRANULARITY.COUNTY;
+            return {
+                id,
+                label: isCounty && abbr ? `${name}, ${abbr}` : name,
+                name: normalizeSearchText(name),
+                abbr: abbr.toLowerCase()
+            };
+        });
+    }, [mapPaths, granularity]);
+
+    const searchResults = useMemo(() => searchPlaces(searchIndex, searchQuery), [searchIndex, searchQuery]);
+
+    const selectSearchResult = useCallback((result) => {
+        setSearchQuery(result.label);
+        setIsSearchOpen(false);
+        setPinnedId(result.id);
+        flyTo(result.id);
+    }, [flyTo]);
+
+    const handleSearchKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setSearchCursor(prev => Math.min(prev + 1, searchResults.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setSearchCursor(prev => Math.max(prev - 1, 0));
+        } else if (e.key === 'Enter' && searchResults[searchCursor]) {
+            selectSearchResult(searchResults[searchCursor]);
+            e.target.blur();
+        } else if (e.key === 'Escape') {
+            setIsSearchOpen(false);
+            e.target.blur();
+        }
+    };
+
+    // Details Panel: full cycle history, current margin, turnout growth and rank within the state
+    const selectedDetails = useMemo(() => {
+        if (!selectedId || !mapPaths) return null;
+        const pathItem = mapPaths.find(p => p.id === selectedId);
+        if (!pathItem) return null;
+
+        const id = String(selectedId);
+        const isCounty = granularity === GRANULARITY.COUNTY;
+        const stateFips = id.padStart(5, '0').substring(0, 2);
+        const current = getInterpolatedData(selectedId, year);
+
+        const cycles = years.map((y, i) => {
+            const d = viewData[y]?.[selectedId];
+            const prev = i > 0 ? viewData[years[i - 1]]?.[selectedId] : null;
+            const allVotes = d ? d.demVotes + d.repVotes + d.thirdVotes : 0;
+            return {
+                year: y,
+                data: d || null,
+                demPct: allVotes > 0 ? d.demVotes / allVotes : 0,
+                repPct: allVotes > 0 ? d.repVotes / allVotes : 0,
+                thirdPct: allVotes > 0 ? d.thirdVotes / allVotes : 0,
+                margin: d ? getTwoPartyMargin(d) : null,
+                growth: d && prev && prev.total > 0 ? (d.total - prev.total) / prev.total : null
+            };
+        });
+
+        const reported = cycles.filter(c => c.data);
+        const first = reported[0];
+        const last = reported[reported.length - 1];
+        const turnoutGrowth = first && last && first !== last && first.data.total > 0
+            ? { from: first.year, to: last.year, pct: (last.data.total - first.data.total) / first.data.total }
+            : null;
+
+        // Rank among the other counties of the same state (or among all states), at the current year
+        let rank = null;
+        if (current) {
+            const peers = mapPaths
+                .filter(p => !isCounty || String(p.id).substring(0, 2) === stateFips)
+                .map(p => ({ id: p.id, d: getInterpolatedData(p.id, year) }))
+                .filter(p => p.d);
+            const position = (key) => peers.filter(p => key(p.d) > key(current)).length + 1;
+            rank = {
+                of: peers.length,
+                scope: isCounty ? (STATE_FIPS_MAP[stateFips] || 'state') : 'the U.S.',
+                byVotes: position(d => d.total),
+                byRep: position(d => getTwoPartyMargin(d)),
+                byDem: position(d => -getTwoPartyMargin(d))
+            };
+        }
+
+        return {
+            id,
+            name: pathItem.feature.properties.name || `County ${id}`,
+            abbr: isCounty ? STATE_FIPS_MAP[stateFips] : null,
+            current,
+            cycles,
+            turnoutGrowth,
+            rank
+        };
+    }, [selectedId, mapPaths, granularity, year, viewData, getInterpolatedData, years]);
+
+    // Comparison Tray: per-cycle Republican two-party share and margin for each pinned unit
+    const compareSeries = useMemo(() => {
+        if (!mapPaths || compareIds.length === 0) return [];
+        return compareIds.map((id) => {
+            const pathItem = mapPaths.find(p => p.id === id);
+            if (!pathItem) return null;
+            const abbr = granularity === GRANULARITY.COUNTY ? STATE_FIPS_MAP[String(id).substring(0, 2)] : null;
+            const name = pathItem.feature.properties.name || `County ${id}`;
+            return {
+                id,
+                label: abbr ? `${name}, ${abbr}` : name,
+                color: compareColors[id],
+                shares: years.map(y => viewData[y]?.[id]?.repShare ?? null),
+                margins: years.map(y => (viewData[y]?.[id] ? getTwoPartyMargin(viewData[y][id]) : null))
+            };
+        }).filter(Boolean);
+    }, [compareIds, compareColors, mapPaths, granularity, viewData, years]);
+
+    // Shared export framing: current view, legend inputs and caption text
+    const getExportCaption = () => {
+        const modeLabel = {
+            winner: 'Winner',
+            gradient: gradientStyle.space === 'oklab' ? `Vote Share (Perceptual, ${GRADIENT_CURVES[gradientStyle.curve].label})` : 'Vote Share',
+            swing: 'Margin Shift',
+            split: `Split Ticket (${getOfficeLabel(office)} vs ${getOfficeLabel(splitOffice || office)})`,
+            covariate: `Covariate: ${covariateColumn}`
+        }[mode];
+        const layoutLabel = {
+            [LAYOUTS.GEO]: 'Geographic Map',
+            [LAYOUTS.CARTOGRAM]: 'Dorling Cartogram',
+            [LAYOUTS.GRID]: covariates && gridSort.startsWith('cov:') ? `Sorted Grid (by ${gridSort.slice(4)})` : 'Sorted Grid',
+            [LAYOUTS.SCATTER]: scatterScales?.y
+                ? `${scatterScales.y.metric.label} vs ${scatterScales.x.metric.label}`
+                : 'Vote Spectrum'
+        }[layoutMode];
+        return {
+            width,
+            height,
+            viewState,
+            isDarkMode,
+            mode,
+            swingYears,
+            splitOffices: [office, splitOffice],
+            covariateScale,
+            partyGroups: partyGroups.groups,
+            palette,
+            gradientStyle,
+            title: 'U.S. Election History',
+            subtitle: `${offices.length > 1 ? `${getOfficeLabel(office)} · ` : ''}${modeLabel} · ${layoutLabel} · By ${granularity === GRANULARITY.STATE ? 'State' : 'County'}`,
+            source: dataSource.citation,
+            years
+        };
+    };
+
+    // Export the current view (map, borders, highlights, legend and caption) as SVG or high-DPI PNG
+    const handleExport = (format) => {
+        setIsExportMenuOpen(false);
+        if (!svgRef.current) return;
+
+        const roundedYear = Math.round(year * 10) / 10;
+        const yearLabel = mode === 'swing' ? `${swingYears.from}–${swingYears.to}` : String(roundedYear);
+        const markup = buildExportSvg(svgRef.current, {
+            ...getExportCaption(),
+            unitMarkup: getExportUnitMarkup(),
+            title: `U.S. Election History — ${yearLabel}${mode === 'swing' || years.includes(roundedYear) ? '' : ' (interpolated)'}`
+        });
+        const filename = `election-${yearLabel.replace('–', '-')}-${layoutMode}-${granularity}`;
+
+        if (format === 'svg') {
+            downloadBlob(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), `${filename}.svg`);
+            return;
+        }
+
+        setIsExporting(true);
+        rasterizeSvg(markup, 3)
+            .then(blob => downloadBlob(blob, `${filename}.png`))
+            .catch(err => console.error('Failed to export PNG:', err))
+            .finally(() => setIsExporting(false));
+    };
+
+    // Export the units currently on screen (all units, or those passing the Spectrum population filter)
+    // with interpolated values for the current year, shares, winner and layout position
+    const handleDataExport = (format) => {
+        setIsExportMenuOpen(false);
+        if (!mapPaths) return;
+
+        const roundedYear = Math.round(year * 100) / 100;
+        const isCounty = granularity === GRANULARITY.COUNTY;
+        const usePositions = layoutMode !== LAYOUTS.GEO && layoutPositions;
+        const round = (value, digits) => (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+        const hasCandidates = Object.values(viewData).some(units => Object.values(units).some(unit => unit.candidates));
+
+        const records = [];
+        mapPaths.forEach(pathItem => {
+            const pos = usePositions ? layoutPositions[pathItem.id] : null;
+            if (layoutMode === LAYOUTS.SCATTER && !pos) return; // Filtered out of the Spectrum
+            const d = getNoRaces(pathItem.id).some(race => race.office === office) ? null : getInterpolatedData(pathItem.id, year);
+            const id = String(pathItem.id);
+            const allVotes = d ? d.demVotes + d.repVotes + d.thirdVotes : 0;
+            const split = mode === 'split' && d ? getSplitData(pathItem.id) : null;
+            const groupVotes = d ? getGroupVotes(d, partyGroups) : null;
+            records.push({
+                feature: pathItem.feature,
+                row: {
+                    fips: id,
+                    name: pathItem.feature.properties.name || null,
+                    state: isCounty ? (STATE_FIPS_MAP[id.substring(0, 2)] || null) : (STATE_FIPS_MAP[id] || null),
+                    year: roundedYear,
+                    office,
+                    dem_votes: d ? Math.round(d.demVotes) : null,
+                    rep_votes: d ? Math.round(d.repVotes) : null,
+                    third_votes: d ? Math.round(d.thirdVotes) : null,
+                    total_votes: d ? Math.round(d.total) : null,
+                    dem_two_party_share: d ? round(d.demShare, 5) : null,
+                    rep_two_party_share: d ? round(d.repShare, 5) : null,
+                    dem_pct: allVotes > 0 ? round(d.demVotes / allVotes, 5) : null,
+                    rep_pct: allVotes > 0 ? round(d.repVotes / allVotes, 5) : null,
+                    third_pct: allVotes > 0 ? round(d.thirdVotes / allVotes, 5) : null,
+                    margin: d ? round(getTwoPartyMargin(d), 5) : null,
+                    winner: getPluralityWinner(d),
+                    // Votes per display group once parties are split beyond Dem / Rep / Third Party
+                    ...(partyGroups.groups.length > 3
+                        ? Object.fromEntries(partyGroups.groups.map((group, i) => [`group_${group.key.toLowerCase()}_votes`, groupVotes ? Math.round(groupVotes[i]) : null]))
+                        : {}),
+                    // Candidate lists in the loader's "NAME|PARTY|VOTES" form, separated by semicolons
+                    ...(hasCandidates ? { candidates: d?.candidates ? d.candidates.map(c => `${c.name}|${c.party}|${c.votes}`).join(';') : null } : {}),
+                    layout: layoutMode,
+                    x: round(pos ? pos.x : pathItem.centroid[0], 2),
+                    y: round(pos ? pos.y : pathItem.centroid[1], 2),
+                    r: pos ? round(pos.r, 3) : null,
+                    // Split-ticket mode: the comparison office's margin and the gap between the two
+                    ...(mode === 'split' ? {
+                        split_office: splitOffice,
+                        split_margin: split ? round(split.splitMargin, 5) : null,
+                        margin_gap: split ? round(split.gap, 5) : null
+                    } : {})
+                }
+            });
+            // Covariates under their own names (prefixed where one clashes with a field above)
+            if (covariates) {
+                const { row } = records[records.length - 1];
+                covariates.columns.forEach(column => {
+                    row[column in row ? `covariate_${column}` : column] = covariates.values[id]?.[column] ?? null;
+                });
+            }
+        });
+
+        const rows = records.map(r => r.row);
+        const filename = `election-${roundedYear}-${layoutMode}-${granularity}`;
+        const meta = {
+            year: roundedYear,
+            interpolated: !years.includes(roundedYear),
+            office,
+            granularity,
+            layout: layoutMode,
+            popFilter: layoutMode === LAYOUTS.SCATTER ? { min: popFilter.min, max: popFilter.max } : null,
+            axes: layoutMode === LAYOUTS.SCATTER ? scatterAxisKeys : null,
+            covariates: covariates ? { file: covariates.label, columns: covariates.columns } : null,
+            partyGroups: partyGroups.groups.map(({ key, name, color, parties }) => ({ key, name, color, parties })),
+            count: rows.length,
+            source: dataSource.citation.replace(/^Data: /, ''),
+            exported: new Date().toISOString()
+        };
+
+        if (format === 'csv') {
+            downloadBlob(new Blob([toCsv(rows, Object.keys(rows[0] || { fips: null }))], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+        } else if (format === 'json') {
+            downloadBlob(new Blob([JSON.stringify({ meta, rows }, null, 2)], { type: 'application/json' }), `${filename}.json`);
+        } else {
+            const collection = {
+                type: 'FeatureCollection',
+                meta,
+                features: records.map(({ feature, row }) => ({
+                    type: 'Feature',
+                    id: row.fips,
+                    properties: row,
+                    geometry: feature.geometry
+                }))
+            };
+            downloadBlob(new Blob([JSON.stringify(collection)], { type: 'application/geo+json' }), `${filename}.geojson`);
+        }
+    };
+
+    // Record playback: step the year deterministically through every cycle, rasterise each frame
+    // with a burned-in year caption, then encode a WebM (MediaRecorder) or an animated GIF (worker)
+    const startRecording = (format) => {
+        setIsExportMenuOpen(false);
+        if (!svgRef.current || recording) return;
+
+        setIsPlaying(false);
+        setHovered(null);
+        recordCancelRef.current = false;
+
+        const startYear = year;
+        const caption = getExportCaption();
+        const frameCount = Math.round((getPlaybackDuration(years) / 1000) * recordFps);
+        const frameYears = Array.from({ length: frameCount + 1 }, (_, i) => years[0] + (i / frameCount) * (years[years.length - 1] - years[0]));
+        const scale = format === 'gif' ? RECORDING.gifScale : 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round((height + EXPORT_LAYOUT.header + EXPORT_LAYOUT.footer) * scale);
+        const ctx = canvas.getContext('2d', { willReadFrequently: format === 'gif' });
+        const filename = `election-playback-${layoutMode}-${granularity}`;
+
+        // Frame sinks: GIF frames stream straight to the encoder worker; WebM frames are kept as PNGs
+        // and replayed in real time afterwards, since MediaRecorder timestamps by wall clock
+        let gifWorker = null;
+        let gifResult = null;
+        let gifError = null; // Encoder failure, stopping the frame loop early
+        const webmFrames = [];
+        // Stop between steps once cancelled (the encoder is dropped straight away) or the encoder failed
+        const checkCancelled = () => {
+            if (recordCancelRef.current) {
+                if (gifWorker) gifWorker.terminate();
+                throw new Error('Recording cancelled');
+            }
+            if (gifError) throw gifError;
+        };
+        if (format === 'gif') {
+            gifWorker = new GifWorker();
+            gifResult = new Promise((resolve, reject) => {
+                gifWorker.onmessage = (e) => {
+                    if (recordCancelRef.current) {
+                        gifWorker.terminate();
+                        reject(new Error('Recording cancelled'));
+                    } else if (e.data.type === 'PROGRESS') {
+                        setRecording(prev => prev && ({ ...prev, encoded: e.data.count }));
+                    } else if (e.data.type === 'DONE') {
+                        resolve(e.data.blob);
+                    } else if (e.data.type === 'ERROR') {
+                        gifError = new Error(e.data.error);
+                        reject(gifError);
+                    }
+                };
+            });
+            // Handled here so a rejection while frames are still rendering isn't reported as unhandled;
+            // the chain below still awaits gifResult itself once every frame is sent
+            gifResult.catch(() => {});
+            gifWorker.postMessage({ type: 'INIT', payload: { width: canvas.width, height: canvas.height } });
+        }
+
+        const renderFrame = (i) => {
+            checkCancelled();
+            setYear(frameYears[i]);
+            return waitForPaint()
+                .then(() => {
+                    checkCancelled();
+                    return loadSvgImage(buildExportSvg(svgRef.current, { ...caption, unitMarkup: getExportUnitMarkup() }));
+                })
+                .then(img => {
+                    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+                    ctx.drawImage(img, 0, 0, width, canvas.height / scale);
+                    drawRecordingCaption(ctx, frameYears[i], caption);
+
+                    if (gifWorker) {
+                        const isLast = i === frameYears.length - 1;
+                        const delay = Math.round(100 / recordFps) + (isLast ? RECORDING.holdSeconds * 100 : 0);
+                        const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data.buffer;
+                        gifWorker.postMessage({ type: 'ADD_FRAME', payload: { pixels, delay } }, [pixels]);
+                        return null;
+                    }
+                    return new Promise(resolve => canvas.toBlob(resolve, 'image/png')).then(blob => { webmFrames.push(blob); });
+                })
+                .then(() => {
+                    setRecording(prev => prev && ({ ...prev, rendered: i + 1 }));
+                    return i + 1 < frameYears.length ? renderFrame(i + 1) : null;
+                });
+        };
 
-    const handleMouseDown = (e) => {
-        e.target.setPointerCapture(e.pointerId);
-        setIsDragging(true);
-        setDragStart({ x: e.clientX - viewState.x, y: e.clientY - viewState.y });
-    };
+        const encodeWebm = () => {
+            const stream = canvas.captureStream(recordFps);
+            const recorder = new MediaRecorder(stream, { mimeType: getWebmMimeType(), videoBitsPerSecond: 8000000 });
+            const chunks = [];
+            recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+            const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+            const interval = 1000 / recordFps;
+            let startTime;
+
+            const playFrame = (i) => {
+                checkCancelled();
+                if (i >= webmFrames.length) {
+                    return new Promise(resolve => setTimeout(resolve, RECORDING.holdSeconds * 1000));
+                }
+                return createImageBitmap(webmFrames[i]).then(bitmap => {
+                    ctx.setTransform(1, 0, 0, 1, 0, 0);
+                    ctx.drawImage(bitmap, 0, 0);
+                    bitmap.close();
+                    setRecording(prev => prev && ({ ...prev, encoded: i + 1 }));
+                    const wait = startTime + (i + 1) * interval - performance.now();
+                    return new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+                }).then(() => playFrame(i + 1));
+            };
 
-    const handleMouseDrag = (e) => {
-        if (!isDragging) return;
-        setViewState(prev => ({
-            ...prev,
-            x: e.clientX - dragStart.x,
-            y: e.clientY - dragStart.y
-        }));
-    };
+            recorder.start();
+            startTime = performance.now();
+            return playFrame(0)
+                .finally(() => recorder.stop())
+                .then(() => stopped)
+                .then(() => new Blob(chunks, { type: 'video/webm' }));
+        };
 
-    const handleMouseUp = (e) => {
-        setIsDragging(false);
-        e.target.releasePointerCapture(e.pointerId);
+        setRecording({ format, rendered: 0, encoded: 0, total: frameYears.length });
+        renderFrame(0)
+            .then(() => {
+                if (gifWorker) {
+                    gifWorker.postMessage({ type: 'FINISH' });
+                    return gifResult;
+                }
+                return encodeWebm();
+            })
+            .then(blob => downloadBlob(blob, `${filename}.${format}`))
+            .catch(err => {
+                if (!recordCancelRef.current) console.error('Failed to record playback:', err);
+            })
+            .finally(() => {
+                if (gifWorker) gifWorker.terminate();
+                setRecording(null);
+                setYear(startYear);
+            });
     };
 
-    // Optimization: Use ref for viewState to avoid re-creating handleMouseMove on every frame
-    const viewStateRef = useRef(viewState);
-    useEffect(() => { viewStateRef.current = viewState; }, [viewState]);
-
-    const handleMouseMove = useCallback((e, feature) => {
-        if (!electionData || !svgRef.current || !feature) return;
-
-        const pathItem = mapPaths?.find(p => p.id === feature.id);
-        if (!pathItem) return;
+    // --- URL State Sync ---
+    // A county hovered in a deep link is pinned once its geometry is ready
+    const [pendingHover, setPendingHover] = useState(urlState.hover);
+    useEffect(() => {
+        if (!pendingHover || !mapPaths) return;
+        if (mapPaths.some(p => p.id === pendingHover)) setPinnedId(pendingHover);
+        setPendingHover(null);
+    }, [pendingHover, mapPaths]);
+
+    // Write view state to the URL (debounced). Discrete changes push a history entry so
+    // back/forward step through them; pan/zoom and hover only replace the current entry.
+    const lastNavigationalQueryRef = useRef(null);
+    useEffect(() => {
+        if (dataStatus !== 'ready' || isPlaying || isScrubbing || recording) return;
+
+        const timer = setTimeout(() => {
+            const state = {
+                year,
+                mode,
+                layout: layoutMode,
+                granularity,
+                office,
+                split: splitOffice,
+                swing: swingYears,
+                axes: scatterAxes,
+                gradient: gradientStyle,
+                view: viewState,
+                borders: showBorders,
+                arrows: showShiftArrows,
+                dark: isDarkMode,
+                pop: popFilter.min > 0 || popFilter.max < globalMaxVotes ? [popFilter.min, popFilter.max] : null,
+                hover: hovered?.id || pinnedId,
+                compare: compareIds
+            };
+            const query = buildUrlQuery(state);
+            const navigationalQuery = buildUrlQuery(state, false);
+            const isNavigation = lastNavigationalQueryRef.current !== null && navigationalQuery !== lastNavigationalQueryRef.current;
+            lastNavigationalQueryRef.current = navigationalQuery;
+
+            if (query === window.location.search) return;
+            const url = `${window.location.pathname}${query}${window.location.hash}`;
+            if (isNavigation) {
+                window.history.pushState(null, '', url);
+            } else {
+                window.history.replaceState(null, '', url);
+            }
+        }, 300);
 
-        let mx = pathItem.centroid[0];
-        let my = pathItem.centroid[1];
+        return () => clearTimeout(timer);
+    }, [dataStatus, isPlaying, isScrubbing, year, mode, layoutMode, granularity, office, splitOffice, swingYears, scatterAxes, gradientStyle, viewState, showBorders, showShiftArrows, isDarkMode, popFilter, globalMaxVotes, hovered, pinnedId, compareIds, recording]);
 
-        if (layoutMode !== LAYOUTS.GEO && layoutPositions && layoutPositions[feature.id]) {
-            const pos = layoutPositions[feature.id];
-            mx = pos.x;
-            my = pos.y;
-        }
+    // Restore view state on browser back/forward
+    useEffect(() => {
+        const handlePopState = () => {
+            const state = readUrlState();
+            // The restored entry already exists, so the next write must not push a duplicate
+            lastNavigationalQueryRef.current = null;
+
+            setIsPlaying(false);
+            setYear(state.year);
+            setMode(state.mode);
+            if (state.split) setSplitChoice(state.split);
+            setSwingYears(state.swing);
+            setScatterAxes(state.axes);
+            setGradientStyle(state.gradient);
+            setLayoutMode(state.layout);
+            setViewState(state.view);
+            setShowBorders(state.borders);
+            setShowShiftArrows(state.arrows);
+            if (state.dark !== null) setIsDarkMode(state.dark);
+            setHovered(null);
+            setPinnedId(null);
+            setPendingHover(state.hover);
+
+            // Office and granularity changes rebuild layouts and rescale the population slider themselves
+            const isOfficeChange = state.office !== office && officeData[state.office];
+            if (isOfficeChange) handleOfficeChange(state.office, state.pop);
+            if (state.granularity !== granularity) handleGranularityChange(state.granularity, state.pop);
+            if (isOfficeChange || state.granularity !== granularity) {
+                setCompareIds(state.compare);
+                return;
+            }
+            setCompareIds(state.compare);
+
+            const range = state.pop || [0, globalMaxVotes];
+            if (range[0] !== popFilter.min || range[1] !== popFilter.max) {
+                setPopFilter({ min: range[0], max: range[1] });
+                setUiPopRange(range);
+                if (state.layout === LAYOUTS.SCATTER) {
+                    regenerateScatterCache({ min: range[0], max: range[1] });
+                } else {
+                    scatterCache.current = {}; // Rebuilt with the new range when Spectrum is next opened
+                }
+            }
+        };
 
-        setHovered({
-            id: feature.id,
-            name: feature.properties.name || `County ${feature.id}`,
-            mx,
-            my
-        });
-    }, [electionData, mapPaths, layoutMode, layoutPositions]);
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, [granularity, office, officeData, globalMaxVotes, popFilter, handleGranularityChange, handleOfficeChange, regenerateScatterCache, setCompareIds]);
 
     // Touch / Pinch-to-Zoom Handlers
     const handleTouchStart = (e) => {
@@ -1468,8 +3977,10 @@ export default function ElectionVisualizer() {
 
     // Optimization: Memoize map content to avoid re-renders on hover
     const mapContent = useMemo(() => {
+        if (isCanvas) return null; // Drawn by drawCanvasMap instead
+
         // Find nearest integer year for geometry snapping
-        const nearestYear = YEARS.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
+        const nearestYear = years.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
 
         return mapPaths?.map((pathItem) => {
             if (layoutMode !== LAYOUTS.GEO && layoutPositions) {
@@ -1497,6 +4008,7 @@ export default function ElectionVisualizer() {
                             stroke={showBorders ? (isDarkMode ? "#334155" : "#cbd5e1") : "none"}
                             strokeWidth={strokeWidth}
                             className={`hover:opacity-90 ${transitionClass}`}
+                            data-id={pathItem.id}
                             onMouseEnter={(e) => handleMouseMove(e, pathItem.feature)}
                             onMouseLeave={() => setHovered(null)}
                         />
@@ -1515,20 +4027,58 @@ export default function ElectionVisualizer() {
                     stroke={showBorders ? (isDarkMode ? "#334155" : "#cbd5e1") : "none"}
                     strokeWidth={0.5}
                     className="hover:opacity-90 transition-colors duration-200"
+                    data-id={pathItem.id}
                     onMouseEnter={(e) => handleMouseMove(e, pathItem.feature)}
                     onMouseLeave={() => setHovered(null)}
                 />
             );
         });
-    }, [mapPaths, layoutMode, layoutPositions, showBorders, isDarkMode, getColor, handleMouseMove, year, isPlaying, isScrubbing]);
+    }, [isCanvas, mapPaths, layoutMode, layoutPositions, showBorders, isDarkMode, getColor, handleMouseMove, year, isPlaying, isScrubbing, years]);
+
+    // Shift Arrow Overlay ("wind map"): one filled path per party/turnout-direction group
+    const shiftArrows = useMemo(() => {
+        if (!showShiftArrows || layoutMode !== LAYOUTS.GEO || !mapPaths) return null;
+
+        const groups = { DEM: { gain: [], loss: [] }, REP: { gain: [], loss: [] } };
+        mapPaths.forEach(p => {
+            const shift = getShiftVector(p.id, year);
+            if (!shift || Math.abs(shift.marginShift) < 0.001) return;
+
+            const length = Math.min(SHIFT_ARROW.maxLength, Math.abs(shift.marginShift) * 100 * SHIFT_ARROW.lengthPerPoint);
+            const direction = shift.marginShift > 0 ? 1 : -1;
+            const dx = direction * length * Math.cos(SHIFT_ARROW.angle);
+            const dy = -length * Math.sin(SHIFT_ARROW.angle);
+            const arrowWidth = SHIFT_ARROW.minWidth + (SHIFT_ARROW.maxWidth - SHIFT_ARROW.minWidth) * Math.sqrt(Math.abs(shift.voteChange) / maxVoteChange);
+
+            const party = direction > 0 ? 'REP' : 'DEM';
+            groups[party][shift.voteChange >= 0 ? 'gain' : 'loss'].push(
+                buildArrowPath(p.centroid[0], p.centroid[1], dx, dy, arrowWidth)
+            );
+        });
+
+        return (
+            <g className="pointer-events-none">
+                {['DEM', 'REP'].map(party => ['gain', 'loss'].map(turnout => (
+                    <path
+                        key={`${party}-${turnout}`}
+                        d={groups[party][turnout].join('')}
+                        fill={palette[party]}
+                        fillOpacity={turnout === 'gain' ? 0.9 : 0.5} // Fainter arrows where turnout fell
+                        stroke={isDarkMode ? '#0f172a' : '#fff'}
+                        strokeWidth={0.2}
+                    />
+                )))}
+            </g>
+        );
+    }, [showShiftArrows, layoutMode, mapPaths, getShiftVector, year, maxVoteChange, isDarkMode, palette]);
 
     // --- Render ---
 
     const playButton = (
         <button
             onClick={() => setIsPlaying(!isPlaying)}
-            disabled={Object.keys(electionData).length === 0}
-            className={`flex-shrink-0 flex items-center justify-center w-10 h-10 rounded-full transition shadow-lg focus:outline-none ${Object.keys(electionData).length === 0 ? 'opacity-50 cursor-not-allowed bg-slate-500' : (isDarkMode ? 'bg-blue-600 text-white hover:bg-blue-500' : 'bg-slate-900 text-white hover:bg-slate-800')}`}
+            disabled={Object.keys(electionData).length === 0 || years.length < 2}
+            className={`flex-shrink-0 flex items-center justify-center w-10 h-10 rounded-full transition shadow-lg focus:outline-none ${Object.keys(electionData).length === 0 || years.length < 2 ? 'opacity-50 cursor-not-allowed bg-slate-500' : (isDarkMode ? 'bg-blue-600 text-white hover:bg-blue-500' : 'bg-slate-900 text-white hover:bg-slate-800')}`}
         >
             {isPlaying ? <Pause size={16} fill="currentColor" /> : <Play size={16} fill="currentColor" className="ml-0.5" />}
         </button>
@@ -1536,7 +4086,7 @@ export default function ElectionVisualizer() {
 
     const prevButton = (
         <button
-            onClick={() => { setIsPlaying(false); setYear(prev => Math.max(YEARS[0], prev - 0.1)); }}
+            onClick={() => { setIsPlaying(false); setYear(prev => Math.max(years[0], prev - 0.1)); }}
             disabled={Object.keys(electionData).length === 0}
             className={`p-2 rounded-full transition-colors ${isDarkMode ? 'text-slate-400 hover:bg-slate-800' : 'text-slate-500 hover:bg-slate-200'}`}
         >
@@ -1546,7 +4096,7 @@ export default function ElectionVisualizer() {
 
     const nextButton = (
         <button
-            onClick={() => { setIsPlaying(false); setYear(prev => Math.min(YEARS[YEARS.length - 1], prev + 0.1)); }}
+            onClick={() => { setIsPlaying(false); setYear(prev => Math.min(years[years.length - 1], prev + 0.1)); }}
             disabled={Object.keys(electionData).length === 0}
             className={`p-2 rounded-full transition-colors ${isDarkMode ? 'text-slate-400 hover:bg-slate-800' : 'text-slate-500 hover:bg-slate-200'}`}
         >
@@ -1554,14 +4104,17 @@ export default function ElectionVisualizer() {
         </button>
     );
 
+    const nearestCycle = years.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
+    const sliderLabels = getYearLabels(years, 100, 7); // In percent of the slider width
+
     const sliderSection = (
         <div className="flex-1 relative mx-2">
             <div className={`flex justify-between text-[10px] font-bold mb-1.5 uppercase tracking-wider shadow-sm ${isDarkMode ? 'text-slate-500' : 'text-slate-500'}`}>
-                {!isMobile && <span>{YEARS[0]}</span>}
-                <span className={`text-xl -mt-2 drop-shadow-sm ${isDarkMode ? 'text-slate-200' : 'text-slate-900'} ${isMobile ? 'mx-auto' : ''}`}>
-                    {YEARS.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev)}
+                {!isMobile && <span>{years[0]}</span>}
+                <span className={`text-xl -mt-2 drop-shadow-sm ${isDarkMode ? 'text-slate-200' : 'text-slate-900'} ${isMobile || years.length < 2 ? 'mx-auto' : ''}`}>
+                    {nearestCycle}
                 </span>
-                {!isMobile && <span>{YEARS[YEARS.length - 1]}</span>}
+                {!isMobile && years.length > 1 && <span>{years[years.length - 1]}</span>}
                 {/* Loading Indicator */}
                 {cacheProgress.count < cacheProgress.total && layoutMode === LAYOUTS.CARTOGRAM && (
                     <span className={`text-[10px] animate-pulse ${isDarkMode ? 'text-yellow-400' : 'text-yellow-600'}`}>
@@ -1571,42 +4124,740 @@ export default function ElectionVisualizer() {
             </div>
             <input
                 type="range"
-                min={YEARS[0]}
-                max={YEARS[YEARS.length - 1]}
+                min={years[0]}
+                max={years[years.length - 1]}
                 step="0.1" // Allow smooth sliding
-                disabled={Object.keys(electionData).length === 0}
+                disabled={Object.keys(electionData).length === 0 || years.length < 2}
                 value={year}
                 onPointerDown={() => setIsScrubbing(true)}
                 onPointerUp={() => {
                     setIsScrubbing(false);
                     // Snap on drag end
-                    const nearest = YEARS.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
+                    const nearest = years.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
                     setYear(nearest);
                 }}
                 onChange={(e) => { setIsPlaying(false); setYear(parseFloat(e.target.value)); }}
                 className={`w-full h-1.5 rounded-lg appearance-none cursor-pointer ${isDarkMode ? 'bg-slate-700 accent-blue-500' : 'bg-slate-300 accent-slate-900'}`}
             />
             {!isMobile && (
-                <div className="flex justify-between text-[10px] text-slate-400 mt-1">
-                    {YEARS.map(y => (
-                        <span key={y} className={`cursor-pointer hover:text-blue-500 transition-colors ${Math.abs(y - year) < 2 ? 'font-bold text-blue-500' : ''}`} onClick={() => { setIsPlaying(false); setYear(y); }}>{y}</span>
+                // Cycles placed by date; crowded cycles get a tick mark instead of a label
+                <div className="relative h-4 text-[10px] text-slate-400 mt-1">
+                    {years.map(y => (
+                        <span
+                            key={y}
+                            className={`absolute -translate-x-1/2 cursor-pointer hover:text-blue-500 transition-colors ${y === nearestCycle ? 'font-bold text-blue-500' : ''}`}
+                            style={{ left: `${getYearFraction(years, y) * 100}%` }}
+                            onClick={() => { setIsPlaying(false); setYear(y); }}
+                            title={String(y)}
+                        >
+                            {sliderLabels.includes(y) ? y : <span className="block w-px h-1.5 mt-0.5 bg-current" />}
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+
+    // Export menu: download the current view as an image
+    const exportMenu = (
+        <div className="relative">
+            <button
+                onClick={() => setIsExportMenuOpen(!isExportMenuOpen)}
+                disabled={isExporting || !!recording || !topology}
+                className={`flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-xs font-bold transition-all shadow-md border w-full disabled:opacity-50 ${isExportMenuOpen
+                    ? (isDarkMode ? 'bg-slate-800 border-slate-600 text-indigo-400 hover:bg-slate-700' : 'bg-white/80 border-slate-200 text-indigo-600 hover:bg-white backdrop-blur-sm')
+                    : (isDarkMode ? 'bg-slate-800/80 border-slate-700 text-slate-400 hover:bg-slate-800' : 'bg-white/60 border-transparent text-slate-500 hover:bg-white backdrop-blur-sm')
+                    }`}
+                title="Export"
+            >
+                <Download size={14} className={isExporting ? 'animate-pulse' : ''} />
+                {!isMobile && <span>{isExporting ? 'Exporting...' : 'Export'}</span>}
+            </button>
+            {isExportMenuOpen && (
+                <div className={`absolute ${isMobile ? 'bottom-full mb-2 left-0' : 'top-full mt-2 right-0'} w-44 z-30 shadow-xl rounded-xl border overflow-hidden backdrop-blur-md flex flex-col ${isDarkMode ? 'bg-slate-900/95 border-slate-700' : 'bg-white/95 border-slate-200'}`}>
+                    {[
+                        { id: 'svg', label: 'SVG Image', desc: 'Vector, editable' },
+                        { id: 'png', label: 'PNG Image', desc: 'High resolution (3x)' }
+                    ].map(opt => (
+                        <button
+                            key={opt.id}
+                            onClick={() => handleExport(opt.id)}
+                            className={`flex flex-col items-start px-4 py-2.5 text-left transition-colors ${isDarkMode ? 'hover:bg-slate-800 text-slate-300' : 'hover:bg-slate-50 text-slate-600'}`}
+                        >
+                            <span className="text-xs font-bold">{opt.label}</span>
+                            <span className={`text-[10px] ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>{opt.desc}</span>
+                        </button>
+                    ))}
+
+                    {/* Data Export */}
+                    <div className={`px-4 pt-2.5 pb-1 border-t text-[10px] font-semibold uppercase tracking-wider ${isDarkMode ? 'border-slate-700 text-slate-500' : 'border-slate-100 text-slate-400'}`}>
+                        {layoutMode === LAYOUTS.SCATTER ? 'Data (Filtered Units)' : 'Data (All Units)'}
+                    </div>
+                    <div className="flex gap-1 px-3 pb-2">
+                        {[
+                            { id: 'csv', label: 'CSV' },
+                            { id: 'json', label: 'JSON' },
+                            { id: 'geojson', label: 'GeoJSON' }
+                        ].map(opt => (
+                            <button
+                                key={opt.id}
+                                onClick={() => handleDataExport(opt.id)}
+                                className={`flex-1 px-1 py-1.5 rounded-md text-[10px] font-bold transition-colors ${isDarkMode ? 'hover:bg-slate-800 text-slate-300' : 'hover:bg-slate-50 text-slate-600'}`}
+                            >
+                                {opt.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* Record Playback */}
+                    <div className={`px-4 pt-2.5 pb-1 border-t text-[10px] font-semibold uppercase tracking-wider flex items-center justify-between ${isDarkMode ? 'border-slate-700 text-slate-500' : 'border-slate-100 text-slate-400'}`}>
+                        <span>Record Playback</span>
+                        <select
+                            value={recordFps}
+                            onChange={(e) => setRecordFps(+e.target.value)}
+                            className={`rounded px-1 py-0.5 text-[10px] font-bold border cursor-pointer normal-case ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                        >
+                            {RECORDING.fpsOptions.map(fps => <option key={fps} value={fps}>{fps} fps</option>)}
+                        </select>
+                    </div>
+                    {[
+                        { id: 'webm', label: 'WebM Video', desc: getWebmMimeType() ? 'Full resolution' : 'Not supported in this browser', disabled: !getWebmMimeType() },
+                        { id: 'gif', label: 'Animated GIF', desc: `${Math.round(RECORDING.gifScale * 100)}% size, loops forever`, disabled: false }
+                    ].map(opt => (
+                        <button
+                            key={opt.id}
+                            onClick={() => startRecording(opt.id)}
+                            disabled={opt.disabled}
+                            className={`flex flex-col items-start px-4 py-2.5 text-left transition-colors disabled:opacity-40 ${isDarkMode ? 'hover:bg-slate-800 text-slate-300' : 'hover:bg-slate-50 text-slate-600'}`}
+                        >
+                            <span className="text-xs font-bold">{opt.label}</span>
+                            <span className={`text-[10px] ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>{opt.desc}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+
+    // Vote history sparkline (Dem/Rep/Third raw votes per cycle) with a dot at the current year.
+    // The large variant used by the details panel adds cycle labels and a current-year marker.
+    const renderVoteHistory = (id, currentData, large = false) => {
+        const history = years.map(y => {
+            const d = viewData[y]?.[id];
+            return {
+                dem: d ? d.demVotes : 0,
+                rep: d ? d.repVotes : 0,
+                third: d ? d.thirdVotes : 0
+            };
+        });
+        const maxVote = Math.max(...history.map(h => Math.max(h.dem, h.rep, h.third)), 1);
+        const points = (type) => history.map((d, i) => {
+            const x = getYearFraction(years, years[i]) * 200;
+            const val = type === 'dem' ? d.dem : type === 'rep' ? d.rep : d.third;
+            const y = 60 - ((val / maxVote) * 60);
+            return `${x},${y}`;
+        }).join(' ');
+
+        // Use current interpolated data for the dot
+        const currX = getYearFraction(years, year) * 200;
+        const currDemY = 60 - ((currentData.demVotes / maxVote) * 60);
+        const currRepY = 60 - ((currentData.repVotes / maxVote) * 60);
+        const currThirdY = 60 - ((currentData.thirdVotes / maxVote) * 60);
+        const strokeWidth = large ? 1.5 : 2;
+        const dotStroke = isDarkMode ? '#0f172a' : '#fff';
+
+        return (
+            <svg viewBox={large ? '-8 -5 216 82' : '0 -5 200 70'} className="w-full h-full overflow-visible">
+                {large && (
+                    <>
+                        <line x1={currX} x2={currX} y1={0} y2={60} stroke={isDarkMode ? '#475569' : '#cbd5e1'} strokeWidth="0.75" strokeDasharray="2 2" />
+                        {getYearLabels(years, 200, 22).map(y => (
+                            <text key={y} x={getYearFraction(years, y) * 200} y={73} textAnchor="middle" fontSize="7" fill={isDarkMode ? '#64748b' : '#94a3b8'}>{y}</text>
+                        ))}
+                    </>
+                )}
+                <polyline fill="none" stroke={palette.DEM} strokeWidth={strokeWidth} points={points('dem')} strokeLinecap="round" strokeLinejoin="round" />
+                <polyline fill="none" stroke={palette.REP} strokeWidth={strokeWidth} points={points('rep')} strokeLinecap="round" strokeLinejoin="round" />
+                <polyline fill="none" stroke={palette.THIRD} strokeWidth={strokeWidth} points={points('third')} strokeLinecap="round" strokeLinejoin="round" opacity="0.8" />
+                <circle cx={currX} cy={currDemY} r="3" fill={palette.DEM} stroke={dotStroke} strokeWidth="1.5" />
+                <circle cx={currX} cy={currRepY} r="3" fill={palette.REP} stroke={dotStroke} strokeWidth="1.5" />
+                {currentData.thirdVotes > 0 && <circle cx={currX} cy={currThirdY} r="3" fill={palette.THIRD} stroke={dotStroke} strokeWidth="1.5" />}
+            </svg>
+        );
+    };
+
+    // Place search with autocomplete results
+    const searchBox = (
+        <div className="relative mt-3 w-64 max-w-full pointer-events-auto">
+            <div className={`flex items-center gap-2 px-2.5 py-1.5 rounded-lg border shadow-sm backdrop-blur-sm ${isDarkMode ? 'bg-slate-900/70 border-slate-700 text-slate-200' : 'bg-white/70 border-slate-200 text-slate-700'}`}>
+                <Search size={14} className="shrink-0 opacity-60" />
+                <input
+                    type="text"
+                    value={searchQuery}
+                    onChange={(e) => { setSearchQuery(e.target.value); setSearchCursor(0); setIsSearchOpen(true); }}
+                    onFocus={() => setIsSearchOpen(true)}
+                    onBlur={() => setIsSearchOpen(false)}
+                    onKeyDown={handleSearchKeyDown}
+                    placeholder={granularity === GRANULARITY.COUNTY ? 'Search county or FIPS...' : 'Search state or FIPS...'}
+                    className="flex-1 min-w-0 bg-transparent outline-none text-xs placeholder:text-slate-400"
+                />
+                {(searchQuery || pinnedId) && (
+                    <button onClick={() => { setSearchQuery(''); setPinnedId(null); }} className="shrink-0 opacity-60 hover:opacity-100">
+                        <X size={14} />
+                    </button>
+                )}
+            </div>
+            {isSearchOpen && searchResults.length > 0 && (
+                <div className={`absolute top-full mt-1 w-full z-30 rounded-lg border shadow-xl overflow-hidden backdrop-blur-md ${isDarkMode ? 'bg-slate-900/95 border-slate-700' : 'bg-white/95 border-slate-200'}`}>
+                    {searchResults.map((result, i) => (
+                        <button
+                            key={result.id}
+                            onMouseDown={(e) => e.preventDefault()} // Keep focus so onBlur doesn't close before onClick
+                            onClick={() => selectSearchResult(result)}
+                            onMouseEnter={() => setSearchCursor(i)}
+                            className={`w-full flex justify-between items-center px-3 py-1.5 text-left text-xs ${i === searchCursor
+                                ? (isDarkMode ? 'bg-indigo-900/50 text-indigo-300' : 'bg-indigo-50 text-indigo-600')
+                                : (isDarkMode ? 'text-slate-300' : 'text-slate-600')
+                                }`}
+                        >
+                            <span className="truncate">{result.label}</span>
+                            <span className={`font-mono text-[10px] ml-2 ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>{result.id}</span>
+                        </button>
                     ))}
                 </div>
             )}
         </div>
     );
 
+    // Details panel for the clicked unit; docked under the title (desktop) or as a bottom sheet (mobile)
+    const detailsPanel = selectedDetails && (() => {
+        const { id, name, abbr, current, cycles, turnoutGrowth, rank } = selectedDetails;
+        const nearestYear = years.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
+        const currentMargin = current ? getTwoPartyMargin(current) : null;
+        const mutedText = isDarkMode ? 'text-slate-500' : 'text-slate-400';
+        const sectionLabel = `text-[10px] font-semibold mb-1 uppercase tracking-wider ${mutedText}`;
+
+        return (
+            <div className={`pointer-events-auto backdrop-blur shadow-2xl rounded-xl p-4 text-sm border overflow-y-auto transition-colors ${isDarkMode
+                ? 'bg-slate-900/95 border-slate-700 text-slate-200'
+                : 'bg-white/95 border-slate-100 text-slate-800'
+                } ${isMobile ? 'max-h-[45vh]' : 'mt-4 max-h-[calc(100vh-20rem)]'}`}
+            >
+                {/* Header */}
+                <div className={`flex justify-between items-start pb-2 mb-3 border-b ${isDarkMode ? 'border-slate-700' : 'border-slate-100'}`}>
+                    <div>
+                        <div className={`font-bold ${isDarkMode ? 'text-slate-100' : 'text-slate-800'}`}>{name}{abbr ? `, ${abbr}` : ''}</div>
+                        <div className={`text-[10px] font-mono ${mutedText}`}>FIPS {id}</div>
+                    </div>
+                    <div className="flex items-center gap-1 -mr-1">
+                        {(() => {
+                            const isCompared = compareIds.includes(selectedId);
+                            const isFull = !isCompared && compareIds.length >= MAX_COMPARE;
+                            return (
+                                <button
+                                    onClick={() => toggleCompare(selectedId)}
+                                    disabled={isFull}
+                                    className={`flex items-center gap-1 px-2 py-1 rounded-md text-[10px] font-bold uppercase tracking-wider transition-colors disabled:opacity-40 ${isCompared
+                                        ? (isDarkMode ? 'bg-indigo-900/50 text-indigo-300' : 'bg-indigo-50 text-indigo-600')
+                                        : (isDarkMode ? 'hover:bg-slate-800 text-slate-400' : 'hover:bg-slate-100 text-slate-500')
+                                        }`}
+                                    title={isFull ? `Comparison tray holds up to ${MAX_COMPARE}` : 'Compare (or Shift-click on the map)'}
+                                >
+                                    {isCompared ? <Check size={12} /> : <Plus size={12} />}
+                                    Compare
+                                </button>
+                            );
+                        })()}
+                        <button onClick={() => setSelectedId(null)} className={`p-1 rounded-md ${isDarkMode ? 'hover:bg-slate-800' : 'hover:bg-slate-100'}`} title="Close">
+                            <X size={14} />
+                        </button>
+                    </div>
+                </div>
+
+                {/* Current Year Summary */}
+                {current ? (
+                    <div className="grid grid-cols-3 gap-2 mb-3 text-center">
+                        <div>
+                            <div className={sectionLabel}>Margin {Math.round(year)}</div>
+                            <div className="font-mono font-bold" style={{ color: marginColor(currentMargin) }}>{formatMargin(currentMargin)}</div>
+                        </div>
+                        <div>
+                            <div className={sectionLabel}>Votes (Est)</div>
+                            <div className="font-mono font-bold">{Math.round(current.total).toLocaleString()}</div>
+                        </div>
+                        <div>
+                            <div className={sectionLabel}>Turnout</div>
+                            <div className={`font-mono font-bold ${turnoutGrowth ? (turnoutGrowth.pct >= 0 ? 'text-emerald-500' : 'text-amber-500') : ''}`}>
+                                {turnoutGrowth ? formatChangePct(turnoutGrowth.pct) : '—'}
+                            </div>
+                            {turnoutGrowth && <div className={`text-[9px] ${mutedText}`}>{turnoutGrowth.from}→{turnoutGrowth.to}</div>}
+                        </div>
+                    </div>
+                ) : (
+                    <div className={`text-xs italic mb-3 ${isDarkMode ? 'text-slate-600' : 'text-slate-400'}`}>No Data Available</div>
+                )}
+
+                {/* Rank Within State */}
+                {rank && rank.of > 1 && (
+                    <div className={`text-xs space-y-0.5 mb-3 pb-3 border-b border-dashed ${isDarkMode ? 'border-slate-700' : 'border-slate-300'}`}>
+                        <div className="flex justify-between">
+                            <span>Rank by votes in {rank.scope}</span>
+                            <span className="font-mono">#{rank.byVotes} of {rank.of}</span>
+                        </div>
+                        <div className="flex justify-between">
+                            <span>{currentMargin > 0 ? 'Most Republican' : 'Most Democratic'}</span>
+                            <span className="font-mono">#{currentMargin > 0 ? rank.byRep : rank.byDem} of {rank.of}</span>
+                        </div>
+                    </div>
+                )}
+
+                {/* Vote History Chart (Large) */}
+                {current && (
+                    <div className="mb-3">
+                        <div className={sectionLabel}>Vote History</div>
+                        <div className="h-28 w-full">
+                            {renderVoteHistory(selectedId, current, true)}
+                        </div>
+                    </div>
+                )}
+
+                {/* Cycle Table (click a row to jump to that year) */}
+                <table className="w-full text-[11px] font-mono">
+                    <thead>
+                        <tr className={`text-[9px] uppercase tracking-wider ${mutedText}`}>
+                            <th className="text-left font-semibold pb-1">Year</th>
+                            <th className="text-right font-semibold pb-1" style={{ color: palette.DEM }}>Dem</th>
+                            <th className="text-right font-semibold pb-1" style={{ color: palette.REP }}>Rep</th>
+                            <th className="text-right font-semibold pb-1" style={{ color: palette.THIRD }}>3rd</th>
+                            <th className="text-right font-semibold pb-1">Margin</th>
+                            <th className="text-right font-semibold pb-1">Votes</th>
+                            <th className="text-right font-semibold pb-1">Δ</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {cycles.map(c => (
+                            <tr
+                                key={c.year}
+                                onClick={() => { setIsPlaying(false); setYear(c.year); }}
+                                className={`cursor-pointer ${c.year === nearestYear
+                                    ? (isDarkMode ? 'bg-indigo-900/40 text-indigo-200' : 'bg-indigo-50 text-indigo-700')
+                                    : (isDarkMode ? 'hover:bg-slate-800' : 'hover:bg-slate-50')
+                                    }`}
+                            >
+                                <td className="py-0.5 font-bold">{c.year}</td>
+                                {c.data ? (
+                                    <>
+                                        <td className="text-right">{(c.demPct * 100).toFixed(1)}</td>
+                                        <td className="text-right">{(c.repPct * 100).toFixed(1)}</td>
+                                        <td className="text-right">{(c.thirdPct * 100).toFixed(1)}</td>
+                                        <td className="text-right" style={{ color: marginColor(c.margin) }}>{formatMargin(c.margin)}</td>
+                                        <td className="text-right">{c.data.total.toLocaleString()}</td>
+                                        <td className={`text-right ${mutedText}`}>{c.growth !== null ? formatChangePct(c.growth) : ''}</td>
+                                    </>
+                                ) : (
+                                    <td colSpan={6} className={`text-right italic ${mutedText}`}>no data</td>
+                                )}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        );
+    })();
+
+    // Comparison tray: shared two-party share chart plus a per-cycle margin table
+    const compareTray = compareSeries.length > 0 && (() => {
+        const chartW = 280;
+        const chartH = 110;
+        const padL = 26;
+        const padB = 14;
+        const values = compareSeries.flatMap(s => s.shares).filter(v => v !== null);
+        // Fit the y-axis to the data (always including 50%), snapped to 10% ticks
+        const yMin = Math.max(0, Math.floor((Math.min(0.5, ...values) - 0.02) * 10) / 10);
+        const yMax = Math.min(1, Math.ceil((Math.max(0.5, ...values) + 0.02) * 10) / 10);
+        const xAt = (i) => padL + getYearFraction(years, years[i]) * (chartW - padL - 4);
+        const yAt = (v) => (chartH - padB) - ((v - yMin) / (yMax - yMin)) * (chartH - padB - 4);
+        const ticks = [];
+        for (let t = yMin; t <= yMax + 1e-9; t += 0.1) ticks.push(Math.round(t * 10) / 10);
+        const currX = padL + getYearFraction(years, year) * (chartW - padL - 4);
+        const xLabels = getYearLabels(years, chartW - padL - 4, 22);
+        const mutedText = isDarkMode ? 'text-slate-500' : 'text-slate-400';
+        const gridColor = isDarkMode ? '#334155' : '#e2e8f0';
+        const labelColor = isDarkMode ? '#64748b' : '#94a3b8';
+        const nearestYear = years.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
+
+        return (
+            <div className={`pointer-events-auto backdrop-blur shadow-2xl rounded-xl border text-sm transition-colors ${isDarkMode
+                ? 'bg-slate-900/95 border-slate-700 text-slate-200'
+                : 'bg-white/95 border-slate-100 text-slate-800'
+                }`}
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between px-3 py-2">
+                    <button onClick={() => setIsTrayCollapsed(!isTrayCollapsed)} className="flex items-center gap-2 text-xs font-bold">
+                        <GitCompareArrows size={14} />
+                        Compare ({compareSeries.length}/{MAX_COMPARE})
+                        {isTrayCollapsed ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                    </button>
+                    <button onClick={() => setCompareIds([])} className={`text-[10px] font-bold uppercase tracking-wider ${mutedText} hover:text-rose-500`}>
+                        Clear
+                    </button>
+                </div>
+
+                {!isTrayCollapsed && (
+                    <div className={`px-3 pb-3 overflow-y-auto ${isMobile ? 'max-h-[40vh]' : 'max-h-[45vh]'}`}>
+                        {/* Two-Party Share Chart */}
+                        <div className={`text-[10px] font-semibold mb-1 uppercase tracking-wider ${mutedText}`}>Republican Two-Party Share</div>
+                        <svg viewBox={`0 0 ${chartW} ${chartH}`} className="w-full overflow-visible">
+                            {ticks.map(t => (
+                                <g key={t}>
+                                    <line x1={padL} x2={chartW - 4} y1={yAt(t)} y2={yAt(t)} stroke={gridColor} strokeWidth={t === 0.5 ? 1 : 0.5} strokeDasharray={t === 0.5 ? '' : '2 2'} />
+                                    <text x={padL - 4} y={yAt(t) + 2.5} textAnchor="end" fontSize="7" fill={labelColor}>{Math.round(t * 100)}%</text>
+                                </g>
+                            ))}
+                            {years.map((y, i) => xLabels.includes(y) && (
+                                <text key={y} x={xAt(i)} y={chartH - 2} textAnchor="middle" fontSize="7" fill={labelColor}>{y}</text>
+                            ))}
+                            <line x1={currX} x2={currX} y1={4} y2={chartH - padB} stroke={labelColor} strokeWidth="0.75" strokeDasharray="2 2" />
+                            {compareSeries.map(series => {
+                                // Break the line at cycles without data
+                                const segments = [];
+                                let current = [];
+                                series.shares.forEach((v, i) => {
+                                    if (v === null) {
+                                        if (current.length) segments.push(current);
+                                        current = [];
+                                    } else {
+                                        current.push(`${xAt(i)},${yAt(v)}`);
+                                    }
+                                });
+                                if (current.length) segments.push(current);
+                                const interpolated = getInterpolatedData(series.id, year);
+                                return (
+                                    <g key={series.id}>
+                                        {segments.map((points, i) => (
+                                            <polyline key={i} fill="none" stroke={series.color} strokeWidth="1.75" points={points.join(' ')} strokeLinecap="round" strokeLinejoin="round" />
+                                        ))}
+                                        {interpolated && (
+                                            <circle cx={currX} cy={yAt(interpolated.repShare)} r="2.5" fill={series.color} stroke={isDarkMode ? '#0f172a' : '#fff'} strokeWidth="1" />
+                                        )}
+                                    </g>
+                                );
+                            })}
+                        </svg>
+
+                        {/* Per-Cycle Margin Table */}
+                        <table className="w-full mt-2 text-[10px] font-mono">
+                            <thead>
+                                <tr className={`text-[9px] ${mutedText}`}>
+                                    <th className="text-left font-semibold pb-1"></th>
+                                    {years.map(y => (
+                                        <th key={y} className={`text-right font-semibold pb-1 ${y === nearestYear ? (isDarkMode ? 'text-indigo-300' : 'text-indigo-600') : ''}`}>
+                                            &apos;{String(y).slice(-2)}
+                                        </th>
+                                    ))}
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {compareSeries.map(series => (
+                                    <tr key={series.id} className={isDarkMode ? 'hover:bg-slate-800' : 'hover:bg-slate-50'}>
+                                        <td className="py-0.5 pr-1 max-w-[7rem]">
+                                            <button onClick={() => setSelectedId(series.id)} className="flex items-center gap-1.5 font-sans font-medium text-left w-full" title="Show details">
+                                                <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: series.color }}></span>
+                                                <span className="truncate">{series.label}</span>
+                                            </button>
+                                        </td>
+                                        {series.margins.map((m, i) => (
+                                            <td key={years[i]} className={`text-right pl-1 ${m === null ? mutedText : ''}`} style={{ color: m === null ? undefined : marginColor(m) }}>
+                                                {m === null ? '—' : formatMargin(m)}
+                                            </td>
+                                        ))}
+                                        <td className="text-right pl-1">
+                                            <button onClick={() => toggleCompare(series.id)} className={`${mutedText} hover:text-rose-500`} title="Remove">
+                                                <X size={11} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className={`mt-2 text-[9px] ${mutedText}`}>Shift-click units on the map to add or remove them.</div>
+                    </div>
+                )}
+            </div>
+        );
+    })();
+
+    // Diverging margin scale shared by the swing and split-ticket legends
+    const divergingScale = (
+        <div className="w-full">
+            <div
+                className="h-2.5 w-full rounded-full"
+                style={{ background: `linear-gradient(to right, ${palette.DEM}, ${SWING_NEUTRAL_COLOR}, ${palette.REP})` }}
+            ></div>
+            <div className="flex justify-between text-[9px] font-mono mt-1">
+                <span style={{ color: palette.DEM }}>{formatMargin(-SWING_SCALE_MAX)}</span>
+                <span>0</span>
+                <span style={{ color: palette.REP }}>{formatMargin(SWING_SCALE_MAX)}</span>
+            </div>
+        </div>
+    );
+
+    // Swing legend: cycle pickers above a diverging margin-shift scale
+    const swingLegend = (
+        <div className="flex flex-col items-center gap-2 w-[100px]">
+            <div className="flex items-center gap-1 text-[10px] font-bold">
+                {['from', 'to'].map((key, i) => (
+                    <div key={key} className="flex items-center gap-1">
+                        {i === 1 && <span>→</span>}
+                        <select
+                            value={swingYears[key]}
+                            onChange={(e) => setSwingYears(prev => ({ ...prev, [key]: +e.target.value }))}
+                            className={`rounded px-0.5 py-0.5 text-[10px] font-bold border cursor-pointer ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                        >
+                            {years.map(y => <option key={y} value={y}>{y}</option>)}
+                        </select>
+                    </div>
+                ))}
+            </div>
+            {divergingScale}
+            <div className={`text-[9px] uppercase tracking-wider font-semibold ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>Margin Shift</div>
+        </div>
+    );
+
+    // Split-ticket legend: displayed office vs the comparison office picker, over the margin-gap scale
+    const splitLegend = (
+        <div className="flex flex-col items-center gap-2 w-[100px]">
+            <div className="flex items-center gap-1 text-[10px] font-bold max-w-full">
+                <span className="truncate">{getOfficeLabel(office)}</span>
+                <span className="shrink-0">vs</span>
+                <select
+                    value={splitOffice || ''}
+                    onChange={(e) => setSplitChoice(e.target.value)}
+                    className={`min-w-0 rounded px-0.5 py-0.5 text-[10px] font-bold border cursor-pointer ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                >
+                    {offices.filter(o => o !== office).map(o => <option key={o} value={o}>{getOfficeLabel(o)}</option>)}
+                </select>
+            </div>
+            {divergingScale}
+            <div className={`text-[9px] uppercase tracking-wider font-semibold ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>Margin Gap</div>
+        </div>
+    );
+
+    // Covariate legend: column picker over the sequential scale (units without a value stay grey)
+    const covariateLegend = covariates && (
+        <div className="flex flex-col items-center gap-2 w-[100px]">
+            <select
+                value={covariateColumn}
+                onChange={(e) => setCovariateChoice(e.target.value)}
+                className={`w-full rounded px-0.5 py-0.5 text-[10px] font-bold border cursor-pointer ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+            >
+                {covariates.columns.map(column => <option key={column} value={column}>{column}</option>)}
+            </select>
+            <div className="w-full">
+                <div className="h-2.5 w-full rounded-full" style={{ background: COVARIATE_GRADIENT }}></div>
+                <div className="flex justify-between text-[9px] font-mono mt-1">
+                    <span>{covariateScale ? formatCovariate(covariateScale.domain[0]) : '—'}</span>
+                    <span>{covariateScale ? formatCovariate(covariateScale.domain[1]) : '—'}</span>
+                </div>
+            </div>
+            <div className={`text-[9px] uppercase tracking-wider font-semibold text-center ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                {covariateScale ? 'Covariate' : `No ${granularity === GRANULARITY.STATE ? 'state' : 'county'} values`}
+            </div>
+        </div>
+    );
+
+    // Party legend: the triangle (a polygon when parties are split into more groups) and the button
+    // opening the Parties dialog
+    const partyLegend = (
+        <div className="flex flex-col items-center gap-1.5">
+            <TriangleLegend isDarkMode={isDarkMode} mode={mode} groups={partyGroups.groups} centerColor={palette.CENTER} gradientStyle={gradientStyle} />
+            {mode === 'gradient' && (
+                <div className="flex items-center gap-1">
+                    <select
+                        value={gradientStyle.space}
+                        onChange={(e) => setGradientStyle({ ...gradientStyle, space: e.target.value })}
+                        className={`rounded px-1 py-0.5 text-[9px] font-bold border cursor-pointer ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                        title="Classic blends party colours in RGB; Perceptual fades the leader's colour in OKLab so equal margins look equally strong"
+                    >
+                        <option value="classic">Classic</option>
+                        <option value="oklab">Perceptual</option>
+                    </select>
+                    {gradientStyle.space === 'oklab' && (
+                        <select
+                            value={gradientStyle.curve}
+                            onChange={(e) => setGradientStyle({ ...gradientStyle, curve: e.target.value })}
+                            className={`rounded px-1 py-0.5 text-[9px] font-bold border cursor-pointer ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                            title="How the leader's margin maps to colour strength"
+                        >
+                            {Object.entries(GRADIENT_CURVES).map(([key, curve]) => <option key={key} value={key}>{curve.label}</option>)}
+                        </select>
+                    )}
+                </div>
+            )}
+            {partyList.length > 0 && (
+                <button
+                    onClick={() => setIsPartiesOpen(true)}
+                    className={`flex items-center gap-1 text-[9px] uppercase tracking-wider font-semibold hover:underline ${isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-500 hover:text-slate-800'}`}
+                    title="Merge or split third parties into display groups"
+                >
+                    <Users size={10} />
+                    Parties
+                </button>
+            )}
+        </div>
+    );
+
+    // Renderer toggle: Auto -> SVG -> Canvas
+    const rendererLabel = rendererSetting === 'auto' ? `Auto (${isCanvas ? RENDERERS.canvas : RENDERERS.svg})` : RENDERERS[rendererSetting];
+    const cycleRenderer = () => {
+        const keys = Object.keys(RENDERERS);
+        setRendererSetting(keys[(keys.indexOf(rendererSetting) + 1) % keys.length]);
+    };
+
+    // Opens the Colours dialog (party palettes); the covariate scale has its own fixed colours
+    const paletteButton = mode !== 'covariate' && (
+        <button
+            onClick={() => setIsPaletteOpen(true)}
+            className={`flex items-center gap-1 text-[9px] uppercase tracking-wider font-semibold hover:underline ${isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-500 hover:text-slate-800'}`}
+            title="Choose a colour-blind-safe or custom palette"
+        >
+            <Palette size={10} />
+            Colours
+        </button>
+    );
+
+    // Legend for the active colour mode
+    const colorLegend = { swing: swingLegend, split: splitLegend, covariate: covariateLegend }[mode]
+        || partyLegend;
+
+    // Electoral College tally bar (Dem fills from the left, Rep from the right)
+    const { totals: electoralTotals, totalElectors, majority } = electoralCollege;
+    const electoralBar = (
+        <div className="w-full pointer-events-auto">
+            <div className="flex justify-between items-end text-[10px] font-bold uppercase tracking-wider mb-1">
+                <span className={electoralTotals.DEM >= majority ? 'text-sm' : ''} style={{ color: palette.DEM }}>
+                    {PARTIES.DEM.name} {electoralTotals.DEM}
+                </span>
+                <span className={isDarkMode ? 'text-slate-400' : 'text-slate-500'}>
+                    {majority} to win
+                    {electoralTotals.THIRD > 0 && <span style={{ color: palette.THIRD }}> · 3rd {electoralTotals.THIRD}</span>}
+                </span>
+                <span className={electoralTotals.REP >= majority ? 'text-sm' : ''} style={{ color: palette.REP }}>
+                    {electoralTotals.REP} {PARTIES.REP.name}
+                </span>
+            </div>
+            <div className={`relative flex w-full h-2.5 rounded-full overflow-hidden ${isDarkMode ? 'bg-slate-700' : 'bg-slate-300'}`}>
+                <div style={{ width: `${(electoralTotals.DEM / totalElectors) * 100}%`, backgroundColor: palette.DEM }}></div>
+                <div style={{ width: `${(electoralTotals.THIRD / totalElectors) * 100}%`, backgroundColor: palette.THIRD }}></div>
+                <div className="flex-1"></div>
+                <div style={{ width: `${(electoralTotals.REP / totalElectors) * 100}%`, backgroundColor: palette.REP }}></div>
+                {/* Majority marker */}
+                <div className={`absolute top-0 bottom-0 w-0.5 ${isDarkMode ? 'bg-slate-200' : 'bg-slate-900'}`} style={{ left: `${(majority / totalElectors) * 100}%` }}></div>
+            </div>
+        </div>
+    );
+
+    const granularityToggle = (
+        <div className={`pointer-events-auto flex rounded-lg p-1 shadow-lg border shrink-0 ${isMobile ? '' : 'w-32'} ${isDarkMode ? 'bg-slate-800/90 border-slate-700' : 'bg-white/80 border-slate-200'}`}>
+            {[
+                { id: GRANULARITY.COUNTY, label: 'Counties' },
+                { id: GRANULARITY.STATE, label: 'States' }
+            ].map((opt) => (
+                <button
+                    key={opt.id}
+                    onClick={() => handleGranularityChange(opt.id)}
+                    className={`flex-1 px-2 py-1.5 rounded-md text-[10px] font-bold transition-all ${granularity === opt.id
+                        ? (isDarkMode ? 'bg-slate-600 text-white shadow-md' : 'bg-slate-700 text-white shadow-md')
+                        : (isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-600 hover:text-slate-900')
+                        }`}
+                >
+                    {opt.label}
+                </button>
+            ))}
+        </div>
+    );
+
+    // Office switcher, shown when the data holds more than one office
+    const officeSwitcher = offices.length > 1 && (
+        <label className={`pointer-events-auto flex items-center gap-1.5 rounded-lg px-2.5 py-1.5 shadow-lg border shrink-0 ${isMobile ? '' : 'w-32'} ${isDarkMode ? 'bg-slate-800/90 border-slate-700 text-slate-300' : 'bg-white/80 border-slate-200 text-slate-600'}`}>
+            <Landmark size={14} className="shrink-0" />
+            <select
+                value={office}
+                onChange={(e) => handleOfficeChange(e.target.value)}
+                disabled={!!recording}
+                aria-label="Office"
+                className={`w-full min-w-0 bg-transparent text-xs font-bold cursor-pointer focus:outline-none ${isDarkMode ? 'text-slate-200' : 'text-slate-700'}`}
+            >
+                {offices.map(o => (
+                    <option key={o} value={o} className={isDarkMode ? 'bg-slate-800' : 'bg-white'}>{getOfficeLabel(o)}</option>
+                ))}
+            </select>
+        </label>
+    );
+
+    // Legend key for the "no race" hatching, shown for offices whose races are staggered across cycles
+    const noRaceKey = raceStates.isStaggered && mode !== 'covariate' && (
+        <div className="flex items-center gap-1.5 text-[9px] uppercase tracking-wider font-semibold">
+            <svg width="12" height="12" className="rounded-sm shrink-0"><rect width="12" height="12" fill={NO_RACE_FILL} /></svg>
+            <span>No race</span>
+        </div>
+    );
+
+    // Spectrum axis pickers (Y can keep the original vote spread)
+    const scatterAxisPicker = (
+        <div className={`pointer-events-auto flex flex-col gap-1.5 rounded-lg p-2 shadow-lg border shrink-0 ${isMobile ? 'w-28' : 'w-32'} ${isDarkMode ? 'bg-slate-800/90 border-slate-700 text-slate-300' : 'bg-white/80 border-slate-200 text-slate-600'}`}>
+            {[['x', 'X axis'], ['y', 'Y axis']].map(([axis, label]) => (
+                <label key={axis} className="flex flex-col gap-0.5">
+                    <span className="text-[9px] uppercase tracking-wider font-semibold">{label}</span>
+                    <select
+                        value={axis === 'y' && scatterAxes.y === SCATTER_SPREAD ? SCATTER_SPREAD : scatterAxisKeys[axis]}
+                        onChange={(e) => setScatterAxes(prev => ({ ...prev, [axis]: e.target.value }))}
+                        disabled={!!recording}
+                        className={`w-full rounded px-1 py-0.5 text-[10px] font-bold border cursor-pointer ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                    >
+                        {axis === 'y' && (
+                            <option value={SCATTER_SPREAD}>{mode === 'split' && splitOffice ? `Auto (${getOfficeLabel(splitOffice)})` : 'Spread by votes'}</option>
+                        )}
+                        {scatterMetricOptions.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+                    </select>
+                </label>
+            ))}
+        </div>
+    );
+
+    // Sorted Grid order: by votes, or by a covariate once one is loaded
+    const gridSortPicker = covariates && (
+        <label className={`pointer-events-auto flex flex-col gap-0.5 rounded-lg p-2 shadow-lg border shrink-0 ${isMobile ? 'w-28' : 'w-32'} ${isDarkMode ? 'bg-slate-800/90 border-slate-700 text-slate-300' : 'bg-white/80 border-slate-200 text-slate-600'}`}>
+            <span className="text-[9px] uppercase tracking-wider font-semibold">Sort by</span>
+            <select
+                value={gridSort.startsWith('cov:') && !covariates.columns.includes(gridSort.slice(4)) ? 'votes' : gridSort}
+                onChange={(e) => setGridSort(e.target.value)}
+                disabled={!!recording}
+                className={`w-full rounded px-1 py-0.5 text-[10px] font-bold border cursor-pointer ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+            >
+                <option value="votes">Total votes</option>
+                {covariates.columns.map(column => <option key={column} value={`cov:${column}`}>{column}</option>)}
+            </select>
+        </label>
+    );
+
     const timelineControls = isMobile ? (
         // Mobile Layout: Side-by-Side
-        <div className="w-full flex items-center gap-2 pointer-events-auto px-1">
-            <div className="flex-shrink-0">
-                {playButton}
+        <div className="w-full flex flex-col gap-2 pointer-events-auto px-1">
+            {totalElectors > 0 && electoralBar}
+            <div className="w-full flex items-center gap-2">
+                <div className="flex-shrink-0">
+                    {playButton}
+                </div>
+                {sliderSection}
             </div>
-            {sliderSection}
         </div>
     ) : (
         // Desktop Layout: Single Row
         <div className="w-full max-w-4xl flex flex-col gap-3 pointer-events-auto">
+            {totalElectors > 0 && electoralBar}
             <div className="flex items-center gap-4">
                 <div className="flex flex-col items-center gap-1">
                     {playButton}
@@ -1618,7 +4869,7 @@ export default function ElectionVisualizer() {
         </div>
     );
 
-    if (d3Status !== 'ready' || topoStatus !== 'ready' || dataStatus === 'loading') {
+    if (dataStatus === 'idle' || dataStatus === 'loading') {
         return (
             <div className={`flex h-screen w-full items-center justify-center font-sans ${isDarkMode ? 'bg-slate-950 text-slate-400' : 'bg-slate-50 text-slate-500'}`}>
                 <div className="text-center">
@@ -1853,7 +5104,21 @@ export default function ElectionVisualizer() {
     };
 
     return (
-        <div className={`h-screen w-full font-sans relative overflow-hidden flex flex-col transition-colors duration-300 ${isDarkMode ? 'bg-slate-950 text-slate-100' : 'bg-slate-100 text-slate-900'}`}>
+        <div
+            className={`h-screen w-full font-sans relative overflow-hidden flex flex-col transition-colors duration-300 ${isDarkMode ? 'bg-slate-950 text-slate-100' : 'bg-slate-100 text-slate-900'}`}
+            onDragOver={(e) => {
+                if (!e.dataTransfer.types.includes('Files')) return;
+                e.preventDefault();
+                setIsDragOver(true);
+            }}
+            onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setIsDragOver(false); }}
+            onDrop={(e) => {
+                if (e.dataTransfer.files.length === 0) return;
+                e.preventDefault();
+                setIsDragOver(false);
+                openDatasetFile(e.dataTransfer.files[0]);
+            }}
+        >
 
             {/* 1. Map Layer */}
             <div
@@ -1862,76 +5127,101 @@ export default function ElectionVisualizer() {
                 onPointerDown={handleMouseDown}
                 onPointerMove={handleMouseDrag}
                 onPointerUp={handleMouseUp}
-                onPointerLeave={() => setIsDragging(false)}
+                onPointerLeave={() => {
+                    setIsDragging(false);
+                    if (isCanvas) setHovered(null);
+                }}
                 onTouchStart={handleTouchStart}
                 onTouchMove={handleTouchMove}
                 onTouchEnd={handleTouchEnd}
             >
+                {topology && isCanvas && (
+                    <canvas ref={canvasRef} className="absolute inset-0 w-full h-full pointer-events-none" />
+                )}
                 {topology ? (
                     <svg
                         ref={svgRef}
                         viewBox={`0 0 ${width} ${height}`}
-                        className="w-full h-full max-h-screen max-w-none"
+                        className="relative w-full h-full max-h-screen max-w-none"
                         style={{ colorScheme: isDarkMode ? 'only dark' : 'only light' }}
                     >
                         <g style={{ transform: `translate(${viewState.x}px, ${viewState.y}px) scale(${viewState.k})`, transformOrigin: '0 0' }}>
+                            {/* Inside the viewport group so exports (which serialise it) keep the pattern */}
+                            <defs>
+                                <pattern id="no-race" width="4" height="4" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+                                    <rect width="4" height="4" fill={isDarkMode ? '#1e293b' : '#e5e7eb'} />
+                                    <line x1="0" y1="0" x2="0" y2="4" stroke={isDarkMode ? '#475569' : '#9ca3af'} strokeWidth="1.5" />
+                                </pattern>
+                            </defs>
                             {mapContent}
 
-                            {/* Spectrum Axis and Indicators */}
-                            {layoutMode === LAYOUTS.SCATTER && (() => {
-                                const PADDING_X = 50;
-                                const CENTER_Y = height / 2;
-                                const axisWidth = width - 2 * PADDING_X;
-                                const indicators = [
-                                    { label: 'D', position: 0, color: PARTIES.DEM.color },
-                                    { label: '', position: 0.25, color: isDarkMode ? '#64748b' : '#94a3b8' },
-                                    { label: '', position: 0.5, color: isDarkMode ? '#64748b' : '#94a3b8' },
-                                    { label: '', position: 0.75, color: isDarkMode ? '#64748b' : '#94a3b8' },
-                                    { label: 'R', position: 1, color: PARTIES.REP.color }
-                                ];
+                            {/* Spectrum Axes: ticks and titles for the chosen metrics. With the vote spread on Y,
+                                the X axis runs through the middle of the plot. */}
+                            {layoutMode === LAYOUTS.SCATTER && scatterScales && (() => {
+                                const { x: xAxis, y: yAxis } = scatterScales;
+                                const left = SCATTER_PADDING.x;
+                                const right = width - SCATTER_PADDING.x;
+                                const top = SCATTER_PADDING.y;
+                                const bottom = height - SCATTER_PADDING.y;
+                                const axisY = yAxis ? bottom : height / 2;
+                                const axisColor = isDarkMode ? '#475569' : '#cbd5e1';
+                                const labelColor = isDarkMode ? '#94a3b8' : '#64748b';
+                                const tickFormat = (axis) => (axis.metric.log ? axis.scale.tickFormat(6, '.2~s') : axis.metric.format);
+                                // Name the office when there are several (the split axis already does)
+                                const axisTitle = (axis) => `${offices.length > 1 && axis.key !== 'split' ? `${getOfficeLabel(office)} ` : ''}${axis.metric.label} →`;
 
                                 return (
                                     <g className="pointer-events-none">
                                         {/* Horizontal axis line */}
-                                        <line
-                                            x1={PADDING_X}
-                                            y1={CENTER_Y}
-                                            x2={PADDING_X + axisWidth}
-                                            y2={CENTER_Y}
-                                            stroke={isDarkMode ? '#475569' : '#cbd5e1'}
-                                            strokeWidth={2}
-                                            strokeOpacity={0.6}
-                                        />
-                                        {/* Tick marks and labels */}
-                                        {indicators.map((ind, i) => {
-                                            const x = PADDING_X + ind.position * axisWidth;
-                                            return (
-                                                <g key={i}>
-                                                    {/* Tick mark */}
-                                                    <line
-                                                        x1={x}
-                                                        y1={CENTER_Y - 8}
-                                                        x2={x}
-                                                        y2={CENTER_Y + 8}
-                                                        stroke={ind.color}
-                                                        strokeWidth={ind.position === 0 || ind.position === 1 ? 3 : 2}
-                                                        strokeOpacity={0.8}
-                                                    />
-                                                    {/* Label */}
-                                                    <text
-                                                        x={x}
-                                                        y={CENTER_Y + 25}
-                                                        textAnchor="middle"
-                                                        fill={ind.color}
-                                                        fontSize="14"
-                                                        fontWeight={ind.position === 0 || ind.position === 1 ? 'bold' : 'normal'}
-                                                        opacity={0.9}
-                                                    >
-                                                        {ind.label}
-                                                    </text>
+                                        <line x1={left} y1={axisY} x2={right} y2={axisY} stroke={axisColor} strokeWidth={2} strokeOpacity={0.6} />
+                                        {xAxis.scale.ticks(xAxis.metric.log ? 6 : 8).map(value => {
+                                            const x = xAxis.scale(value);
+                                            const label = tickFormat(xAxis)(value);
+                                            return label ? (
+                                                <g key={value}>
+                                                    <line x1={x} y1={axisY - 5} x2={x} y2={axisY + 5} stroke={axisColor} strokeWidth={1.5} />
+                                                    <text x={x} y={axisY + 18} textAnchor="middle" fill={labelColor} fontSize="10">{label}</text>
                                                 </g>
-                                            );
+                                            ) : null;
                                         })}
+                                        <text x={(left + right) / 2} y={height - 18} textAnchor="middle" fill={labelColor} fontSize="12" fontWeight="bold">
+                                            {axisTitle(xAxis)}
+                                        </text>
+                                        {/* D / R markers at the ends of a partisan axis */}
+                                        {xAxis.metric.partisan && [['D', left, 1, palette.DEM], ['R', right, -1, palette.REP]].map(([label, x, inward, color]) => (
+                                            <g key={label}>
+                                                <line x1={x} y1={axisY - 8} x2={x} y2={axisY + 8} stroke={color} strokeWidth={3} strokeOpacity={0.8} />
+                                                <text x={x + (yAxis ? inward * 10 : 0)} y={axisY - 12} textAnchor="middle" fill={color} fontSize="14" fontWeight="bold" opacity={0.9}>{label}</text>
+                                            </g>
+                                        ))}
+
+                                        {yAxis && (
+                                            <>
+                                                <line x1={left} y1={top} x2={left} y2={bottom} stroke={axisColor} strokeWidth={2} strokeOpacity={0.6} />
+                                                {yAxis.scale.ticks(6).map(value => {
+                                                    const y = yAxis.scale(value);
+                                                    const label = tickFormat(yAxis)(value);
+                                                    return label ? (
+                                                        <g key={value}>
+                                                            <line x1={left - 5} y1={y} x2={left + 5} y2={y} stroke={axisColor} strokeWidth={1.5} />
+                                                            <text x={left - 8} y={y + 3} textAnchor="end" fill={labelColor} fontSize="10">{label}</text>
+                                                        </g>
+                                                    ) : null;
+                                                })}
+                                                <text x={12} y={(top + bottom) / 2} textAnchor="middle" fill={labelColor} fontSize="12" fontWeight="bold" transform={`rotate(-90 12 ${(top + bottom) / 2})`}>
+                                                    {axisTitle(yAxis)}
+                                                </text>
+                                                {/* Kept clear of the X axis's own D marker in the bottom-left corner */}
+                                                {yAxis.metric.partisan && [['D', bottom - (xAxis.metric.partisan ? 30 : 10), palette.DEM], ['R', top + 14, palette.REP]].map(([label, y, color]) => (
+                                                    <text key={label} x={left + 10} y={y} textAnchor="middle" fill={color} fontSize="14" fontWeight="bold" opacity={0.9}>{label}</text>
+                                                ))}
+                                            </>
+                                        )}
+
+                                        {/* Split-ticket diagonal: the same Rep share for both offices */}
+                                        {xAxis.key === 'share' && yAxis?.key === 'split' && (
+                                            <line x1={left} y1={bottom} x2={right} y2={top} stroke={labelColor} strokeWidth={1} strokeDasharray="6 4" strokeOpacity={0.6} />
+                                        )}
                                     </g>
                                 );
                             })()}
@@ -1939,8 +5229,8 @@ export default function ElectionVisualizer() {
                             {/* State Borders */}
                             {layoutMode === LAYOUTS.GEO && (
                                 <path
-                                    d={window.d3.geoPath().projection(window.d3.geoAlbersUsa().scale(1000).translate([width / 2, height / 2]))(
-                                        window.topojson.mesh(topology, topology.objects.states, (a, b) => a !== b)
+                                    d={d3.geoPath().projection(d3.geoAlbersUsa().scale(1000).translate([width / 2, height / 2]))(
+                                        topojson.mesh(topology, topology.objects.states, (a, b) => a !== b)
                                     )}
                                     fill="none"
                                     stroke={isDarkMode ? "#334155" : "#fff"}
@@ -1950,18 +5240,23 @@ export default function ElectionVisualizer() {
                                 />
                             )}
 
-                            {/* Highlight Overlay */}
-                            {hovered && hovered.id && (() => {
-                                const p = mapPaths?.find(x => x.id === hovered.id);
+                            {/* Shift Arrows (Geo Only) */}
+                            {shiftArrows}
+
+                            {/* Highlight Overlay (compared, hovered, pinned and selected) */}
+                            {[...new Set([...compareIds, hovered?.id, pinnedId, selectedId].filter(Boolean))].map(id => {
+                                const p = mapPaths?.find(x => x.id === id);
                                 if (!p) return null;
-                                // Use nearest year for geometry highlight
-                                const nearestYear = YEARS.reduce((prev, curr) => Math.abs(curr - year) < Math.abs(prev - year) ? curr : prev);
-                                if (layoutMode !== LAYOUTS.GEO && layoutPositions && layoutPositions[p.id]) {
+                                const isCompared = compareIds.includes(id);
+                                const isFocused = id === hovered?.id || id === pinnedId || id === selectedId;
+                                const stroke = isCompared && !isFocused ? compareColors[id] : (isDarkMode ? "#fff" : "#000");
+                                if (layoutMode !== LAYOUTS.GEO && layoutPositions) {
                                     const pos = layoutPositions[p.id];
-                                    return <circle cx={pos.x} cy={pos.y} r={pos.r} fill="none" stroke={isDarkMode ? "#fff" : "#000"} strokeWidth={2 / pos.r} className="pointer-events-none" />;
+                                    if (!pos) return null; // Filtered out of this layout
+                                    return <circle key={id} cx={pos.x} cy={pos.y} r={pos.r} fill="none" stroke={stroke} strokeWidth={2 / pos.r} className="pointer-events-none" />;
                                 }
-                                return <path d={p.d} fill="none" stroke={isDarkMode ? "#fff" : "#000"} strokeWidth={2} className="pointer-events-none" />;
-                            })()}
+                                return <path key={id} d={p.d} fill="none" stroke={stroke} strokeWidth={2} className="pointer-events-none" />;
+                            })}
                         </g>
                     </svg>
                 ) : (
@@ -1988,17 +5283,114 @@ export default function ElectionVisualizer() {
                     </div>
                     <p className={`mt-1 text-xs flex gap-2 leading-relaxed font-medium ${isDarkMode ? 'text-slate-400' : 'text-slate-600'}`}>
                         <Info size={14} className="shrink-0 mt-0.5" />
-                        Visualization by County (2000 - 2024)
+                        {offices.length > 1 ? `${getOfficeLabel(office)} races` : 'Visualization'} by {granularity === GRANULARITY.STATE ? 'State' : 'County'} ({years.length > 1 ? `${years[0]} - ${years[years.length - 1]}` : years[0]})
                     </p>
                     <div className={`text-[10px] mt-2 font-mono uppercase tracking-wide flex items-center gap-2 ${isDarkMode ? 'text-emerald-400' : 'text-emerald-600'}`}>
                         <div className={`w-1.5 h-1.5 rounded-full ${Object.keys(electionData).length > 0 ? 'bg-emerald-500' : 'bg-slate-300'}`}></div>
                         {Object.keys(electionData).length > 0 ? (
-                            <a href="https://dataverse.harvard.edu/dataset.xhtml?persistentId=doi:10.7910/DVN/VOQCHQ" target="_blank" rel="noopener noreferrer" className="hover:underline hover:text-emerald-500 transition-colors">
-                                Data: MIT Election Data & Science Lab
-                            </a>
+                            dataSource.url ? (
+                                <a href={dataSource.url} target="_blank" rel="noopener noreferrer" className="hover:underline hover:text-emerald-500 transition-colors">
+                                    Data: {dataSource.label}
+                                </a>
+                            ) : (
+                                <span className="truncate normal-case" title={dataSource.label}>Data: {dataSource.label}</span>
+                            )
+                        ) : dataStatus === 'error' ? (
+                            <span className="text-rose-500">Data failed to load</span>
                         ) : 'Waiting for Data...'}
+                        {dataReport && (() => {
+                            const issueCount = dataReport.error ? 1 : Object.values(dataReport.issues).reduce((sum, issue) => sum + issue.count, 0)
+                                + (unmatchedUnits ? unmatchedUnits.dataOnly.length + unmatchedUnits.mapOnly.length : 0);
+                            if (issueCount === 0) return null;
+                            return (
+                                <button
+                                    onClick={() => setIsReportOpen(true)}
+                                    className={`flex items-center gap-1 normal-case hover:underline ${dataReport.error ? 'text-rose-500' : 'text-amber-500'}`}
+                                    title="Data quality report"
+                                >
+                                    <AlertTriangle size={11} />
+                                    {dataReport.error ? 'Details' : `${issueCount.toLocaleString()} issue${issueCount === 1 ? '' : 's'}`}
+                                </button>
+                            );
+                        })()}
+                        <button
+                            onClick={() => fileInputRef.current?.click()}
+                            disabled={!!recording}
+                            className={`flex items-center gap-1 normal-case shrink-0 hover:underline ${isDarkMode ? 'text-slate-400 hover:text-blue-400' : 'text-slate-500 hover:text-blue-600'}`}
+                            title="Load a CSV, zipped CSV or JSON dataset (or drop one onto the map)"
+                        >
+                            <Upload size={11} />
+                            Load data
+                        </button>
+                        <button
+                            onClick={() => covariateInputRef.current?.click()}
+                            disabled={!!recording}
+                            className={`flex items-center gap-1 normal-case shrink-0 hover:underline ${isDarkMode ? 'text-slate-400 hover:text-teal-400' : 'text-slate-500 hover:text-teal-600'}`}
+                            title="Load county or state covariates (e.g. median income) keyed by FIPS, as CSV or JSON"
+                        >
+                            <BarChart3 size={11} />
+                            Covariates
+                        </button>
+                        <input
+                            ref={covariateInputRef}
+                            type="file"
+                            accept=".csv,.zip,.json,text/csv,application/json,application/zip"
+                            className="hidden"
+                            onChange={(e) => {
+                                openCovariateFile(e.target.files[0]);
+                                e.target.value = '';
+                            }}
+                        />
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept=".csv,.zip,.json,text/csv,application/json,application/zip"
+                            className="hidden"
+                            onChange={(e) => {
+                                openDatasetFile(e.target.files[0]);
+                                e.target.value = '';
+                            }}
+                        />
                     </div>
 
+                    {/* Covariate file status: units joined, or why the file couldn't be read */}
+                    {(covariates || covariateError) && (() => {
+                        const matched = covariates && mapPaths ? mapPaths.filter(p => covariates.values[p.id]).length : 0;
+                        return (
+                            <div className={`text-[10px] mt-1 font-mono uppercase tracking-wide flex items-center gap-2 ${covariateError ? 'text-rose-500' : (isDarkMode ? 'text-teal-400' : 'text-teal-600')}`}>
+                                <div className={`w-1.5 h-1.5 rounded-full shrink-0 ${covariateError ? 'bg-rose-500' : 'bg-teal-500'}`}></div>
+                                {covariateError ? (
+                                    <span className="truncate normal-case" title={covariateError}>{covariateError}</span>
+                                ) : (
+                                    <>
+                                        <span className="truncate normal-case" title={`${covariates.columns.join(', ')}${covariates.report.skipped > 0 ? ` · ${covariates.report.skipped} rows skipped` : ''}`}>
+                                            Covariates: {covariates.label}
+                                        </span>
+                                        <span
+                                            className="shrink-0"
+                                            title={covariates.unmerged.length > 0 ? `Unmatched merged units (no population column to weight their counties): ${covariates.unmerged.join(', ')}` : undefined}
+                                        >
+                                            {matched.toLocaleString()}/{(mapPaths?.length || 0).toLocaleString()} matched{covariates.unmerged.length > 0 ? '*' : ''}
+                                        </span>
+                                    </>
+                                )}
+                                <button
+                                    onClick={() => { setCovariates(null); setCovariateError(null); }}
+                                    className={`shrink-0 ${isDarkMode ? 'text-slate-500 hover:text-rose-400' : 'text-slate-400 hover:text-rose-500'}`}
+                                    title={covariateError ? 'Dismiss' : 'Remove covariates'}
+                                >
+                                    <X size={11} />
+                                </button>
+                            </div>
+                        );
+                    })()}
+
+                    {/* Place Search */}
+                    {searchBox}
+
+                    {/* Details Panel (Desktop) */}
+                    {!isMobile && detailsPanel}
+
                     {/* Mobile Timeline Controls */}
                     {isMobile && <div className="mt-4 pointer-events-auto scale-90 origin-top-left -ml-2">{timelineControls}</div>}
 
@@ -2042,8 +5434,10 @@ export default function ElectionVisualizer() {
                 <div className="absolute z-10 pointer-events-none left-4 right-4 origin-bottom-left scale-90 overflow-visible" style={{ bottom: 'calc(8px + env(safe-area-inset-bottom, 0px))' }}>
                     <div className="flex flex-row items-end gap-2">
                         {/* Legend (triangle) */}
-                        <div className={`flex items-center gap-3 text-xs pointer-events-auto p-2 rounded-xl backdrop-blur-sm border shadow-sm shrink-0 ${isDarkMode ? 'bg-slate-900/50 border-slate-700 text-slate-300' : 'bg-white/50 border-slate-200 text-slate-600'}`}>
-                            <TriangleLegend isDarkMode={isDarkMode} mode={mode} />
+                        <div className={`flex flex-col items-center gap-1.5 text-xs pointer-events-auto p-2 rounded-xl backdrop-blur-sm border shadow-sm shrink-0 ${isDarkMode ? 'bg-slate-900/50 border-slate-700 text-slate-300' : 'bg-white/50 border-slate-200 text-slate-600'}`}>
+                            {colorLegend}
+                            {noRaceKey}
+                            {paletteButton}
                         </div>
 
                         {/* Mode Menu + Winner/Vote% (stacked, same width) */}
@@ -2101,6 +5495,9 @@ export default function ElectionVisualizer() {
                                 )}
                             </div>
 
+                            {/* Office Switcher */}
+                            {officeSwitcher}
+
                             {/* Winner / Vote% Toggle */}
                             <div className={`pointer-events-auto flex flex-col rounded-lg p-1 shadow-lg border shrink-0 ${isDarkMode ? 'bg-slate-800/90 border-slate-700' : 'bg-white/80 border-slate-200'}`}>
                                 <button
@@ -2123,7 +5520,44 @@ export default function ElectionVisualizer() {
                                     <Layers size={14} />
                                     <span>Vote %</span>
                                 </button>
+                                <button
+                                    onClick={() => { setMode('swing'); setShowBorders(true); }}
+                                    className={`flex items-center gap-1.5 px-3 py-2 rounded-md text-xs font-bold transition-all ${mode === 'swing'
+                                        ? (isDarkMode ? 'bg-rose-600 text-white shadow-md' : 'bg-rose-500 text-white shadow-md')
+                                        : (isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-600 hover:text-slate-900')
+                                        }`}
+                                >
+                                    <TrendingUp size={14} />
+                                    <span>Swing</span>
+                                </button>
+                                {offices.length > 1 && (
+                                    <button
+                                        onClick={() => { setMode('split'); setShowBorders(true); }}
+                                        className={`flex items-center gap-1.5 px-3 py-2 rounded-md text-xs font-bold transition-all ${mode === 'split'
+                                            ? (isDarkMode ? 'bg-amber-600 text-white shadow-md' : 'bg-amber-500 text-white shadow-md')
+                                            : (isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-600 hover:text-slate-900')
+                                            }`}
+                                    >
+                                        <Split size={14} />
+                                        <span>Split</span>
+                                    </button>
+                                )}
+                                {covariates && (
+                                    <button
+                                        onClick={() => { setMode('covariate'); setShowBorders(false); }}
+                                        className={`flex items-center gap-1.5 px-3 py-2 rounded-md text-xs font-bold transition-all ${mode === 'covariate'
+                                            ? (isDarkMode ? 'bg-teal-600 text-white shadow-md' : 'bg-teal-500 text-white shadow-md')
+                                            : (isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-600 hover:text-slate-900')
+                                            }`}
+                                    >
+                                        <BarChart3 size={14} />
+                                        <span>Covariate</span>
+                                    </button>
+                                )}
                             </div>
+
+                            {/* County / State Toggle */}
+                            {granularityToggle}
                         </div>
 
                         {/* Dark Mode & Borders (stacked, next to Winner/Vote%) */}
@@ -2147,11 +5581,42 @@ export default function ElectionVisualizer() {
                             >
                                 {showBorders ? <Eye size={14} /> : <EyeOff size={14} />}
                             </button>
+
+                            {layoutMode === LAYOUTS.GEO && (
+                                <button
+                                    onClick={() => setShowShiftArrows(!showShiftArrows)}
+                                    className={`flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-xs font-bold transition-all shadow-md border ${showShiftArrows
+                                        ? (isDarkMode ? 'bg-slate-800 border-slate-600 text-indigo-400 hover:bg-slate-700' : 'bg-white/80 border-slate-200 text-indigo-600 hover:bg-white backdrop-blur-sm')
+                                        : (isDarkMode ? 'bg-slate-800/80 border-slate-700 text-slate-400 hover:bg-slate-800' : 'bg-white/60 border-transparent text-slate-500 hover:bg-white backdrop-blur-sm')
+                                        }`}
+                                >
+                                    <Wind size={14} />
+                                </button>
+                            )}
+
+                            <button
+                                onClick={cycleRenderer}
+                                title={`Renderer: ${rendererLabel}`}
+                                className={`flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-xs font-bold transition-all shadow-md border ${isCanvas
+                                    ? (isDarkMode ? 'bg-slate-800 border-slate-600 text-indigo-400 hover:bg-slate-700' : 'bg-white/80 border-slate-200 text-indigo-600 hover:bg-white backdrop-blur-sm')
+                                    : (isDarkMode ? 'bg-slate-800/80 border-slate-700 text-slate-400 hover:bg-slate-800' : 'bg-white/60 border-transparent text-slate-500 hover:bg-white backdrop-blur-sm')
+                                    }`}
+                            >
+                                <Gauge size={14} />
+                            </button>
+
+                            {exportMenu}
                         </div>
 
+                        {/* Grid Sort (Sorted Grid Only) */}
+                        {layoutMode === LAYOUTS.GRID && gridSortPicker && (
+                            <div className="shrink-0 ml-auto mb-4">{gridSortPicker}</div>
+                        )}
+
                         {/* Vertical Population Slider (Spectrum Only) */}
                         {layoutMode === LAYOUTS.SCATTER && (
-                            <div className="pointer-events-auto shrink-0 ml-auto mb-4">
+                            <div className="pointer-events-auto shrink-0 ml-auto mb-4 flex flex-col items-end gap-2">
+                                {scatterAxisPicker}
                                 <VerticalRangeSlider
                                     min={0}
                                     max={globalMaxVotes}
@@ -2167,6 +5632,9 @@ export default function ElectionVisualizer() {
             ) : (
                 /* ===== DESKTOP LAYOUT ===== */
                 <div className="absolute z-10 pointer-events-none flex flex-col items-end gap-2 top-6 right-6 overflow-visible">
+                    {/* Office Switcher */}
+                    {officeSwitcher}
+
                     {/* Color Mode Toggle */}
                     <div className={`pointer-events-auto flex flex-col rounded-lg p-1 shadow-lg border shrink-0 w-32 ${isDarkMode ? 'bg-slate-800/90 border-slate-700' : 'bg-white/80 border-slate-200'}`}>
                         <button
@@ -2189,11 +5657,47 @@ export default function ElectionVisualizer() {
                             <Layers size={14} />
                             <span>Vote %</span>
                         </button>
+                        <button
+                            onClick={() => { setMode('swing'); setShowBorders(true); }}
+                            className={`flex items-center gap-1.5 px-3 py-2 rounded-md text-xs font-bold transition-all ${mode === 'swing'
+                                ? (isDarkMode ? 'bg-rose-600 text-white shadow-md' : 'bg-rose-500 text-white shadow-md')
+                                : (isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-600 hover:text-slate-900')
+                                }`}
+                        >
+                            <TrendingUp size={14} />
+                            <span>Swing</span>
+                        </button>
+                        {offices.length > 1 && (
+                            <button
+                                onClick={() => { setMode('split'); setShowBorders(true); }}
+                                className={`flex items-center gap-1.5 px-3 py-2 rounded-md text-xs font-bold transition-all ${mode === 'split'
+                                    ? (isDarkMode ? 'bg-amber-600 text-white shadow-md' : 'bg-amber-500 text-white shadow-md')
+                                    : (isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-600 hover:text-slate-900')
+                                    }`}
+                            >
+                                <Split size={14} />
+                                <span>Split</span>
+                            </button>
+                        )}
+                        {covariates && (
+                            <button
+                                onClick={() => { setMode('covariate'); setShowBorders(false); }}
+                                className={`flex items-center gap-1.5 px-3 py-2 rounded-md text-xs font-bold transition-all ${mode === 'covariate'
+                                    ? (isDarkMode ? 'bg-teal-600 text-white shadow-md' : 'bg-teal-500 text-white shadow-md')
+                                    : (isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-600 hover:text-slate-900')
+                                    }`}
+                            >
+                                <BarChart3 size={14} />
+                                <span>Covariate</span>
+                            </button>
+                        )}
                     </div>
 
                     {/* Legend */}
-                    <div className={`flex items-center gap-3 text-xs pointer-events-auto p-2 rounded-xl backdrop-blur-sm border shadow-sm shrink-0 w-32 justify-center ${isDarkMode ? 'bg-slate-900/50 border-slate-700 text-slate-300' : 'bg-white/50 border-slate-200 text-slate-600'}`}>
-                        <TriangleLegend isDarkMode={isDarkMode} mode={mode} />
+                    <div className={`flex flex-col items-center gap-1.5 text-xs pointer-events-auto p-2 rounded-xl backdrop-blur-sm border shadow-sm shrink-0 w-32 justify-center ${isDarkMode ? 'bg-slate-900/50 border-slate-700 text-slate-300' : 'bg-white/50 border-slate-200 text-slate-600'}`}>
+                        {colorLegend}
+                        {noRaceKey}
+                        {paletteButton}
                     </div>
 
                     {/* View Mode Menu */}
@@ -2251,6 +5755,9 @@ export default function ElectionVisualizer() {
                         )}
                     </div>
 
+                    {/* County / State Toggle */}
+                    {granularityToggle}
+
                     {/* Dark Mode & Borders Stack */}
                     <div className="flex flex-col gap-1.5 pointer-events-auto shrink-0 w-32">
                         <button
@@ -2274,11 +5781,42 @@ export default function ElectionVisualizer() {
                             {showBorders ? <Eye size={14} /> : <EyeOff size={14} />}
                             <span>{showBorders ? 'Hide Borders' : 'See Borders'}</span>
                         </button>
+
+                        {layoutMode === LAYOUTS.GEO && (
+                            <button
+                                onClick={() => setShowShiftArrows(!showShiftArrows)}
+                                className={`flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-xs font-bold transition-all shadow-md border w-full ${showShiftArrows
+                                    ? (isDarkMode ? 'bg-slate-800 border-slate-600 text-indigo-400 hover:bg-slate-700' : 'bg-white/80 border-slate-200 text-indigo-600 hover:bg-white backdrop-blur-sm')
+                                    : (isDarkMode ? 'bg-slate-800/80 border-slate-700 text-slate-400 hover:bg-slate-800' : 'bg-white/60 border-transparent text-slate-500 hover:bg-white backdrop-blur-sm')
+                                    }`}
+                            >
+                                <Wind size={14} />
+                                <span>{showShiftArrows ? 'Hide Arrows' : 'Shift Arrows'}</span>
+                            </button>
+                        )}
+
+                        <button
+                            onClick={cycleRenderer}
+                            title="Canvas draws the map as one image for smoother playback; Auto picks it on slow devices"
+                            className={`flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-xs font-bold transition-all shadow-md border w-full ${isCanvas
+                                ? (isDarkMode ? 'bg-slate-800 border-slate-600 text-indigo-400 hover:bg-slate-700' : 'bg-white/80 border-slate-200 text-indigo-600 hover:bg-white backdrop-blur-sm')
+                                : (isDarkMode ? 'bg-slate-800/80 border-slate-700 text-slate-400 hover:bg-slate-800' : 'bg-white/60 border-transparent text-slate-500 hover:bg-white backdrop-blur-sm')
+                                }`}
+                        >
+                            <Gauge size={14} />
+                            <span>{rendererLabel}</span>
+                        </button>
+
+                        {exportMenu}
                     </div>
 
+                    {/* Grid Sort (Sorted Grid Only) */}
+                    {layoutMode === LAYOUTS.GRID && gridSortPicker}
+
                     {/* Vertical Slider Stack (Spectrum Only) */}
                     {layoutMode === LAYOUTS.SCATTER && (
                         <div className="pointer-events-auto flex flex-col gap-2 shrink-0 w-32 items-end">
+                            {scatterAxisPicker}
                             <VerticalRangeSlider
                                 min={0}
                                 max={globalMaxVotes}
@@ -2300,16 +5838,42 @@ export default function ElectionVisualizer() {
                 </div>
             )}
 
+            {/* Comparison Tray (Desktop, above the timeline) */}
+            {!isMobile && compareTray && (
+                <div className="absolute right-6 bottom-28 z-20 w-[27rem] pointer-events-none">
+                    {compareTray}
+                </div>
+            )}
+
+            {/* Details Panel / Comparison Tray (Mobile Bottom Sheet) */}
+            {isMobile && (detailsPanel || compareTray) && (
+                <div className="absolute left-2 right-2 z-40" style={{ bottom: 'calc(8px + env(safe-area-inset-bottom, 0px))' }}>
+                    {detailsPanel || compareTray}
+                </div>
+            )}
+
             {/* Floating Tooltip */}
-            {hovered && (() => {
-                const hoveredData = getInterpolatedData(hovered.id, year);
+            {tooltipTarget && (() => {
+                const noRaces = getNoRaces(tooltipTarget.id);
+                const hoveredData = noRaces.length > 0 ? null : getInterpolatedData(tooltipTarget.id, year);
                 const svg = svgRef.current;
 
-                if (!hoveredData || !svg) return null;
+                if ((!hoveredData && noRaces.length === 0) || !svg) return null;
+
+                // Candidates behind the party totals (every candidate for long-format data, otherwise
+                // the listed third-party candidates); leading Dem/Rep names label the bars
+                const candidates = hoveredData?.candidates || [];
+                const partyCandidate = (group) => candidates.find(c => c.group === group);
+
+                // Votes per display group; candidates listed under the group their party belongs to
+                const groupVotes = hoveredData ? getGroupVotes(hoveredData, partyGroups) : [];
+                const groupTotal = groupVotes.reduce((sum, votes) => sum + votes, 0);
+                const groupShare = (i) => (groupTotal > 0 ? groupVotes[i] / groupTotal : 0);
+                const candidateGroup = (c) => partyGroups.groupOf[c.key] ?? (c.group === 'THIRD' ? partyGroups.groupOf.OTHER : partyGroups.groupOf[c.group]);
 
                 // 1. Map Space -> SVG User Space (apply pan/zoom)
-                const svgX = hovered.mx * viewState.k + viewState.x;
-                const svgY = hovered.my * viewState.k + viewState.y;
+                const svgX = tooltipTarget.mx * viewState.k + viewState.x;
+                const svgY = tooltipTarget.my * viewState.k + viewState.y;
 
                 // 2. SVG User Space -> Screen Pixels
                 let screenX, screenY;
@@ -2353,106 +5917,180 @@ export default function ElectionVisualizer() {
                         style={{ left: left, top: top }}
                     >
                         <div className={`font-bold mb-3 pb-2 border-b flex justify-between items-center ${isDarkMode ? 'border-slate-700 text-slate-100' : 'border-slate-100 text-slate-800'}`}>
-                            <span>{hovered.name}{STATE_FIPS_MAP[String(hovered.id).padStart(5, '0').substring(0, 2)] ? `, ${STATE_FIPS_MAP[String(hovered.id).padStart(5, '0').substring(0, 2)]}` : ''}</span>
-                            <span className={`text-xs font-normal ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>{Math.round(year)}</span>
+                            <span>{tooltipTarget.name}{granularity === GRANULARITY.COUNTY && STATE_FIPS_MAP[String(tooltipTarget.id).padStart(5, '0').substring(0, 2)] ? `, ${STATE_FIPS_MAP[String(tooltipTarget.id).padStart(5, '0').substring(0, 2)]}` : ''}</span>
+                            <span className={`text-xs font-normal ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>{mode === 'swing' ? `${swingYears.from}→${swingYears.to}` : Math.round(year)}</span>
                         </div>
                         {hoveredData ? (
                             <div className="space-y-2.5">
+                                {/* Split-Ticket Summary */}
+                                {mode === 'split' && (() => {
+                                    const split = getSplitData(tooltipTarget.id);
+                                    if (!split) {
+                                        return <div className={`text-xs italic ${isDarkMode ? 'text-slate-600' : 'text-slate-400'}`}>No {getOfficeLabel(splitOffice)} result</div>;
+                                    }
+                                    return (
+                                        <div className={`text-xs space-y-1 pb-2 border-b border-dashed ${isDarkMode ? 'border-slate-700' : 'border-slate-300'}`}>
+                                            <div className="flex justify-between">
+                                                <span>{getOfficeLabel(office)} margin</span>
+                                                <span className="font-mono">{formatMargin(split.margin)}</span>
+                                            </div>
+                                            <div className="flex justify-between">
+                                                <span>{getOfficeLabel(splitOffice)} margin</span>
+                                                <span className="font-mono">{formatMargin(split.splitMargin)}</span>
+                                            </div>
+                                            <div className="flex justify-between font-bold" style={{ color: marginColor(split.gap) }}>
+                                                <span>Gap</span>
+                                                <span className="font-mono">{formatMargin(split.gap)}</span>
+                                            </div>
+                                        </div>
+                                    );
+                                })()}
+
+                                {/* Swing Summary */}
+                                {mode === 'swing' && (() => {
+                                    const swing = getSwingData(tooltipTarget.id);
+                                    if (!swing) {
+                                        return <div className={`text-xs italic ${isDarkMode ? 'text-slate-600' : 'text-slate-400'}`}>No data for both cycles</div>;
+                                    }
+                                    return (
+                                        <div className={`text-xs space-y-1 pb-2 border-b border-dashed ${isDarkMode ? 'border-slate-700' : 'border-slate-300'}`}>
+                                            <div className="flex justify-between">
+                                                <span>Margin {swingYears.from}</span>
+                                                <span className="font-mono">{formatMargin(swing.marginFrom)}</span>
+                                            </div>
+                                            <div className="flex justify-between">
+                                                <span>Margin {swingYears.to}</span>
+                                                <span className="font-mono">{formatMargin(swing.marginTo)}</span>
+                                            </div>
+                                            <div className="flex justify-between font-bold" style={{ color: marginColor(swing.marginShift) }}>
+                                                <span>Shift</span>
+                                                <span className="font-mono">{formatMargin(swing.marginShift)}</span>
+                                            </div>
+                                            <div className="flex justify-between">
+                                                <span>Votes {swing.voteChange >= 0 ? 'Gained' : 'Lost'}</span>
+                                                <span className="font-mono">
+                                                    {swing.voteChange >= 0 ? '+' : '−'}{Math.abs(Math.round(swing.voteChange)).toLocaleString()} ({swing.voteChange >= 0 ? '+' : '−'}{Math.abs(swing.voteChangePct * 100).toFixed(1)}%)
+                                                </span>
+                                            </div>
+                                        </div>
+                                    );
+                                })()}
+
                                 <div>
-                                    <div className="flex justify-between items-center text-xs font-bold text-blue-500 mb-1">
-                                        <span>Democrat</span>
-                                        <span>{((hoveredData.demVotes / (hoveredData.demVotes + hoveredData.repVotes + hoveredData.thirdVotes)) * 100).toFixed(1)}%</span>
+                                    <div className="flex justify-between items-center text-xs font-bold mb-1" style={{ color: partyGroups.groups[0].color }}>
+                                        <span className="truncate mr-2">
+                                            {partyGroups.groups[0].name}
+                                            {partyCandidate('DEM') && <span className="font-normal"> · {formatCandidateName(partyCandidate('DEM').name)}</span>}
+                                        </span>
+                                        <span>{(groupShare(0) * 100).toFixed(1)}%</span>
                                     </div>
                                     <div className={`w-full h-2 rounded-full overflow-hidden ${isDarkMode ? 'bg-slate-800' : 'bg-slate-100'}`}>
-                                        <div className="h-full bg-blue-500" style={{ width: `${(hoveredData.demVotes / (hoveredData.demVotes + hoveredData.repVotes + hoveredData.thirdVotes)) * 100}%` }}></div>
+                                        <div className="h-full" style={{ width: `${groupShare(0) * 100}%`, backgroundColor: partyGroups.groups[0].color }}></div>
                                     </div>
                                 </div>
 
                                 <div>
-                                    <div className="flex justify-between items-center text-xs font-bold text-red-500 mb-1">
-                                        <span>Republican</span>
-                                        <span>{((hoveredData.repVotes / (hoveredData.demVotes + hoveredData.repVotes + hoveredData.thirdVotes)) * 100).toFixed(1)}%</span>
+                                    <div className="flex justify-between items-center text-xs font-bold mb-1" style={{ color: partyGroups.groups[1].color }}>
+                                        <span className="truncate mr-2">
+                                            {partyGroups.groups[1].name}
+                                            {partyCandidate('REP') && <span className="font-normal"> · {formatCandidateName(partyCandidate('REP').name)}</span>}
+                                        </span>
+                                        <span>{(groupShare(1) * 100).toFixed(1)}%</span>
                                     </div>
                                     <div className={`w-full h-2 rounded-full overflow-hidden ${isDarkMode ? 'bg-slate-800' : 'bg-slate-100'}`}>
-                                        <div className="h-full bg-red-500" style={{ width: `${(hoveredData.repVotes / (hoveredData.demVotes + hoveredData.repVotes + hoveredData.thirdVotes)) * 100}%` }}></div>
+                                        <div className="h-full" style={{ width: `${groupShare(1) * 100}%`, backgroundColor: partyGroups.groups[1].color }}></div>
                                     </div>
                                 </div>
 
-                                {/* Third Party Votes */}
-                                {hoveredData.thirdVotes > 0 && (
-                                    <div>
-                                        <div className="flex justify-between items-center text-xs font-bold text-emerald-500 mb-1">
-                                            <span>Third Party</span>
-                                            <span>{((hoveredData.thirdVotes / (hoveredData.demVotes + hoveredData.repVotes + hoveredData.thirdVotes)) * 100).toFixed(1)}%</span>
-                                        </div>
-                                        <div className={`w-full h-2 rounded-full overflow-hidden ${isDarkMode ? 'bg-slate-800' : 'bg-slate-100'}`}>
-                                            <div className="h-full bg-emerald-500" style={{ width: `${(hoveredData.thirdVotes / (hoveredData.demVotes + hoveredData.repVotes + hoveredData.thirdVotes)) * 100}%` }}></div>
-                                        </div>
-                                        {/* Show up to 2 third-party candidates */}
-                                        {(hoveredData.thirdParty1 || hoveredData.thirdParty2) && (
-                                            <div className={`mt-1.5 text-[10px] space-y-0.5 ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
-                                                {hoveredData.thirdParty1 && (
-                                                    <div className="flex justify-between">
-                                                        <span className="truncate mr-2">{hoveredData.thirdParty1.name} ({hoveredData.thirdParty1.party})</span>
-                                                        <span className="font-mono">{hoveredData.thirdParty1.votes.toLocaleString()}</span>
-                                                    </div>
-                                                )}
-                                                {hoveredData.thirdParty2 && hoveredData.thirdParty2.votes > 0 && (
-                                                    <div className="flex justify-between">
-                                                        <span className="truncate mr-2">{hoveredData.thirdParty2.name} ({hoveredData.thirdParty2.party})</span>
-                                                        <span className="font-mono">{hoveredData.thirdParty2.votes.toLocaleString()}</span>
-                                                    </div>
-                                                )}
+                                {/* Third Party and split-out groups with votes */}
+                                {partyGroups.groups.map((group, i) => {
+                                    if (i < 2 || !(groupVotes[i] > 0)) return null;
+                                    // Third-party candidates with at least CANDIDATE_MIN_SHARE of the vote; the rest are summed
+                                    const groupCandidates = candidates.filter(c => c.group === 'THIRD' && candidateGroup(c) === i);
+                                    const minVotes = hoveredData.total * CANDIDATE_MIN_SHARE;
+                                    const shown = groupCandidates.filter(c => c.votes >= minVotes);
+                                    const others = groupCandidates.filter(c => c.votes < minVotes);
+                                    return (
+                                        <div key={group.key}>
+                                            <div className="flex justify-between items-center text-xs font-bold mb-1" style={{ color: group.color }}>
+                                                <span className="truncate mr-2">{group.name}</span>
+                                                <span>{(groupShare(i) * 100).toFixed(1)}%</span>
                                             </div>
-                                        )}
-                                    </div>
-                                )}
+                                            <div className={`w-full h-2 rounded-full overflow-hidden ${isDarkMode ? 'bg-slate-800' : 'bg-slate-100'}`}>
+                                                <div className="h-full" style={{ width: `${groupShare(i) * 100}%`, backgroundColor: group.color }}></div>
+                                            </div>
+                                            {groupCandidates.length > 0 && (
+                                                <div className={`mt-1.5 text-[10px] space-y-0.5 ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                                                    {shown.map(c => (
+                                                        <div key={`${c.name}|${c.party}`} className="flex justify-between">
+                                                            <span className="truncate mr-2">{formatCandidateName(c.name)}{c.party && c.party !== c.name ? ` (${formatCandidateName(c.party)})` : ''}</span>
+                                                            <span className="font-mono shrink-0">{c.votes.toLocaleString()}</span>
+                                                        </div>
+                                                    ))}
+                                                    {others.length > 0 && (
+                                                        <div className="flex justify-between italic">
+                                                            <span className="truncate mr-2">{shown.length > 0 ? `${others.length} other${others.length === 1 ? '' : 's'}` : `${others.length} candidate${others.length === 1 ? '' : 's'}`} under {CANDIDATE_MIN_SHARE * 100}%</span>
+                                                            <span className="font-mono shrink-0">{others.reduce((sum, c) => sum + c.votes, 0).toLocaleString()}</span>
+                                                        </div>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })}
 
                                 {/* Vote History Chart */}
                                 <div className="mt-3 mb-2 pt-2 border-t border-dashed border-slate-300 dark:border-slate-700">
                                     <div className={`text-[10px] font-semibold mb-1 uppercase tracking-wider ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>Vote History</div>
                                     <div className="h-16 w-full">
-                                        {(() => {
-                                            const history = YEARS.map(y => {
-                                                const d = electionData[y]?.[hovered.id];
-                                                return {
-                                                    dem: d ? d.demVotes : 0,
-                                                    rep: d ? d.repVotes : 0,
-                                                    third: d ? d.thirdVotes : 0
-                                                };
-                                            });
-                                            const maxVote = Math.max(...history.map(h => Math.max(h.dem, h.rep, h.third)), 1);
-                                            const points = (type) => history.map((d, i) => {
-                                                const x = (i / (history.length - 1)) * 200;
-                                                const val = type === 'dem' ? d.dem : type === 'rep' ? d.rep : d.third;
-                                                const y = 60 - ((val / maxVote) * 60);
-                                                return `${x},${y}`;
-                                            }).join(' ');
-
-                                            // Use current interpolated data for the dot
-                                            const currX = ((year - YEARS[0]) / (YEARS[YEARS.length - 1] - YEARS[0])) * 200;
-                                            const currDemY = 60 - ((hoveredData.demVotes / maxVote) * 60);
-                                            const currRepY = 60 - ((hoveredData.repVotes / maxVote) * 60);
-                                            const currThirdY = 60 - ((hoveredData.thirdVotes / maxVote) * 60);
-
-                                            return (
-                                                <svg viewBox="0 -5 200 70" className="w-full h-full overflow-visible">
-                                                    <polyline fill="none" stroke={PARTIES.DEM.color} strokeWidth="2" points={points('dem')} strokeLinecap="round" strokeLinejoin="round" />
-                                                    <polyline fill="none" stroke={PARTIES.REP.color} strokeWidth="2" points={points('rep')} strokeLinecap="round" strokeLinejoin="round" />
-                                                    <polyline fill="none" stroke={PARTIES.THIRD.color} strokeWidth="2" points={points('third')} strokeLinecap="round" strokeLinejoin="round" opacity="0.8" />
-                                                    <circle cx={currX} cy={currDemY} r="3" fill={PARTIES.DEM.color} stroke={isDarkMode ? '#0f172a' : '#fff'} strokeWidth="1.5" />
-                                                    <circle cx={currX} cy={currRepY} r="3" fill={PARTIES.REP.color} stroke={isDarkMode ? '#0f172a' : '#fff'} strokeWidth="1.5" />
-                                                    {hoveredData.thirdVotes > 0 && <circle cx={currX} cy={currThirdY} r="3" fill={PARTIES.THIRD.color} stroke={isDarkMode ? '#0f172a' : '#fff'} strokeWidth="1.5" />}
-                                                </svg>
-                                            );
-                                        })()}
+                                        {renderVoteHistory(tooltipTarget.id, hoveredData)}
                                     </div>
                                 </div>
 
+                                {/* Electoral Votes (States Only) */}
+                                {granularity === GRANULARITY.STATE && electoralCollege.states[tooltipTarget.id] && (() => {
+                                    const { electors, awards, districts } = electoralCollege.states[tooltipTarget.id];
+                                    return (
+                                        <div className={`text-xs flex justify-between ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                                            <span>Electoral Votes ({electors})</span>
+                                            <span className="font-mono font-bold">
+                                                {awards.DEM > 0 && <span className="ml-1.5" style={{ color: palette.DEM }}>D {awards.DEM}</span>}
+                                                {awards.REP > 0 && <span className="ml-1.5" style={{ color: palette.REP }}>R {awards.REP}</span>}
+                                                {awards.THIRD > 0 && <span className="ml-1.5" style={{ color: palette.THIRD }}>3rd {awards.THIRD}</span>}
+                                                {districts.length > 0 && <span className="font-normal ml-1.5">(split)</span>}
+                                            </span>
+                                        </div>
+                                    );
+                                })()}
+
                                 <div className={`text-xs pt-2 flex justify-between ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>
                                     <span>Total Votes (Est)</span>
                                     <span className="font-mono">{Math.round(hoveredData.total).toLocaleString()}</span>
                                 </div>
+
+                                {/* Covariates (the coloured column first, up to four) */}
+                                {covariates && covariates.values[tooltipTarget.id] && (() => {
+                                    const row = covariates.values[tooltipTarget.id];
+                                    const columns = [covariateColumn, ...covariates.columns.filter(c => c !== covariateColumn)]
+                                        .filter(column => row[column] !== undefined)
+                                        .slice(0, 4);
+                                    return (
+                                        <div className={`text-xs space-y-0.5 pt-2 border-t border-dashed ${isDarkMode ? 'border-slate-700 text-slate-400' : 'border-slate-300 text-slate-500'}`}>
+                                            {columns.map(column => (
+                                                <div key={column} className={`flex justify-between ${mode === 'covariate' && column === covariateColumn ? 'font-bold' : ''}`}>
+                                                    <span className="truncate mr-2">{column}</span>
+                                                    <span className="font-mono">{formatCovariate(row[column])}</span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    );
+                                })()}
+                            </div>
+                        ) : noRaces.length > 0 ? (
+                            <div className={`text-xs italic space-y-0.5 ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                                {[...new Set(noRaces.map(race => race.office))].map(raceOffice => (
+                                    <div key={raceOffice}>No {getOfficeLabel(raceOffice)} race in {noRaces.filter(race => race.office === raceOffice).map(race => race.year).join(' or ')}</div>
+                                ))}
                             </div>
                         ) : (
                             <div className={`text-xs italic ${isDarkMode ? 'text-slate-600' : 'text-slate-400'}`}>No Data Available</div>
@@ -2462,6 +6100,481 @@ export default function ElectionVisualizer() {
             })()
             }
 
+            {/* Drop Target */}
+            {isDragOver && (
+                <div className="absolute inset-3 z-[90] rounded-3xl border-4 border-dashed border-blue-500 bg-blue-500/10 backdrop-blur-sm flex flex-col items-center justify-center gap-2 pointer-events-none">
+                    <Upload size={36} className="text-blue-500" />
+                    <div className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-slate-900'}`}>Drop to load dataset</div>
+                    <div className={`text-xs ${isDarkMode ? 'text-slate-300' : 'text-slate-600'}`}>CSV, zipped CSV or JSON with county FIPS and party vote columns</div>
+                </div>
+            )}
+
+            {/* Column Mapping Dialog (user datasets) */}
+            {importState && (() => {
+                const { file, columns, rows, mapping, overlay, status, error } = importState;
+                const isBusy = status !== 'mapping';
+                const layoutFields = mapping ? IMPORT_FIELDS.filter(field => !field.layout || field.layout === mapping.layout) : [];
+                const mappedColumns = layoutFields.map(field => mapping[field.key]).filter(Boolean);
+                const missingFields = layoutFields.filter(field => field.required && !mapping[field.key] && !(field.key === 'year' && /^\d{4}$/.test(String(mapping.yearValue ?? ''))));
+                const selectClass = `w-full rounded-md border px-2 py-1 text-xs ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`;
+                const mutedText = isDarkMode ? 'text-slate-400' : 'text-slate-500';
+                return (
+                    <div className="absolute inset-0 z-[90] bg-slate-900/60 backdrop-blur-sm flex items-center justify-center p-4 pointer-events-auto" onClick={() => !isBusy && setImportState(null)}>
+                        <div
+                            className={`w-full max-w-2xl max-h-[85vh] overflow-y-auto rounded-2xl shadow-2xl border p-6 text-sm ${isDarkMode ? 'bg-slate-900 border-slate-700 text-slate-200' : 'bg-white border-slate-200 text-slate-800'}`}
+                            onClick={(e) => e.stopPropagation()}
+                        >
+                            <div className="flex justify-between items-start mb-4">
+                                <div className="min-w-0">
+                                    <h2 className="text-lg font-bold">Load Dataset</h2>
+                                    <p className={`text-xs truncate ${mutedText}`}>{file.name} · {(file.size / 1024).toLocaleString(undefined, { maximumFractionDigits: 0 })} KB</p>
+                                </div>
+                                <button onClick={() => setImportState(null)} disabled={isBusy} className={`p-1 rounded-md ${isDarkMode ? 'hover:bg-slate-800' : 'hover:bg-slate-100'}`}>
+                                    <X size={16} />
+                                </button>
+                            </div>
+
+                            {status === 'reading' && <div className={`text-xs ${mutedText}`}>Reading header…</div>}
+
+                            {columns.length > 0 && mapping && (
+                                <>
+                                    {/* Preview */}
+                                    <div className={`mb-4 overflow-x-auto rounded-lg border ${isDarkMode ? 'border-slate-800' : 'border-slate-200'}`}>
+                                        <table className="text-[10px] font-mono whitespace-nowrap">
+                                            <thead>
+                                                <tr className={isDarkMode ? 'bg-slate-800' : 'bg-slate-50'}>
+                                                    {columns.map(col => (
+                                                        <th key={col} className={`px-2 py-1 text-left ${mappedColumns.includes(col) || mapping.other_votes.includes(col) ? 'text-blue-500' : ''}`}>{col}</th>
+                                                    ))}
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {rows.map((row, i) => (
+                                                    <tr key={i}>
+                                                        {columns.map((col, j) => <td key={col} className="px-2 py-0.5">{row[j]}</td>)}
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+
+                                    {/* File layout: party vote columns, or one row per candidate (e.g. MEDSL county returns) */}
+                                    <div className="flex gap-4 mb-3 text-xs">
+                                        {IMPORT_LAYOUTS.map(([value, label]) => (
+                                            <label key={value} className="flex items-center gap-1.5 cursor-pointer">
+                                                <input
+                                                    type="radio"
+                                                    checked={mapping.layout === value}
+                                                    onChange={() => updateImportMapping('layout', value)}
+                                                    disabled={isBusy}
+                                                    className="accent-blue-600"
+                                                />
+                                                {label}
+                                            </label>
+                                        ))}
+                                    </div>
+
+                                    {/* Field mapping */}
+                                    <div className="grid grid-cols-2 gap-x-4 gap-y-2 mb-4">
+                                        {layoutFields.map(field => (
+                                            <label key={field.key} className="flex flex-col gap-0.5">
+                                                <span className="text-[10px] font-bold uppercase tracking-wide">
+                                                    {field.label}
+                                                    {field.required && <span className="text-rose-500"> *</span>}
+                                                    {field.hint && <span className={`font-normal normal-case tracking-normal ${mutedText}`}> ({field.hint})</span>}
+                                                </span>
+                                                <div className="flex gap-1">
+                                                    <select
+                                                        value={mapping[field.key]}
+                                                        onChange={(e) => updateImportMapping(field.key, e.target.value)}
+                                                        disabled={isBusy}
+                                                        className={selectClass}
+                                                    >
+                                                        <option value="">{{ year: 'Same year for every row…', office: 'Same office for every row…' }[field.key] || '—'}</option>
+                                                        {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                                                    </select>
+                                                    {field.key === 'year' && !mapping.year && (
+                                                        <input
+                                                            type="number"
+                                                            placeholder="Year"
+                                                            value={mapping.yearValue ?? ''}
+                                                            onChange={(e) => updateImportMapping('yearValue', e.target.value)}
+                                                            disabled={isBusy}
+                                                            className={`${selectClass} w-20`}
+                                                        />
+                                                    )}
+                                                    {field.key === 'office' && !mapping.office && (
+                                                        <select
+                                                            value={mapping.officeValue}
+                                                            onChange={(e) => updateImportMapping('officeValue', e.target.value)}
+                                                            disabled={isBusy}
+                                                            className={`${selectClass} w-28`}
+                                                        >
+                                                            {Object.entries(OFFICE_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                                        </select>
+                                                    )}
+                                                </div>
+                                            </label>
+                                        ))}
+                                    </div>
+
+                                    {/* Custom party columns */}
+                                    {mapping.layout === 'wide' && (
+                                        <div className="mb-4">
+                                            <div className="text-[10px] font-bold uppercase tracking-wide mb-1">
+                                                Other party columns <span className={`font-normal normal-case tracking-normal ${mutedText}`}>(added to third-party votes)</span>
+                                            </div>
+                                            <div className="flex flex-wrap gap-1">
+                                                {columns.filter(col => !mappedColumns.includes(col)).map(col => {
+                                                    const isChecked = mapping.other_votes.includes(col);
+                                                    return (
+                                                        <button
+                                                            key={col}
+                                                            onClick={() => updateImportMapping('other_votes', isChecked ? mapping.other_votes.filter(c => c !== col) : [...mapping.other_votes, col])}
+                                                            disabled={isBusy}
+                                                            className={`px-2 py-0.5 rounded-full border text-[10px] font-mono transition-colors ${isChecked ? 'bg-blue-600 border-blue-600 text-white' : (isDarkMode ? 'border-slate-600 hover:bg-slate-800' : 'border-slate-300 hover:bg-slate-100')}`}
+                                                        >
+                                                            {col}
+                                                        </button>
+                                                    );
+                                                })}
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {/* Replace or overlay */}
+                                    <div className="flex gap-4 mb-4 text-xs">
+                                        {[[false, 'Replace current data'], [true, 'Overlay on current data']].map(([value, label]) => (
+                                            <label key={label} className="flex items-center gap-1.5 cursor-pointer">
+                                                <input
+                                                    type="radio"
+                                                    checked={overlay === value}
+                                                    onChange={() => setImportState(prev => ({ ...prev, overlay: value }))}
+                                                    disabled={isBusy || (value && Object.keys(officeData).length === 0)}
+                                                    className="accent-blue-600"
+                                                />
+                                                {label}
+                                            </label>
+                                        ))}
+                                    </div>
+                                    {overlay && (
+                                        <p className={`-mt-2 mb-4 text-[10px] ${mutedText}`}>
+                                            Rows in this file replace matching year/FIPS rows; new years are added to the timeline.
+                                        </p>
+                                    )}
+                                </>
+                            )}
+
+                            {error && <div className="mb-4 text-xs text-rose-500">{error}</div>}
+
+                            <div className="flex justify-end gap-2">
+                                <button
+                                    onClick={() => setImportState(null)}
+                                    disabled={isBusy}
+                                    className={`px-3 py-1.5 rounded-lg text-xs font-bold ${isDarkMode ? 'hover:bg-slate-800' : 'hover:bg-slate-100'}`}
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    onClick={confirmImport}
+                                    disabled={isBusy || !mapping || missingFields.length > 0}
+                                    title={missingFields.length > 0 ? `Choose a column for: ${missingFields.map(f => f.label).join(', ')}` : ''}
+                                    className="px-3 py-1.5 rounded-lg text-xs font-bold bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    {status === 'parsing' ? 'Loading…' : 'Load'}
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                );
+            })()}
+
+            {/* Colours: palette presets and the custom palette editor */}
+            {isPaletteOpen && (
+                <div className="absolute inset-0 z-[90] bg-slate-900/60 backdrop-blur-sm flex items-center justify-center p-4 pointer-events-auto" onClick={() => setIsPaletteOpen(false)}>
+                    <div
+                        className={`w-full max-w-md max-h-[80vh] overflow-y-auto rounded-2xl shadow-2xl border p-6 text-sm ${isDarkMode ? 'bg-slate-900 border-slate-700 text-slate-200' : 'bg-white border-slate-200 text-slate-800'}`}
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h2 className="text-lg font-bold">Colours</h2>
+                                <p className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                                    Party colours for the map, legends, Spectrum and charts. Okabe–Ito, Tol Bright and High Contrast stay readable with colour-vision deficiencies.
+                                </p>
+                            </div>
+                            <button onClick={() => setIsPaletteOpen(false)} className={`p-1 rounded-md ${isDarkMode ? 'hover:bg-slate-800' : 'hover:bg-slate-100'}`}>
+                                <X size={16} />
+                            </button>
+                        </div>
+
+                        <div className="space-y-1.5">
+                            {[...Object.entries(PALETTES), ['custom', paletteSettings.custom]].map(([key, preset]) => (
+                                <button
+                                    key={key}
+                                    onClick={() => setPaletteSettings(prev => ({ ...prev, preset: key }))}
+                                    className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg border text-xs font-bold transition-colors ${paletteSettings.preset === key
+                                        ? (isDarkMode ? 'border-blue-500 bg-slate-800' : 'border-blue-500 bg-blue-50')
+                                        : (isDarkMode ? 'border-slate-700 hover:bg-slate-800' : 'border-slate-200 hover:bg-slate-50')
+                                        }`}
+                                >
+                                    <span className="flex shrink-0">
+                                        {PALETTE_SLOTS.map(([slot]) => (
+                                            <span key={slot} className="w-4 h-4 first:rounded-l last:rounded-r" style={{ backgroundColor: preset[slot] }}></span>
+                                        ))}
+                                    </span>
+                                    <span>{preset.name}</span>
+                                    {paletteSettings.preset === key && <Check size={14} className="ml-auto" />}
+                                </button>
+                            ))}
+                        </div>
+
+                        {/* Custom palette editor (choosing a colour switches to the custom palette) */}
+                        <div className="mt-4">
+                            <div className="flex justify-between items-center mb-1">
+                                <span className="text-xs font-bold">Custom</span>
+                                {paletteSettings.preset !== 'custom' && (
+                                    <button
+                                        onClick={() => setPaletteSettings({ preset: 'custom', custom: { ...palette, name: 'Custom' } })}
+                                        className={`text-[10px] font-semibold hover:underline ${isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-500 hover:text-slate-800'}`}
+                                    >
+                                        Start from {palette.name}
+                                    </button>
+                                )}
+                            </div>
+                            <div className="grid grid-cols-2 gap-2">
+                                {PALETTE_SLOTS.map(([slot, label]) => (
+                                    <label key={slot} className="flex items-center gap-2 text-xs">
+                                        <input
+                                            type="color"
+                                            value={paletteSettings.custom[slot]}
+                                            onChange={(e) => setPaletteSettings(prev => ({ preset: 'custom', custom: { ...prev.custom, [slot]: e.target.value } }))}
+                                            className="w-6 h-6 shrink-0 rounded cursor-pointer bg-transparent"
+                                        />
+                                        <span>{label}</span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Parties: assign third parties to display groups, rename and recolour groups */}
+            {isPartiesOpen && (
+                <div className="absolute inset-0 z-[90] bg-slate-900/60 backdrop-blur-sm flex items-center justify-center p-4 pointer-events-auto" onClick={() => setIsPartiesOpen(false)}>
+                    <div
+                        className={`w-full max-w-lg max-h-[80vh] overflow-y-auto rounded-2xl shadow-2xl border p-6 text-sm ${isDarkMode ? 'bg-slate-900 border-slate-700 text-slate-200' : 'bg-white border-slate-200 text-slate-800'}`}
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h2 className="text-lg font-bold">Parties</h2>
+                                <p className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                                    Merge third parties into a group or split them into their own for the Winner and Vote Share modes
+                                </p>
+                            </div>
+                            <button onClick={() => setIsPartiesOpen(false)} className={`p-1 rounded-md ${isDarkMode ? 'hover:bg-slate-800' : 'hover:bg-slate-100'}`}>
+                                <X size={16} />
+                            </button>
+                        </div>
+
+                        <div className="space-y-4">
+                            <div>
+                                <div className="text-xs font-bold mb-1">Third parties ({getOfficeLabel(office)}, all cycles)</div>
+                                <div className={`rounded-lg border divide-y ${isDarkMode ? 'border-slate-800 divide-slate-800' : 'border-slate-100 divide-slate-100'}`}>
+                                    {partyList.map(party => {
+                                        const groupKey = partyGroups.groups[partyGroups.groupOf[party.key]].key;
+                                        return (
+                                            <div key={party.key} className="flex items-center gap-2 px-2 py-1.5 text-xs">
+                                                <span className="shrink-0 w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: party.color }}></span>
+                                                <span className="truncate flex-1" title={party.key}>{party.name}</span>
+                                                <span className={`font-mono text-[10px] shrink-0 ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>{Math.round(party.votes).toLocaleString()}</span>
+                                                <select
+                                                    value={groupKey}
+                                                    onChange={(e) => setPartyGroupChoice(prev => ({ ...prev, [party.key]: e.target.value }))}
+                                                    className={`w-36 shrink-0 rounded px-1 py-0.5 text-[11px] border cursor-pointer ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                                                >
+                                                    <option value={party.key}>Own group</option>
+                                                    {partyGroups.groups.filter(group => group.key !== party.key).map(group => (
+                                                        <option key={group.key} value={group.key}>{group.name}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+
+                            <div>
+                                <div className="text-xs font-bold mb-1">Groups</div>
+                                <div className="space-y-1.5">
+                                    {partyGroups.groups.slice(2).map(group => (
+                                        <div key={group.key} className="flex items-center gap-2 text-xs">
+                                            <input
+                                                type="color"
+                                                value={group.color}
+                                                onChange={(e) => setGroupStyleChoice(prev => ({ ...prev, [group.key]: { ...prev[group.key], color: e.target.value } }))}
+                                                className="w-6 h-6 shrink-0 rounded cursor-pointer bg-transparent"
+                                                title="Group colour"
+                                            />
+                                            <input
+                                                type="text"
+                                                value={groupStyleChoice[group.key]?.name ?? group.name}
+                                                onChange={(e) => setGroupStyleChoice(prev => ({ ...prev, [group.key]: { ...prev[group.key], name: e.target.value } }))}
+                                                className={`flex-1 min-w-0 rounded px-2 py-1 border ${isDarkMode ? 'bg-slate-800 border-slate-600 text-slate-200' : 'bg-white border-slate-300 text-slate-700'}`}
+                                            />
+                                            <span className={`font-mono text-[10px] shrink-0 ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                                                {group.parties.length} part{group.parties.length === 1 ? 'y' : 'ies'}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="flex justify-end">
+                                <button
+                                    onClick={() => { setPartyGroupChoice({}); setGroupStyleChoice({}); }}
+                                    className={`flex items-center gap-1 text-xs font-semibold hover:underline ${isDarkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-500 hover:text-slate-800'}`}
+                                >
+                                    <RotateCcw size={12} />
+                                    Reset
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Data Quality Report */}
+            {isReportOpen && dataReport && (
+                <div className="absolute inset-0 z-[90] bg-slate-900/60 backdrop-blur-sm flex items-center justify-center p-4 pointer-events-auto" onClick={() => setIsReportOpen(false)}>
+                    <div
+                        className={`w-full max-w-xl max-h-[80vh] overflow-y-auto rounded-2xl shadow-2xl border p-6 text-sm ${isDarkMode ? 'bg-slate-900 border-slate-700 text-slate-200' : 'bg-white border-slate-200 text-slate-800'}`}
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h2 className="text-lg font-bold">Data Quality Report</h2>
+                                {!dataReport.error && (
+                                    <p className={`text-xs ${isDarkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                                        {dataReport.rowsLoaded.toLocaleString()} of {dataReport.rowsRead.toLocaleString()} rows loaded
+                                        {' · '}{dataReport.skipped.toLocaleString()} skipped
+                                        {' · '}cycles {dataReport.years.join(', ')}
+                                        {dataReport.offices?.length > 1 && <>{' · '}{dataReport.offices.map(getOfficeLabel).join(', ')}</>}
+                                    </p>
+                                )}
+                            </div>
+                            <button onClick={() => setIsReportOpen(false)} className={`p-1 rounded-md ${isDarkMode ? 'hover:bg-slate-800' : 'hover:bg-slate-100'}`}>
+                                <X size={16} />
+                            </button>
+                        </div>
+
+                        {dataReport.error ? (
+                            <div className="text-rose-500 font-mono text-xs">{dataReport.error}</div>
+                        ) : (
+                            <div className="space-y-4">
+                                {Object.entries(dataReport.issues).map(([category, issue]) => (
+                                    <div key={category}>
+                                        <div className="flex justify-between items-center text-xs font-bold mb-1">
+                                            <span className={issue.skipped ? 'text-rose-500' : 'text-amber-500'}>{issue.label}</span>
+                                            <span className="font-mono">{issue.count.toLocaleString()}</span>
+                                        </div>
+                                        <div className={`rounded-lg border text-[10px] font-mono divide-y ${isDarkMode ? 'border-slate-800 divide-slate-800' : 'border-slate-100 divide-slate-100'}`}>
+                                            {issue.samples.map(sample => (
+                                                <div key={sample.line} className="flex gap-3 px-2 py-1">
+                                                    <span className={`shrink-0 w-16 ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>line {sample.line}</span>
+                                                    <span className="truncate">{sample.detail}</span>
+                                                </div>
+                                            ))}
+                                            {issue.count > issue.samples.length && (
+                                                <div className={`px-2 py-1 italic ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                                                    …and {(issue.count - issue.samples.length).toLocaleString()} more
+                                                </div>
+                                            )}
+                                        </div>
+                                    </div>
+                                ))}
+
+                                {/* FIPS crosswalk rules applied while loading */}
+                                {dataReport.crosswalk?.length > 0 && (
+                                    <div>
+                                        <div className="text-xs font-bold mb-1 text-blue-500">FIPS crosswalk applied</div>
+                                        <div className={`rounded-lg border text-[10px] divide-y ${isDarkMode ? 'border-slate-800 divide-slate-800' : 'border-slate-100 divide-slate-100'}`}>
+                                            {dataReport.crosswalk.map(entry => (
+                                                <div key={entry.note} className="px-2 py-1">
+                                                    <div>{entry.note} <span className={isDarkMode ? 'text-slate-500' : 'text-slate-400'}>({entry.years.join(', ')})</span></div>
+                                                    <div className={`font-mono truncate ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`} title={entry.mappings.join(', ')}>
+                                                        {entry.mappings.slice(0, 6).join(', ')}{entry.mappings.length > 6 ? `, …${entry.mappings.length - 6} more` : ''}
+                                                    </div>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Units that failed the join between the data and the county shapes */}
+                                {unmatchedUnits && [
+                                    { key: 'dataOnly', label: 'In the data but not on the map', units: unmatchedUnits.dataOnly },
+                                    { key: 'mapOnly', label: 'On the map but missing from the data', units: unmatchedUnits.mapOnly }
+                                ].filter(group => group.units.length > 0).map(group => (
+                                    <div key={group.key}>
+                                        <div className="flex justify-between items-center text-xs font-bold mb-1">
+                                            <span className="text-amber-500">{group.label}</span>
+                                            <span className="font-mono">{group.units.length.toLocaleString()}</span>
+                                        </div>
+                                        <div className={`rounded-lg border text-[10px] font-mono divide-y ${isDarkMode ? 'border-slate-800 divide-slate-800' : 'border-slate-100 divide-slate-100'}`}>
+                                            {group.units.slice(0, 25).map(unit => (
+                                                <div key={unit.fips} className="flex gap-3 px-2 py-1">
+                                                    <span className="shrink-0 w-16">{unit.fips}</span>
+                                                    <span className="truncate">
+                                                        {unit.name && `${unit.name}, ${STATE_FIPS_MAP[unit.fips.slice(0, 2)] || ''} · `}
+                                                        {unit.years.length === years.length ? 'all cycles' : unit.years.join(', ')}
+                                                    </span>
+                                                </div>
+                                            ))}
+                                            {group.units.length > 25 && (
+                                                <div className={`px-2 py-1 italic ${isDarkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                                                    …and {(group.units.length - 25).toLocaleString()} more
+                                                </div>
+                                            )}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {/* Blocking Recording Overlay (map stays visible while frames are captured) */}
+            {recording && (() => {
+                const isEncoding = recording.rendered >= recording.total;
+                const done = isEncoding ? recording.encoded : recording.rendered;
+                return (
+                    <div className="absolute inset-0 z-[100] bg-slate-900/30 flex flex-col items-center justify-end pb-32 text-white pointer-events-auto cursor-wait">
+                        <div className="bg-slate-800/95 p-6 rounded-2xl shadow-2xl border border-slate-700 max-w-sm w-full text-center">
+                            <h2 className="text-lg font-bold mb-1">Recording {recording.format === 'gif' ? 'GIF' : 'WebM'}</h2>
+                            <p className="text-slate-400 text-xs mb-4">
+                                {isEncoding
+                                    ? (recording.format === 'gif' ? 'Encoding frames...' : 'Capturing video in real time...')
+                                    : 'Rendering frames...'}
+                            </p>
+                            <div className="w-full h-2 rounded-full bg-slate-700 overflow-hidden mb-2">
+                                <div className="h-full bg-blue-500 transition-all" style={{ width: `${(done / recording.total) * 100}%` }}></div>
+                            </div>
+                            <div className="text-xs text-slate-500 font-mono mb-4">{done} / {recording.total} frames</div>
+                            <button
+                                onClick={() => { recordCancelRef.current = true; }}
+                                className="px-4 py-1.5 rounded-lg text-xs font-bold bg-slate-700 hover:bg-slate-600 cursor-pointer"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                );
+            })()}
+
             {/* Blocking Cache Generation Overlay (Cartogram OR Scatter) */}
             {
                 ((cacheProgress.count < cacheProgress.total && layoutMode === LAYOUTS.CARTOGRAM) || isGeneratingScatter) && (
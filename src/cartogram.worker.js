@@ -0,0 +1,82 @@
+/**
+ * WORKER: Cartogram Layout Calculator
+ * Moves expensive D3 force simulation off the main thread.
+ * Bundled by Vite (imported with `?worker`), so D3 ships with the app instead of a CDN.
+ */
+import { forceSimulation, forceX, forceY, forceCollide } from 'd3';
+
+let mapPaths = null;
+
+self.onmessage = function(e) {
+    const { type, payload } = e.data;
+
+    if (type === 'INIT_GEOMETRY') {
+        mapPaths = payload;
+        return;
+    }
+
+    if (type === 'CALCULATE_YEAR') {
+        const { year, electionDataForYear } = payload;
+        
+        if (!mapPaths) {
+            self.postMessage({ type: 'ERROR', year, error: 'Geometry not initialised' });
+            return;
+        }
+
+        try {
+            // 1. Calculate Scale Factor
+            let totalVotes = 0;
+            let totalArea = 0;
+            for (let i = 0; i < mapPaths.length; i++) {
+                const p = mapPaths[i];
+                const votes = electionDataForYear[p.id]?.total || 0;
+                totalVotes += votes;
+                totalArea += p.area;
+            }
+            
+            const scaleFactor = totalVotes > 0 ? totalArea / totalVotes : 0;
+            if (scaleFactor === 0) {
+                 self.postMessage({ type: 'RESULT', year, positions: null });
+                 return;
+            }
+
+            // 2. Create nodes
+            const nodes = mapPaths.map(p => {
+                const data = electionDataForYear[p.id];
+                const targetArea = (data?.total || 0) * scaleFactor;
+                const r = Math.sqrt(Math.max(0.1, targetArea) / Math.PI);
+
+                return {
+                    id: p.id,
+                    x: p.centroid[0],
+                    y: p.centroid[1],
+                    rx: p.centroid[0],
+                    ry: p.centroid[1],
+                    r: r
+                };
+            });
+
+            // 3. Run simulation
+            const simulation = forceSimulation(nodes)
+                .force("x", forceX(d => d.rx).strength(0.45))
+                .force("y", forceY(d => d.ry).strength(0.45))
+                .force("collide", forceCollide(d => d.r + 0.5).strength(1).iterations(3))
+                .stop();
+
+            // Run ticks (150 matches main thread logic)
+            for (let i = 0; i < 150; ++i) simulation.tick();
+
+            // 4. Format positions
+            const positions = {};
+            for (let i = 0; i < nodes.length; i++) {
+                const n = nodes[i];
+                positions[n.id] = { x: n.x, y: n.y, r: n.r };
+            }
+
+            self.postMessage({ type: 'RESULT', year, positions });
+            
+        } catch (err) {
+            self.postMessage({ type: 'ERROR', year, error: err.message });
+        }
+    }
+};
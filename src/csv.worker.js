@@ -0,0 +1,703 @@
+/**
+ * WORKER: Election CSV Parser
+ * Streams an election returns CSV (plain or zipped) or a JSON dataset through an RFC 4180
+ * parser off the main thread, maps its columns onto the app's fields, validates every row,
+ * and returns the parsed results with a data-quality report. Files come either with one
+ * column per party (wide) or one row per candidate (long, e.g. MEDSL's county returns).
+ * Third-party votes are also broken down by party key (see getPartyKey). Also reads covariate
+ * files (numeric columns keyed by FIPS, e.g. median income) for joining onto the map.
+ */
+import JSZip from 'jszip';
+
+// Required columns, in the order they appear in the bundled dataset
+const REQUIRED_COLUMNS = ['year', 'county_fips', 'dem_votes', 'rep_votes', 'third_votes', 'total_votes'];
+// Optional third-party candidate columns (format: "NAME|PARTY|VOTES")
+const OPTIONAL_COLUMNS = { third_party_1: /^third_?party_?1$/, third_party_2: /^third_?party_?2$/ };
+
+// Header names recognised for each field when guessing a mapping for a user-supplied file
+const COLUMN_ALIASES = {
+    year: ['year', 'cycle', 'election_year', 'electionyear'],
+    county_fips: ['county_fips', 'fips', 'countyfips', 'fips_code', 'geoid', 'county_geoid'],
+    dem_votes: ['dem_votes', 'dem', 'democrat', 'democratic', 'votes_dem', 'dem_total', 'demvotes'],
+    rep_votes: ['rep_votes', 'rep', 'gop', 'republican', 'votes_gop', 'votes_rep', 'rep_total', 'repvotes'],
+    third_votes: ['third_votes', 'third', 'other', 'other_votes', 'oth', 'votes_other', 'thirdvotes'],
+    total_votes: ['total_votes', 'total', 'totalvotes', 'votes_total', 'total_votes_cast'],
+    office: ['office', 'race', 'contest', 'office_name'],
+    candidate: ['candidate', 'candidate_name', 'candidatename'],
+    party: ['party', 'party_simplified', 'party_detailed', 'party_name'],
+    candidate_votes: ['candidate_votes', 'candidatevotes', 'votes', 'vote_count'],
+    mode: ['mode', 'vote_mode', 'mode_of_voting']
+};
+
+// Fields read only from one file layout (everything else applies to both)
+const LAYOUT_FIELDS = {
+    wide: ['dem_votes', 'rep_votes', 'third_votes', 'total_votes', ...Object.keys(OPTIONAL_COLUMNS)],
+    long: ['candidate', 'party', 'candidate_votes', 'mode']
+};
+
+const DEFAULT_OFFICE = 'president'; // Files without an office column hold presidential results
+
+const CHUNK_SIZE = 1 << 20; // Bytes per chunk when decoding uncompressed input
+const MAX_SAMPLES = 25; // Example rows kept per issue category
+const PROGRESS_INTERVAL = 25000; // Rows between progress messages
+const PREVIEW_ROWS = 5; // Data rows returned with the header for the column-mapping dialog
+
+const normalizeColumnName = (name) => name.replace(/^\uFEFF/, '').trim().toLowerCase();
+
+// Canonical office key: president, senate, house or governor for the common federal and
+// statewide races (e.g. "US SENATE", "U.S. House"), otherwise a slug such as state_senate
+const normalizeOffice = (text) => {
+    const name = text.trim().toLowerCase().replace(/\./g, '');
+    if (/^(us |united states )?president/.test(name)) return 'president';
+    if (/^(us |united states )?senat/.test(name)) return 'senate';
+    if (/^(us |united states )?(house|representative)/.test(name)) return 'house';
+    if (/^governor/.test(name)) return 'governor';
+    return name.replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+};
+
+// Display group for a party label: DEM, REP or THIRD (e.g. "DEMOCRAT", "Democratic-Farmer-Labor", "GOP")
+const getPartyGroup = (party) => {
+    const name = party.trim().toUpperCase();
+    if (/^DEM/.test(name)) return 'DEM';
+    if (/^(REP|GOP)/.test(name)) return 'REP';
+    return 'THIRD';
+};
+
+// Party key for a party label: DEM and REP for the major parties, short codes for common minor
+// parties, independents keyed by candidate (e.g. IND_ROSS_PEROT, IND_EVAN_MCMULLIN), and otherwise
+// an upper-case slug of the label (e.g. SOCIALIST_WORKERS)
+const MINOR_PARTY_KEYS = [[/^(LIBERTARIAN|LIB)\b/, 'LIB'], [/^(GREEN|GRN)\b/, 'GRN'], [/^REFORM\b/, 'REF'], [/^CONSTITUTION\b/, 'CON']];
+const INDEPENDENT_PARTY = /^(INDEPENDENT|IND|NO PARTY|NON-?PARTISAN|UNAFFILIATED|NPA)?$/;
+const toKeySlug = (text) => text.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+const getPartyKey = (party, candidate = '') => {
+    const group = getPartyGroup(party);
+    if (group !== 'THIRD') return group;
+    const name = party.trim().toUpperCase();
+    const known = MINOR_PARTY_KEYS.find(([pattern]) => pattern.test(name));
+    if (known) return known[1];
+    if (INDEPENDENT_PARTY.test(name)) return candidate ? `IND_${toKeySlug(candidate)}` : 'IND';
+    return toKeySlug(name) || 'OTHER';
+};
+
+// Display name for a party key's first label seen ("GREEN" -> "Green", independents by candidate).
+// All-caps words of three letters or fewer are usually abbreviations (SWP, PSL, US) and stay as they are.
+const SHORT_WORDS = new Set(['A', 'AN', 'AND', 'OF', 'FOR', 'THE', 'TO', 'IN', 'ON', 'NEW', 'TAX', 'OUR', 'ALL', 'WE']);
+const titleCase = (text) => (text === text.toUpperCase() || text === text.toLowerCase()
+    ? text.replace(/\p{L}+/gu, word => (word.length <= 3 && word === word.toUpperCase() && !SHORT_WORDS.has(word)
+        ? word
+        : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+    : text);
+const getPartyName = (key, party, candidate = '') => (key.startsWith('IND_') ? `${titleCase(candidate)} (Independent)` : titleCase(party.trim()) || key);
+
+// Party declarations from a JSON dataset's "parties" object, keyed by party key or label:
+// { LIB: { name, color, group } }. Unknown fields are dropped.
+const normalizePartyDeclarations = (parties) => {
+    const declarations = {};
+    Object.entries(parties || {}).forEach(([label, value]) => {
+        if (!value || typeof value !== 'object') return;
+        const key = /^[A-Z0-9_]+$/.test(label) ? label : getPartyKey(label);
+        declarations[key] = {};
+        ['name', 'color', 'group'].forEach(field => {
+            if (typeof value[field] === 'string' && value[field].trim()) declarations[key][field] = value[field].trim();
+        });
+    });
+    return declarations;
+};
+
+// Guess which header column feeds each field: { layout, year, county_fips, ..., other_votes: [] }.
+// Files with party and candidate-vote columns but no Democratic column are taken as long format.
+// Unmatched fields are left as '' for the user to fill in.
+const guessColumnMapping = (columns) => {
+    const names = columns.map(normalizeColumnName);
+    const mapping = { yearValue: null, officeValue: DEFAULT_OFFICE, other_votes: [] };
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+        const index = names.findIndex(name => aliases.includes(name));
+        mapping[field] = index >= 0 ? columns[index] : '';
+    });
+    Object.entries(OPTIONAL_COLUMNS).forEach(([field, pattern]) => {
+        const index = names.findIndex(name => pattern.test(name));
+        mapping[field] = index >= 0 ? columns[index] : '';
+    });
+    mapping.layout = mapping.party && mapping.candidate_votes && !mapping.dem_votes ? 'long' : 'wide';
+    return mapping;
+};
+
+// Streaming RFC 4180 parser: quoted fields may contain commas, escaped quotes ("") and newlines;
+// records end at LF, CRLF or CR. Calls onRecord(fields, line, malformed) per non-blank record.
+const createCsvParser = (onRecord) => {
+    let state = 'start'; // start | unquoted | quoted | quoteInQuoted
+    let field = '';
+    let record = [];
+    let line = 1;
+    let recordLine = 1;
+    let malformed = false;
+    let skipLineFeed = false;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+
+    const endRecord = () => {
+        endField();
+        // Blank lines produce a single empty field; ignore them
+        if (record.length > 1 || record[0] !== '') onRecord(record, recordLine, malformed);
+        record = [];
+        malformed = false;
+        state = 'start';
+    };
+
+    const push = (chunk) => {
+        for (let i = 0; i < chunk.length; i++) {
+            const ch = chunk[i];
+
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (ch === '\n') continue;
+            }
+            if (state === 'start') recordLine = record.length === 0 ? line : recordLine;
+
+            if (state === 'quoted') {
+                if (ch === '"') {
+                    state = 'quoteInQuoted';
+                } else {
+                    if (ch === '\n') line++;
+                    field += ch;
+                }
+                continue;
+            }
+
+            if (ch === ',') {
+                endField();
+                state = 'start';
+            } else if (ch === '\n' || ch === '\r') {
+                endRecord();
+                line++;
+                skipLineFeed = ch === '\r';
+            } else if (ch === '"') {
+                if (state === 'start') {
+                    state = 'quoted';
+                } else if (state === 'quoteInQuoted') {
+                    field += '"'; // Escaped quote
+                    state = 'quoted';
+                } else {
+                    malformed = true; // Stray quote inside an unquoted field
+                    field += ch;
+                }
+            } else {
+                if (state === 'quoteInQuoted') malformed = true; // Text after a closing quote
+                field += ch;
+                state = 'unquoted';
+            }
+        }
+    };
+
+    const end = () => {
+        if (state === 'quoted') malformed = true; // Unterminated quote at end of input
+        if (field !== '' || record.length > 0) endRecord();
+    };
+
+    return { push, end };
+};
+
+// Parse a "NAME|PARTY|VOTES" third-party candidate field
+const parseThirdParty = (raw) => {
+    if (!raw) return null;
+    const parts = raw.split('|');
+    if (parts.length !== 3) return null;
+    return {
+        name: parts[0],
+        party: parts[1],
+        group: 'THIRD',
+        votes: +parts[2]
+    };
+};
+
+// Validate records against the header and collect results (office -> year -> fips) plus a
+// data-quality report. Without a mapping the header must use the bundled dataset's column names.
+const createRowCollector = (mapping = null) => {
+    const data = {};
+    const report = {
+        rowsRead: 0,
+        rowsLoaded: 0,
+        skipped: 0,
+        issues: {}, // category -> { label, count, skipped, samples: [{ line, detail }] }
+        columns: [],
+        years: [],
+        offices: [],
+        partyNames: {} // party key -> display name, for every third party seen
+    };
+    let columnIndex = null;
+
+    const addIssue = (category, label, line, detail, skipped) => {
+        if (!report.issues[category]) report.issues[category] = { label, count: 0, skipped, samples: [] };
+        const issue = report.issues[category];
+        issue.count++;
+        if (issue.samples.length < MAX_SAMPLES) issue.samples.push({ line, detail });
+        if (skipped) report.skipped++;
+    };
+
+    let fixedYear = null;
+    let fixedOffice = DEFAULT_OFFICE;
+    let otherIndexes = [];
+    let extraIndexes = [];
+    let minFieldCount = 0; // Rows must reach the last required or party column; trailing optional cells may be left off
+    let isLong = false; // One row per candidate rather than one column per party
+    const candidateUnits = {}; // Long format: office -> year -> fips -> { candidates: { 'name|party': candidate }, hasTotalRows }
+
+    const notePartyName = (key, party, candidate) => {
+        if (key !== 'DEM' && key !== 'REP' && !report.partyNames[key]) report.partyNames[key] = getPartyName(key, party, candidate);
+    };
+
+    const readHeader = (fields) => {
+        const names = fields.map(normalizeColumnName);
+        columnIndex = {};
+
+        if (!mapping) {
+            const indexOfAlias = (field) => names.findIndex(name => COLUMN_ALIASES[field].includes(name));
+            isLong = !names.includes('dem_votes') && indexOfAlias('party') >= 0 && indexOfAlias('candidate_votes') >= 0;
+            const required = isLong ? ['year', 'county_fips'] : REQUIRED_COLUMNS;
+            const missing = required.filter(col => !names.includes(col));
+            if (missing.length > 0) {
+                throw new Error(`Missing required column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')} (found: ${names.join(', ') || 'none'})`);
+            }
+            required.forEach(col => { columnIndex[col] = names.indexOf(col); });
+            minFieldCount = Math.max(...required.map(col => columnIndex[col])) + 1;
+            if (isLong) {
+                LAYOUT_FIELDS.long.forEach(field => {
+                    const index = indexOfAlias(field);
+                    if (index >= 0) columnIndex[field] = index;
+                });
+            } else {
+                Object.entries(OPTIONAL_COLUMNS).forEach(([col, pattern]) => {
+                    const index = names.findIndex(name => pattern.test(name));
+                    if (index >= 0) columnIndex[col] = index;
+                });
+            }
+            const officeIndex = indexOfAlias('office');
+            if (officeIndex >= 0) columnIndex.office = officeIndex;
+        } else {
+            const indexOf = (column) => names.indexOf(normalizeColumnName(column));
+            isLong = mapping.layout === 'long';
+            const required = ['county_fips', ...(isLong ? ['party', 'candidate_votes'] : ['dem_votes', 'rep_votes'])];
+            if (!mapping.year) {
+                if (!/^\d{4}$/.test(String(mapping.yearValue ?? '').trim())) throw new Error('Choose a year column or enter the election year');
+                fixedYear = Number(mapping.yearValue);
+            } else {
+                required.push('year');
+            }
+            const otherLayoutFields = LAYOUT_FIELDS[isLong ? 'wide' : 'long'];
+            ['year', ...Object.keys(COLUMN_ALIASES), ...Object.keys(OPTIONAL_COLUMNS)].forEach(field => {
+                if (!mapping[field] || otherLayoutFields.includes(field)) return;
+                const index = indexOf(mapping[field]);
+                if (index < 0) throw new Error(`Column "${mapping[field]}" (${field}) is not in the file`);
+                columnIndex[field] = index;
+            });
+            if (!mapping.office && mapping.officeValue) fixedOffice = normalizeOffice(mapping.officeValue) || DEFAULT_OFFICE;
+            const unmapped = required.filter(field => columnIndex[field] === undefined);
+            if (unmapped.length > 0) throw new Error(`No column chosen for: ${unmapped.join(', ')}`);
+            minFieldCount = Math.max(...required.map(field => columnIndex[field])) + 1;
+            // Each extra party column is its own party (e.g. "lib_votes" -> LIB, "perot" -> PEROT)
+            otherIndexes = (isLong ? [] : mapping.other_votes || []).map(column => {
+                const index = indexOf(column);
+                if (index < 0) throw new Error(`Column "${column}" is not in the file`);
+                const label = column.replace(/[_\s-]*votes?$/i, '') || column;
+                const key = getPartyKey(label);
+                const partyKey = key === 'DEM' || key === 'REP' ? toKeySlug(label) : key;
+                notePartyName(partyKey, label);
+                return { column, index, partyKey };
+            });
+            minFieldCount = Math.max(minFieldCount, ...otherIndexes.map(o => o.index + 1));
+            // Unmapped columns travel with each row as extra numeric values (e.g. for scatter axes);
+            // long-format rows describe one candidate, so theirs are left out
+            const used = new Set([...Object.values(columnIndex), ...otherIndexes.map(o => o.index)]);
+            extraIndexes = isLong ? [] : fields
+                .map((field, index) => ({ column: field.replace(/^\uFEFF/, '').trim(), index }))
+                .filter(({ column, index }) => column && !used.has(index));
+        }
+        report.columns = names;
+    };
+
+    // Long format: add one candidate's votes to its unit (units are totalled in finish)
+    const readCandidate = (get, line, office, year, fips) => {
+        const text = get('candidate_votes');
+        const votes = Number(text.replace(/,/g, ''));
+        const party = get('party');
+        const name = get('candidate') || party || 'Unknown';
+        if (text === '' || !Number.isFinite(votes) || votes < 0) {
+            addIssue('invalidNumber', 'Invalid vote count', line, `${year} ${fips}: ${name} "${text}"`, true);
+            return;
+        }
+
+        if (!candidateUnits[office]) candidateUnits[office] = {};
+        if (!candidateUnits[office][year]) candidateUnits[office][year] = {};
+        const units = candidateUnits[office][year];
+        if (!units[fips]) units[fips] = { candidates: {}, hasTotalRows: false };
+        const unit = units[fips];
+
+        // Returns split by voting mode (absentee, election day, ...) are summed, unless the unit
+        // also reports TOTAL rows, which are then used on their own
+        const isTotalRow = /^total/i.test(get('mode'));
+        if (isTotalRow) unit.hasTotalRows = true;
+        const id = `${name}|${party}`;
+        if (!unit.candidates[id]) {
+            const key = getPartyKey(party, name);
+            notePartyName(key, party, name);
+            unit.candidates[id] = { name, party, key, group: getPartyGroup(party), votes: 0, totalRowVotes: 0 };
+        }
+        unit.candidates[id][isTotalRow ? 'totalRowVotes' : 'votes'] += votes;
+        report.rowsLoaded++;
+        if (report.rowsRead % PROGRESS_INTERVAL === 0) self.postMessage({ type: 'PROGRESS', rows: report.rowsRead });
+    };
+
+    const readRow = (fields, line, malformed) => {
+        if (!columnIndex) {
+            readHeader(fields);
+            return;
+        }
+        report.rowsRead++;
+
+        const get = (col) => (columnIndex[col] !== undefined ? (fields[columnIndex[col]] ?? '').trim() : '');
+
+        if (malformed) addIssue('malformed', 'Malformed quoting (row kept as read)', line, fields.join(','), false);
+        if (fields.length < minFieldCount) {
+            addIssue('missingFields', 'Too few columns', line, `${fields.length} of ${report.columns.length} columns`, true);
+            return;
+        }
+        if (fields.length > report.columns.length) {
+            addIssue('extraFields', 'Extra columns ignored', line, `${fields.length} columns, header has ${report.columns.length}`, false);
+        }
+
+        const yearText = fixedYear !== null ? String(fixedYear) : get('year');
+        const year = Number(yearText);
+        if (!/^\d{4}$/.test(yearText) || year < 1788 || year > 2100) {
+            addIssue('invalidYear', 'Invalid year', line, `year "${yearText}"`, true);
+            return;
+        }
+
+        // County codes, plus 7-digit place and 10-digit county subdivision codes for the FIPS crosswalk
+        const fipsText = get('county_fips');
+        if (!/^(\d{1,5}|\d{7}|\d{10})$/.test(fipsText)) {
+            addIssue('invalidFips', 'Invalid FIPS code', line, `${year}, FIPS "${fipsText}"`, true);
+            return;
+        }
+        const fips = fipsText.length <= 5 ? fipsText.padStart(5, '0') : fipsText;
+
+        const office = columnIndex.office !== undefined ? normalizeOffice(get('office')) : fixedOffice;
+        if (!office) {
+            addIssue('invalidOffice', 'Missing office', line, `${year} ${fips}`, true);
+            return;
+        }
+
+        if (isLong) {
+            readCandidate(get, line, office, year, fips);
+            return;
+        }
+
+        // Unmapped optional columns stay undefined; custom party columns (blank = 0) add to third-party votes
+        const voteColumns = ['dem_votes', 'rep_votes', 'third_votes', 'total_votes']
+            .filter(col => columnIndex[col] !== undefined)
+            .map(col => ({ col, text: get(col) }))
+            .concat(otherIndexes.map(({ column, index, partyKey }) => ({ col: column, text: (fields[index] ?? '').trim() || '0', partyKey })));
+        const votes = { third_votes: 0 };
+        const thirdParties = {};
+        let otherVotes = 0;
+        for (const { col, text, partyKey } of voteColumns) {
+            const value = Number(text.replace(/,/g, ''));
+            if (text === '' || !Number.isFinite(value) || value < 0) {
+                addIssue('invalidNumber', 'Invalid vote count', line, `${year} ${fips}: ${col} "${text}"`, true);
+                return;
+            }
+            if (partyKey) {
+                otherVotes += value;
+                thirdParties[partyKey] = (thirdParties[partyKey] || 0) + value;
+            } else {
+                votes[col] = value;
+            }
+        }
+        votes.third_votes += otherVotes;
+        const hasTotal = votes.total_votes !== undefined;
+        if (!hasTotal) votes.total_votes = votes.dem_votes + votes.rep_votes + votes.third_votes;
+
+        if (!data[office]) data[office] = {};
+        if (!data[office][year]) data[office][year] = {};
+        const units = data[office][year];
+        if (units[fips]) {
+            addIssue('duplicate', 'Duplicate office/year/FIPS (first row kept)', line, `${office} ${year} ${fips}`, true);
+            return;
+        }
+
+        const { dem_votes: dem, rep_votes: rep, third_votes: third, total_votes: total } = votes;
+        if (hasTotal && Math.abs(dem + rep + third - total) > 0.5) {
+            addIssue('sumMismatch', 'Dem + Rep + Third ≠ Total (row kept)', line, `${year} ${fips}: ${dem} + ${rep} + ${third} = ${dem + rep + third}, total ${total}`, false);
+        }
+
+        units[fips] = { dem, rep, third, total };
+        const candidates = [parseThirdParty(get('third_party_1')), parseThirdParty(get('third_party_2'))].filter(Boolean);
+        if (candidates.length > 0) units[fips].candidates = candidates;
+
+        // Third-party votes by party: the extra party columns, then listed candidates' parties
+        // that no column covers (they are already counted in the third-party total)
+        const columnParties = new Set(Object.keys(thirdParties));
+        candidates.forEach(candidate => {
+            candidate.key = getPartyKey(candidate.party, candidate.name);
+            notePartyName(candidate.key, candidate.party, candidate.name);
+            if (!columnParties.has(candidate.key)) thirdParties[candidate.key] = (thirdParties[candidate.key] || 0) + candidate.votes;
+        });
+        if (Object.keys(thirdParties).length > 0) units[fips].thirdParties = thirdParties;
+
+        // Numeric values of unmapped columns (blank or non-numeric cells are left out)
+        const extraColumns = {};
+        extraIndexes.forEach(({ column, index }) => {
+            const text = (fields[index] ?? '').trim().replace(/,/g, '');
+            const value = Number(text);
+            if (text !== '' && Number.isFinite(value)) extraColumns[column] = value;
+        });
+        if (Object.keys(extraColumns).length > 0) units[fips].extraColumns = extraColumns;
+        report.rowsLoaded++;
+        if (report.rowsRead % PROGRESS_INTERVAL === 0) self.postMessage({ type: 'PROGRESS', rows: report.rowsRead });
+    };
+
+    const finish = () => {
+        if (!columnIndex) throw new Error('The file is empty');
+
+        // Total each long-format unit from its candidates (largest first)
+        Object.entries(candidateUnits).forEach(([office, byYear]) => Object.entries(byYear).forEach(([year, units]) => {
+            if (!data[office]) data[office] = {};
+            if (!data[office][year]) data[office][year] = {};
+            Object.entries(units).forEach(([fips, unit]) => {
+                const candidates = Object.values(unit.candidates)
+                    .map(({ name, party, key, group, votes, totalRowVotes }) => ({ name, party, key, group, votes: unit.hasTotalRows ? totalRowVotes : votes }))
+                    .filter(candidate => candidate.votes > 0)
+                    .sort((a, b) => b.votes - a.votes);
+                const sum = (group) => candidates.reduce((total, c) => total + (c.group === group ? c.votes : 0), 0);
+                const [dem, rep, third] = [sum('DEM'), sum('REP'), sum('THIRD')];
+                const thirdParties = {};
+                candidates.filter(c => c.group === 'THIRD').forEach(c => { thirdParties[c.key] = (thirdParties[c.key] || 0) + c.votes; });
+                data[office][year][fips] = { dem, rep, third, total: dem + rep + third, candidates, thirdParties };
+            });
+        }));
+
+        report.offices = Object.keys(data);
+        report.years = [...new Set(Object.values(data).flatMap(years => Object.keys(years).map(Number)))].sort((a, b) => a - b);
+        return { data, report };
+    };
+
+    return { readRow, finish };
+};
+
+// Collect a covariate file: every numeric column keyed by unit FIPS (two-digit codes for
+// states, five for counties). Currency symbols, percent signs and thousands separators are
+// stripped; blank or non-numeric cells are left out.
+const createCovariateCollector = () => {
+    const values = {};
+    const report = { rowsRead: 0, rowsLoaded: 0, skipped: 0, issues: {}, columns: [] };
+    let fipsIndex = null;
+    let valueColumns = [];
+    const counts = {}; // column -> numeric cells read
+
+    const addIssue = (category, label, line, detail) => {
+        if (!report.issues[category]) report.issues[category] = { label, count: 0, skipped: true, samples: [] };
+        const issue = report.issues[category];
+        issue.count++;
+        if (issue.samples.length < MAX_SAMPLES) issue.samples.push({ line, detail });
+        report.skipped++;
+    };
+
+    const readRow = (fields, line) => {
+        if (fipsIndex === null) {
+            const names = fields.map(normalizeColumnName);
+            fipsIndex = names.findIndex(name => COLUMN_ALIASES.county_fips.includes(name) || name === 'state_fips');
+            if (fipsIndex < 0) throw new Error(`No FIPS column found (expected one of: ${COLUMN_ALIASES.county_fips.join(', ')})`);
+            valueColumns = fields
+                .map((field, index) => ({ column: field.replace(/^\uFEFF/, '').trim(), index }))
+                .filter(({ column, index }) => column && index !== fipsIndex);
+            return;
+        }
+        report.rowsRead++;
+
+        // Census-style GEOIDs carry a summary-level prefix ("0500000US06037"): keep the FIPS after "US"
+        const fipsText = (fields[fipsIndex] ?? '').trim().replace(/^\d*US(?=\d)/i, '');
+        if (!/^\d{1,5}$/.test(fipsText)) {
+            addIssue('invalidFips', 'Invalid FIPS code', line, `FIPS "${fipsText}"`);
+            return;
+        }
+        const fips = fipsText.length <= 2 ? fipsText.padStart(2, '0') : fipsText.padStart(5, '0');
+        if (values[fips]) {
+            addIssue('duplicate', 'Duplicate FIPS (first row kept)', line, fips);
+            return;
+        }
+
+        const row = {};
+        valueColumns.forEach(({ column, index }) => {
+            const text = (fields[index] ?? '').trim().replace(/[,$%]/g, '');
+            const value = Number(text);
+            if (text === '' || !Number.isFinite(value)) return;
+            row[column] = value;
+            counts[column] = (counts[column] || 0) + 1;
+        });
+        values[fips] = row;
+        report.rowsLoaded++;
+    };
+
+    const finish = () => {
+        if (fipsIndex === null) throw new Error('The file is empty');
+        // Columns with no numeric cells at all (names, labels) are dropped
+        report.columns = valueColumns.map(({ column }) => column).filter(column => counts[column] > 0);
+        if (report.columns.length === 0) throw new Error('No numeric columns found besides FIPS');
+        return { values, report };
+    };
+
+    return { readRow, finish };
+};
+
+// Feed text into the parser: zip entries through JSZip's streaming decoder, plain files in chunks.
+// Stops early once isDone() returns true (used to preview just the header).
+const streamText = (buffer, format, parser, isDone = () => false) => {
+    if (format !== 'zip') {
+        const decoder = new TextDecoder('utf-8');
+        const bytes = new Uint8Array(buffer);
+        for (let offset = 0; offset < bytes.length && !isDone(); offset += CHUNK_SIZE) {
+            parser.push(decoder.decode(bytes.subarray(offset, offset + CHUNK_SIZE), { stream: true }));
+        }
+        if (!isDone()) parser.push(decoder.decode());
+        return Promise.resolve();
+    }
+
+    return JSZip.loadAsync(buffer).then(zip => {
+        // Find the CSV file inside. Filter out macOS metadata files.
+        const csvFilename = Object.keys(zip.files).find(name =>
+            name.endsWith('.csv') && !name.includes('__MACOSX') && !name.split('/').pop().startsWith('.')
+        ) || Object.keys(zip.files).find(name => !name.endsWith('/')); // Fallback to first non-directory file
+
+        if (!csvFilename) {
+            throw new Error('No CSV file found in the zip archive');
+        }
+
+        return new Promise((resolve, reject) => {
+            const stream = zip.file(csvFilename).internalStream('string');
+            stream
+                .on('data', chunk => {
+                    try {
+                        parser.push(chunk);
+                        if (isDone()) {
+                            stream.pause();
+                            resolve();
+                        }
+                    } catch (err) {
+                        reject(err);
+                    }
+                })
+                .on('error', reject)
+                .on('end', resolve)
+                .resume();
+        });
+    });
+};
+
+// Flatten a JSON dataset into CSV-like records, header first. Accepts an array of flat records
+// or the app's nested shape { year: { fips: { dem, rep, ... } } }, optionally keyed by office
+// first ({ senate: { year: ... } }). Nested objects inside a
+// record (e.g. third-party candidate details) are dropped. The nested shape may also declare
+// parties under a "parties" key (see normalizePartyDeclarations), returned separately.
+const jsonToRecords = (input) => {
+    let records;
+    let value = input;
+    let parties = null;
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.parties && typeof value.parties === 'object') {
+        ({ parties, ...value } = value);
+    }
+    if (Array.isArray(value)) {
+        records = value;
+    } else if (value && typeof value === 'object') {
+        records = [];
+        const pushYears = (years, extra) => Object.entries(years || {}).forEach(([year, units]) => {
+            Object.entries(units || {}).forEach(([fips, result]) => {
+                records.push({ ...extra, year, county_fips: fips, ...result });
+            });
+        });
+        // Keyed by year, or by office and then year
+        if (Object.keys(value).every(key => /^\d{4}$/.test(key))) pushYears(value, {});
+        else Object.entries(value).forEach(([office, years]) => pushYears(years, { office }));
+    } else {
+        throw new Error('Expected a JSON array of records or an object keyed by year or office');
+    }
+
+    const columns = [];
+    records.forEach(record => {
+        Object.keys(record || {}).forEach(key => {
+            if (!columns.includes(key) && (record[key] === null || typeof record[key] !== 'object')) columns.push(key);
+        });
+    });
+    if (columns.length === 0) throw new Error('The file is empty');
+    return {
+        records: [columns, ...records.map(record => columns.map(col => (record?.[col] ?? '') + ''))],
+        parties: normalizePartyDeclarations(parties)
+    };
+};
+
+// Run every record of the input through onRecord (JSON via jsonToRecords, text via the CSV parser).
+// Resolves with { parties }: party declarations from a JSON dataset, otherwise empty.
+const readRecords = (buffer, format, onRecord, isDone) => {
+    if (format === 'json') {
+        const { records, parties } = jsonToRecords(JSON.parse(new TextDecoder('utf-8').decode(buffer)));
+        for (let i = 0; i < records.length && !isDone?.(); i++) onRecord(records[i], i + 1, false);
+        return Promise.resolve({ parties });
+    }
+    const parser = createCsvParser(onRecord);
+    return streamText(buffer, format, parser, isDone).then(() => {
+        if (!isDone?.()) parser.end();
+        return { parties: {} };
+    });
+};
+
+self.onmessage = function(e) {
+    const { type, payload } = e.data;
+
+    // Header and a few rows, with a guessed column mapping, for the column-mapping dialog
+    if (type === 'PREVIEW') {
+        const records = [];
+        const isDone = () => records.length > PREVIEW_ROWS;
+        Promise.resolve()
+            .then(() => readRecords(payload.buffer, payload.format, fields => { if (!isDone()) records.push(fields); }, isDone))
+            .then(() => {
+                if (records.length === 0) throw new Error('The file is empty');
+                const columns = records[0].map(name => name.replace(/^\uFEFF/, '').trim());
+                self.postMessage({ type: 'PREVIEW', columns, rows: records.slice(1), mapping: guessColumnMapping(columns) });
+            })
+            .catch(err => {
+                self.postMessage({ type: 'ERROR', error: err.message });
+            });
+        return;
+    }
+
+    // Numeric columns keyed by FIPS, joined onto the map by the app
+    if (type === 'COVARIATES') {
+        const collector = createCovariateCollector();
+        Promise.resolve()
+            .then(() => readRecords(payload.buffer, payload.format, collector.readRow))
+            .then(() => {
+                const { values, report } = collector.finish();
+                self.postMessage({ type: 'COVARIATES', values, report });
+            })
+            .catch(err => {
+                self.postMessage({ type: 'ERROR', error: err.message });
+            });
+        return;
+    }
+
+    if (type !== 'PARSE') return;
+
+    const collector = createRowCollector(payload.mapping);
+
+    Promise.resolve()
+        .then(() => readRecords(payload.buffer, payload.format, collector.readRow))
+        .then(({ parties }) => {
+            const { data, report } = collector.finish();
+            report.partyDeclarations = parties;
+            self.postMessage({ type: 'RESULT', data, report });
+        })
+        .catch(err => {
+            self.postMessage({ type: 'ERROR', error: err.message });
+        });
+};
@@ -0,0 +1,178 @@
+/**
+ * WORKER: Animated GIF Encoder
+ * Quantises each recorded frame to a 256-colour local palette and LZW-encodes it,
+ * keeping playback recording responsive and fully client-side.
+ * Bundled by Vite (imported with `?worker`).
+ */
+
+let width = 0;
+let height = 0;
+let chunks = [];
+let frameCount = 0;
+
+const writeShort = (out, value) => out.push(value & 255, (value >> 8) & 255);
+const writeString = (out, text) => { for (let i = 0; i < text.length; i++) out.push(text.charCodeAt(i)); };
+
+// Popularity palette: the 256 most common 15-bit colours, with every colour mapped to its nearest entry
+const quantize = (rgba) => {
+    const pixelCount = width * height;
+    const counts = new Uint32Array(32768);
+    const keys = new Uint16Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const key = ((rgba[i * 4] >> 3) << 10) | ((rgba[i * 4 + 1] >> 3) << 5) | (rgba[i * 4 + 2] >> 3);
+        keys[i] = key;
+        counts[key]++;
+    }
+
+    const used = [];
+    for (let key = 0; key < 32768; key++) if (counts[key] > 0) used.push(key);
+    used.sort((a, b) => counts[b] - counts[a]);
+    const paletteKeys = used.slice(0, 256);
+
+    const palette = new Uint8Array(768);
+    paletteKeys.forEach((key, i) => {
+        palette[i * 3] = ((key >> 10) << 3) | 4;
+        palette[i * 3 + 1] = (((key >> 5) & 31) << 3) | 4;
+        palette[i * 3 + 2] = ((key & 31) << 3) | 4;
+    });
+
+    const lookup = new Int16Array(32768).fill(-1);
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const key = keys[i];
+        if (lookup[key] < 0) {
+            const r = key >> 10, g = (key >> 5) & 31, b = key & 31;
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let p = 0; p < paletteKeys.length; p++) {
+                const pk = paletteKeys[p];
+                const dr = r - (pk >> 10), dg = g - ((pk >> 5) & 31), db = b - (pk & 31);
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = p;
+                }
+            }
+            lookup[key] = best;
+        }
+        indices[i] = lookup[key];
+    }
+    return { palette, indices };
+};
+
+// Variable-length-code LZW compression as specified for GIF image data
+const lzwEncode = (indices, minCodeSize) => {
+    const out = [];
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dict = new Map();
+    let buffer = 0;
+    let bufferBits = 0;
+
+    const emit = (code) => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            out.push(buffer & 255);
+            buffer >>>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix * 256 + k;
+        const found = dict.get(key);
+        if (found !== undefined) {
+            prefix = found;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode < 4096) {
+            dict.set(key, nextCode++);
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            emit(clearCode);
+            dict = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bufferBits > 0) out.push(buffer & 255);
+    return out;
+};
+
+self.onmessage = function(e) {
+    const { type, payload } = e.data;
+
+    try {
+        if (type === 'INIT') {
+            width = payload.width;
+            height = payload.height;
+            frameCount = 0;
+            chunks = [];
+
+            // Header, logical screen (no global palette) and infinite-loop extension
+            const out = [];
+            writeString(out, 'GIF89a');
+            writeShort(out, width);
+            writeShort(out, height);
+            out.push(0, 0, 0);
+            out.push(0x21, 0xff, 0x0b);
+            writeString(out, 'NETSCAPE2.0');
+            out.push(0x03, 0x01, 0x00, 0x00, 0x00);
+            chunks.push(new Uint8Array(out));
+            return;
+        }
+
+        if (type === 'ADD_FRAME') {
+            const { palette, indices } = quantize(new Uint8Array(payload.pixels));
+            const out = [];
+
+            // Graphic control extension: frame delay in hundredths of a second
+            out.push(0x21, 0xf9, 0x04, 0x04);
+            writeShort(out, payload.delay);
+            out.push(0x00, 0x00);
+
+            // Image descriptor with a 256-entry local palette
+            out.push(0x2c);
+            writeShort(out, 0);
+            writeShort(out, 0);
+            writeShort(out, width);
+            writeShort(out, height);
+            out.push(0x87);
+            for (let i = 0; i < palette.length; i++) out.push(palette[i]);
+
+            // Image data in sub-blocks of at most 255 bytes
+            out.push(8);
+            const data = lzwEncode(indices, 8);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.slice(i, i + 255);
+                out.push(block.length);
+                for (let j = 0; j < block.length; j++) out.push(block[j]);
+            }
+            out.push(0);
+
+            chunks.push(new Uint8Array(out));
+            frameCount++;
+            self.postMessage({ type: 'PROGRESS', count: frameCount });
+            return;
+        }
+
+        if (type === 'FINISH') {
+            chunks.push(new Uint8Array([0x3b]));
+            const blob = new Blob(chunks, { type: 'image/gif' });
+            chunks = [];
+            self.postMessage({ type: 'DONE', blob });
+        }
+    } catch (err) {
+        self.postMessage({ type: 'ERROR', error: err.message });
+    }
+};